@@ -1,5 +1,5 @@
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   StyleSheet,
   Text,
@@ -14,8 +14,50 @@ import {
   Alert,
   Platform,
   ActivityIndicator,
+  PanResponder,
+  Image,
+  useWindowDimensions,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as DocumentPicker from 'expo-document-picker';
+import { Directory, File, Paths } from 'expo-file-system';
+import * as ImagePicker from 'expo-image-picker';
+import * as Notifications from 'expo-notifications';
+import * as Sharing from 'expo-sharing';
+import Svg, { Circle, G, Path, Rect, Text as SvgText } from 'react-native-svg';
+import { createBackup, describeChanges, mergeBackupData, validateBackup } from './backup';
+import { getBillDueDate, getBillReminders, getDaysUntil, getUpcomingBills } from './bills';
+import { getCardStatement } from './cards';
+import { convertToBase, getMissingRates, hasRate } from './currency';
+import {
+  CATEGORY_COLORS,
+  CATEGORY_ICONS,
+  DEFAULT_CATEGORIES,
+  createCategory,
+  getCategoryNames,
+  getChildCategories,
+  getTopCategoryName,
+  moveCategory,
+  sortByHierarchy,
+  withCategoryNames,
+} from './categories';
+import { getDebtLedger, isDebt, isMoneyIn } from './debts';
+import { GOAL_PACE_MONTHS, getGoalProgress } from './goals';
+import { formatDateKey, getCycleStart, getMonthStart, getOccurrenceDate, getPeriodBounds, parseDateKey } from './periods';
+import { getReimbursementEdits, getReimbursementStatus, getReimbursements, getSettleEdits, getSettlement } from './reimbursements';
+import { NewerSchemaError, loadWallet, normalizeWallet, saveField } from './storage';
+import { getKnownTags, getTagReport, getTags, hasTag, normalizeTag } from './tags';
+import {
+  AMOUNT_FORMATS,
+  DATE_FORMATS,
+  EXPORT_HEADERS,
+  detectAmountFormat,
+  detectDateFormat,
+  getExportRows,
+  guessColumns,
+  parseCSV,
+  readImportRow,
+  toCSV,
+} from './csv';
 
 // --- Constants & Styles ---
 const THEMES = {
@@ -52,69 +94,304 @@ const MONTHS = [
   'July', 'August', 'September', 'October', 'November', 'December'
 ];
 
+// Size of the time window the main screen shows; 'range' is an arbitrary from-to span
+const PERIOD_MODES = [
+  { key: 'week', label: 'Week' },
+  { key: 'month', label: 'Month' },
+  { key: 'quarter', label: 'Quarter' },
+  { key: 'year', label: 'Year' },
+  { key: 'range', label: 'Range' },
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Fraction of a budget at which spending counts as "near" the limit
+const BUDGET_WARNING_RATIO = 0.8;
+
+const IMPORT_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'amount', label: 'Amount', required: true },
+  { key: 'type', label: 'Type' },
+  { key: 'category', label: 'Category' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'account', label: 'Account' },
+  { key: 'toAccount', label: 'To Account' },
+  { key: 'note', label: 'Note' },
+  { key: 'tags', label: 'Tags' },
+];
+
+// Autocomplete suggestions shown under the tag input
+const TAG_SUGGESTION_LIMIT = 8;
+
+// Height of one row in the category manager, drag distance is measured in rows
+const CATEGORY_ROW_HEIGHT = 60;
+
+const DEFAULT_ACCOUNT_ID = 'default';
+
+const ACCOUNT_TYPES = [
+  { key: 'cash', label: 'Cash', icon: '💵' },
+  { key: 'checking', label: 'Checking', icon: '🏦' },
+  { key: 'credit', label: 'Credit Card', icon: '💳' },
+  { key: 'savings', label: 'Savings', icon: '🐷' },
+];
+
+const FREQUENCIES = [
+  { key: 'daily', label: 'Daily' },
+  { key: 'weekly', label: 'Weekly' },
+  { key: 'monthly', label: 'Monthly' },
+  { key: 'yearly', label: 'Yearly' },
+];
+
+// Where a reimbursable expense stands; paid ones can point at the income that settled them
+const REIMBURSEMENT_STATUSES = [
+  { key: 'pending', label: 'Pending' },
+  { key: 'submitted', label: 'Submitted' },
+  { key: 'paid', label: 'Paid' },
+];
+
+// Receipt photos are recompressed when picked to keep the documents directory and backups small
+const RECEIPT_QUALITY = 0.6;
+
+// Income transactions offered when settling reimbursements
+const SETTLE_INCOME_LIMIT = 20;
+
+// Lent and Borrowed move loan principal to or from a person, so they are neither income nor expense.
+// A repayment sends the money back the other way and lowers what is owed.
+const DEBT_KINDS = [
+  { type: 'Lent', repayment: false, label: 'I lent', verb: 'Lent to' },
+  { type: 'Lent', repayment: true, label: 'Paid back to me', verb: 'Repaid by' },
+  { type: 'Borrowed', repayment: false, label: 'I borrowed', verb: 'Borrowed from' },
+  { type: 'Borrowed', repayment: true, label: 'I paid back', verb: 'Repaid to' },
+];
+
+// Bills repeat like recurring transactions, apart from daily
+const BILL_FREQUENCIES = [{ key: 'none', label: 'Once' }, ...FREQUENCIES.filter(f => f.key !== 'daily')];
+
+const BILL_REMINDERS = [
+  { days: 0, label: 'On the day' },
+  { days: 1, label: '1 day before' },
+  { days: 3, label: '3 days before' },
+  { days: 7, label: '1 week before' },
+];
+
+// Bill reminders go off on their own Android channel
+const BILL_CHANNEL_ID = 'bills';
+
+// Bills shown in the Upcoming section before "See all"
+const UPCOMING_LIMIT = 3;
+
+// Deleted transactions stay restorable this long before being purged
+const TRASH_RETENTION_DAYS = 30;
+const HISTORY_LIMIT = 50;
+const SNACKBAR_DURATION = 5000;
+
+// Bill reminders also show while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
 export default function App() {
   // --- State ---
   const [theme, setTheme] = useState('light');
   const colors = THEMES[theme];
   const [isLoaded, setIsLoaded] = useState(false);
+  // Set when stored data could not be read; saving stays off so nothing overwrites it
+  const [loadError, setLoadError] = useState(null);
+  const { width: windowWidth } = useWindowDimensions();
 
   const [transactions, setTransactions] = useState([]);
 
-  const [categories, setCategories] = useState({
-    Income: ['Salary', 'Gift', 'Freelance'],
-    Expense: ['Food', 'Transport', 'Shopping', 'Bills'],
-  });
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES); // { Income: [{ name, icon, color, archived }], Expense: [...] }
+
+  // Category Manager State
+  const [categoriesVisible, setCategoriesVisible] = useState(false);
+  const [managerType, setManagerType] = useState('Expense');
+  const [categoryForm, setCategoryForm] = useState(null); // { originalName, name, icon, color, parent }, originalName null for new
+  const [dragState, setDragState] = useState(null); // { key, dy } while a category row is dragged
+  const dragResponders = useRef({}); // PanResponders per category, created on first render of the row
+
+  // Accounts State - transactions without an accountId belong to DEFAULT_ACCOUNT_ID
+  const [accounts, setAccounts] = useState([{ id: DEFAULT_ACCOUNT_ID, name: 'My Wallet', type: 'cash' }]);
+  const [selectedAccountId, setSelectedAccountId] = useState('all'); // 'all' or an account id
+  const [accountsVisible, setAccountsVisible] = useState(false);
+  const [accountForm, setAccountForm] = useState(null); // { id, name, type, closingDay, dueDay } while adding/editing, id null for new
 
   const [modalVisible, setModalVisible] = useState(false);
   const [newTransaction, setNewTransaction] = useState({
-    type: 'Expense', // 'Income' or 'Expense'
+    type: 'Expense', // 'Income', 'Expense', 'Transfer', 'Lent' or 'Borrowed'
     amount: '',
     category: '',
     note: '',
+    date: new Date().toISOString(),
+    currency: 'USD',
+    accountId: DEFAULT_ACCOUNT_ID,
+    toAccountId: null, // Destination account for transfers
+    frequency: 'none', // 'none' or a FREQUENCIES key
+    endDate: null,
+    splits: [], // [{ category, amount, note }] as text when split across categories, empty otherwise
+    tags: [],
+    reimbursement: null, // { status, incomeId } on reimbursable expenses
+    receipts: [], // File names in the receipts directory
+    goalId: null, // Savings goal the transaction contributes to
+    personId: null, // Who a loan or repayment is with
+    repayment: false, // Loans only: paying back rather than lending or borrowing
   });
+  const draftReceipts = useRef([]); // Receipts copied in for the open form, deleted again if it is discarded
+  const [receiptPreview, setReceiptPreview] = useState(null); // File name shown full screen
+  const [tagInput, setTagInput] = useState(''); // Tag being typed in the add modal
+  const [editingId, setEditingId] = useState(null); // id of the transaction being edited, null when adding
+  const [editingRuleId, setEditingRuleId] = useState(null); // id of the recurring rule being edited
+
+  // Recurring Rules State
+  const [recurringRules, setRecurringRules] = useState([]);
+  const [recurringVisible, setRecurringVisible] = useState(false);
+  const [expandedRules, setExpandedRules] = useState({}); // { [ruleId]: true }
+
+  // Budget State
+  const [budgets, setBudgets] = useState({ overall: null, categories: {} }); // { overall: 2000, categories: { Food: 300 } }
+  const [budgetsVisible, setBudgetsVisible] = useState(false);
+  const [budgetDraft, setBudgetDraft] = useState({ overall: '', categories: {} }); // Text input values while editing
+
+  // Import & Export State
+  const [dataVisible, setDataVisible] = useState(false);
+  const [exportScope, setExportScope] = useState('month'); // 'month', 'range' or 'all'
+  const [exportRange, setExportRange] = useState({ from: '', to: '' }); // 'YYYY-MM-DD' text
+  const [importData, setImportData] = useState(null); // { headers, rows, mapping, dateFormat, amountFormat, toggled }
+  const [localBackups, setLocalBackups] = useState([]); // File names in the backups directory, newest first
+
+  // Currency State - rates are the value of one unit of that currency in the base currency
+  const [currencySettings, setCurrencySettings] = useState({ base: 'USD', rates: {} }); // { base: 'USD', rates: { EUR: 1.08 } }
+
+  // Search State
+  const [searchVisible, setSearchVisible] = useState(false);
+  const [searchFilters, setSearchFilters] = useState({
+    query: '',
+    type: 'all', // 'all' or a transaction type
+    minAmount: '',
+    maxAmount: '',
+    from: '', // 'YYYY-MM-DD'
+    to: '',
+  });
+
+  // Menu State
+  const [menuVisible, setMenuVisible] = useState(false);
+
+  // Analytics State
+  const [analyticsVisible, setAnalyticsVisible] = useState(false);
+  const [analyticsCategory, setAnalyticsCategory] = useState(null); // Group key of the drilled-into slice
+  const [analyticsLevel, setAnalyticsLevel] = useState('category'); // 'category' or 'subcategory'
+  const [trendMonths, setTrendMonths] = useState(6); // 6 or 12
+
+  // Settings State
+  const [settingsVisible, setSettingsVisible] = useState(false);
+  const [currencyDraft, setCurrencyDraft] = useState({ base: 'USD', rates: [] }); // { base, rates: [{ code, rate }] } as text
+  const [openingBalanceDraft, setOpeningBalanceDraft] = useState({}); // { [accountId]: text }
+  const [monthStartDraft, setMonthStartDraft] = useState('1');
 
   // State for adding a new category on the fly
   const [newCategoryName, setNewCategoryName] = useState('');
   const [isAddingCategory, setIsAddingCategory] = useState(false);
 
-  // Filter State
+  // Filter State - currentDate is any day inside the viewed period
   const [currentDate, setCurrentDate] = useState(new Date());
+  const [periodMode, setPeriodMode] = useState('month'); // A PERIOD_MODES key
+  const [monthStartDay, setMonthStartDay] = useState(1); // Day each month begins on, e.g. 25 for payday cycles
+  const [customRange, setCustomRange] = useState(null); // { from, to } Dates, both days included, in 'range' mode
+  const [rangeDraft, setRangeDraft] = useState({ from: '', to: '' }); // 'YYYY-MM-DD' text in the period picker
+  const [tagFilter, setTagFilter] = useState(null); // Tag the month list is narrowed to, null for all
+
+  // Savings Goals State - transactions count towards a goal through their goalId
+  const [goals, setGoals] = useState([]); // [{ id, name, target, targetDate }], targetDate 'YYYY-MM-DD' or null
+  const [goalsVisible, setGoalsVisible] = useState(false);
+  const [goalForm, setGoalForm] = useState(null); // { id, name, target, targetDate } as text, id null for new
+
+  // Debts State - loans are Lent/Borrowed transactions that name a person
+  const [people, setPeople] = useState([]); // [{ id, name }]
+  const [debtsVisible, setDebtsVisible] = useState(false);
+  const [expandedPerson, setExpandedPerson] = useState(null); // id of the person whose ledger is open
+  const [personForm, setPersonForm] = useState(null); // { id, name } while adding/renaming, id null for new
+
+  // Bills State - paidCount occurrences from startDate are paid, the next one is due
+  const [bills, setBills] = useState([]); // [{ id, name, amount, currency, category, accountId, startDate, frequency, remindDays, paidCount }]
+  const [billsVisible, setBillsVisible] = useState(false);
+  const reminderRun = useRef(Promise.resolve()); // Each rescheduling waits for the previous one to finish
+  const [billForm, setBillForm] = useState(null); // { id, name, amount, category, accountId, dueDate, frequency, remindDays }, id null for new
+
+  // Reimbursements State
+  const [reimbursementsVisible, setReimbursementsVisible] = useState(false);
+  const [settleSelection, setSettleSelection] = useState({}); // { [expenseId]: true } picked for settling
+
+  // Tag Report State
+  const [tagsVisible, setTagsVisible] = useState(false);
+  const [tagReportRange, setTagReportRange] = useState({ from: '', to: '' }); // 'YYYY-MM-DD' text, blank for open-ended
 
   // Date Picker State
   const [pickerVisible, setPickerVisible] = useState(false);
   const [pickerYear, setPickerYear] = useState(new Date().getFullYear());
 
+  // Transaction Date Picker State
+  const [datePickerVisible, setDatePickerVisible] = useState(false);
+  const [datePickerMonth, setDatePickerMonth] = useState(new Date()); // Month shown in the calendar
+  const [datePickerTarget, setDatePickerTarget] = useState('date'); // 'date' or 'endDate'
+
   // Grouping State
   const [expandedCategories, setExpandedCategories] = useState({}); // { 'Income-Salary': true }
 
+  // History State - entries describe reversible actions, see applyHistoryEntry
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [snackbar, setSnackbar] = useState(null); // { message, entry } after a destructive action
+  const [trash, setTrash] = useState([]); // Deleted transactions with a deletedAt ISO date
+  const [trashVisible, setTrashVisible] = useState(false);
+
   // Category Deletion State
   const [deleteModalVisible, setDeleteModalVisible] = useState(false);
   const [categoryToDelete, setCategoryToDelete] = useState(null); // { name: 'Salary', type: 'Income' }
   const [reassignCategory, setReassignCategory] = useState('');
 
   // --- Persistence ---
-  const STORAGE_KEYS = {
-    TRANSACTIONS: '@tracker_app_transactions',
-    CATEGORIES: '@tracker_app_categories',
-    THEME: '@tracker_app_theme',
-  };
-
   useEffect(() => {
     const loadData = async () => {
       try {
-        const [storedTransactions, storedCategories, storedTheme] = await Promise.all([
-          AsyncStorage.getItem(STORAGE_KEYS.TRANSACTIONS),
-          AsyncStorage.getItem(STORAGE_KEYS.CATEGORIES),
-          AsyncStorage.getItem(STORAGE_KEYS.THEME),
-        ]);
-
-        if (storedTransactions) setTransactions(JSON.parse(storedTransactions));
-        if (storedCategories) setCategories(JSON.parse(storedCategories));
-        if (storedTheme) setTheme(storedTheme);
-      } catch (e) {
-        Alert.alert('Error', 'Failed to load data.');
-      } finally {
+        // Stored data is migrated to the current schema and repaired before we see it
+        const { data, dropped } = await loadWallet();
+
+        // Materialize any recurring occurrences that came due since the last launch
+        const { rules, generated } = materializeRecurring(data.recurringRules || []);
+        const loadedTransactions = data.transactions || [];
+
+        setTransactions([...generated, ...loadedTransactions]);
+        setRecurringRules(rules);
+        if (data.categories) setCategories(data.categories);
+        if (data.theme) setTheme(data.theme);
+        if (data.budgets) setBudgets(data.budgets);
+        if (data.currencySettings) setCurrencySettings(data.currencySettings);
+        if (data.accounts) setAccounts(data.accounts);
+        const keptTrash = data.trash ? purgeTrash(data.trash) : [];
+        if (data.trash) setTrash(keptTrash);
+        if (data.monthStartDay) setMonthStartDay(data.monthStartDay);
+        if (data.goals) setGoals(data.goals);
+        if (data.bills) setBills(data.bills);
+        if (data.people) setPeople(data.people);
+
+        // Nothing can undo back to a receipt from an earlier session, so unreferenced files can go.
+        // Skipped after a repair, when references may have been lost with damaged records.
+        if (dropped === 0) {
+          deleteUnusedReceipts(new Set([...loadedTransactions, ...keptTrash].flatMap(getReceipts)));
+        }
+
+        if (dropped > 0) {
+          Alert.alert('Data Repaired', `${dropped} damaged records could not be recovered and were removed.`);
+        }
         setIsLoaded(true);
+      } catch (e) {
+        setLoadError(e instanceof NewerSchemaError
+          ? `Your data was saved by a newer version of this app. Please update the app to open it.\n\n${e.message}`
+          : `Failed to load data: ${e.message}`);
       }
     };
 
@@ -123,46 +400,313 @@ export default function App() {
 
   useEffect(() => {
     if (isLoaded) {
-      AsyncStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions)).catch(e => console.error(e));
+      saveField('transactions', transactions).catch(e => console.error(e));
     }
   }, [transactions, isLoaded]);
 
   useEffect(() => {
     if (isLoaded) {
-      AsyncStorage.setItem(STORAGE_KEYS.CATEGORIES, JSON.stringify(categories)).catch(e => console.error(e));
+      saveField('categories', categories).catch(e => console.error(e));
     }
   }, [categories, isLoaded]);
 
   useEffect(() => {
     if (isLoaded) {
-      AsyncStorage.setItem(STORAGE_KEYS.THEME, theme).catch(e => console.error(e));
+      saveField('theme', theme).catch(e => console.error(e));
     }
   }, [theme, isLoaded]);
 
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('recurringRules', recurringRules).catch(e => console.error(e));
+    }
+  }, [recurringRules, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('budgets', budgets).catch(e => console.error(e));
+    }
+  }, [budgets, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('currencySettings', currencySettings).catch(e => console.error(e));
+    }
+  }, [currencySettings, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('monthStartDay', monthStartDay).catch(e => console.error(e));
+    }
+  }, [monthStartDay, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('goals', goals).catch(e => console.error(e));
+    }
+  }, [goals, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('people', people).catch(e => console.error(e));
+    }
+  }, [people, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('bills', bills).catch(e => console.error(e));
+      // One run at a time, so two overlapping runs cannot both schedule after each other's cancel
+      reminderRun.current = reminderRun.current
+        .then(() => scheduleBillReminders(bills))
+        .catch(e => console.error(e));
+    }
+  }, [bills, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('accounts', accounts).catch(e => console.error(e));
+    }
+  }, [accounts, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) {
+      saveField('trash', trash).catch(e => console.error(e));
+    }
+  }, [trash, isLoaded]);
+
+  useEffect(() => {
+    if (!snackbar) return undefined;
+    const timer = setTimeout(() => setSnackbar(null), SNACKBAR_DURATION);
+    return () => clearTimeout(timer);
+  }, [snackbar]);
+
   // --- Helpers ---
-  const formatCurrency = (amount) => {
-    return '$' + Number(amount).toFixed(2);
+  const purgeTrash = (items) => {
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    return items.filter(t => new Date(t.deletedAt).getTime() > cutoff);
+  };
+
+  const getTrashDaysLeft = (item) => {
+    const purgeAt = new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+  };
+
+  const formatCurrency = (amount, currency = currencySettings.base) => {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(amount));
+    } catch (e) {
+      // Unknown ISO code
+      return `${currency} ${Number(amount).toFixed(2)}`;
+    }
+  };
+
+  const getCurrencySymbol = (currency) => {
+    try {
+      const parts = new Intl.NumberFormat(undefined, { style: 'currency', currency }).formatToParts(0);
+      return parts.find(part => part.type === 'currency').value;
+    } catch (e) {
+      return currency;
+    }
+  };
+
+  // Amounts in a currency without a rate count as 0 and are flagged, see missingRates
+  const toBaseAmount = (item) => convertToBase(item, currencySettings);
+
+  const availableCurrencies = [currencySettings.base, ...Object.keys(currencySettings.rates)];
+
+  // Everything with an amount in its own currency
+  const getCurrencyRecords = () => [...transactions, ...recurringRules, ...bills];
+
+  // Parses 'YYYY-MM-DD' inputs into whole-day bounds; blank inputs stay open-ended, invalid ones return null
+  const parseDateRange = (fromText, toText) => {
+    const from = fromText.trim() ? parseDateKey(fromText) : undefined;
+    const to = toText.trim() ? parseDateKey(toText) : undefined;
+    if (from === null || to === null) return null;
+    if (to) to.setHours(23, 59, 59, 999);
+    return { from, to };
+  };
+
+  const isInDateRange = (iso, range) => {
+    const date = new Date(iso);
+    return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+  };
+
+  // Dates are always formatted from dateISO so they follow the device's current locale
+  const formatDate = (iso) => new Date(iso).toLocaleDateString();
+
+  const formatDayMonth = (iso) => new Date(iso).toLocaleDateString(undefined, { day: '2-digit', month: '2-digit' });
+
+  const formatDateTime = (iso) => {
+    const date = new Date(iso);
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
   };
 
   const getMonthYear = (date) => {
     return date.toLocaleString('default', { month: 'long', year: 'numeric' });
   };
 
-  const isSameMonth = (d1, d2) => {
-    const date1 = new Date(d1);
-    const date2 = new Date(d2);
-    return date1.getMonth() === date2.getMonth() && date1.getFullYear() === date2.getFullYear();
+  // Months follow the month start day, see periods.js
+  const isSameMonth = (d1, d2) => (
+    getCycleStart(d1, monthStartDay).getTime() === getCycleStart(d2, monthStartDay).getTime()
+  );
+
+  const getMonthLabel = (start) => {
+    if (monthStartDay === 1) return getMonthYear(start);
+    const last = new Date(start.getFullYear(), start.getMonth() + 1, monthStartDay - 1);
+    const short = (date) => date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    return `${short(start)} – ${short(last)} ${last.getFullYear()}`;
+  };
+
+  const period = getPeriodBounds(currentDate, periodMode, monthStartDay, customRange);
+
+  const isInPeriod = (iso, bounds = period) => {
+    const date = new Date(iso);
+    return date >= bounds.start && date < bounds.end;
+  };
+
+  const isFuturePeriod = () => period.start > new Date();
+
+  const getPeriodLabel = () => {
+    const last = new Date(period.end.getFullYear(), period.end.getMonth(), period.end.getDate() - 1);
+    const short = (date) => date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    switch (periodMode) {
+      case 'week':
+        return `${short(period.start)} – ${short(last)} ${last.getFullYear()}`;
+      case 'quarter':
+        return `Q${Math.floor(period.start.getMonth() / 3) + 1} ${period.start.getFullYear()}`;
+      case 'year':
+        return String(period.start.getFullYear());
+      case 'range':
+        return `${formatDate(period.start.toISOString())} – ${formatDate(last.toISOString())}`;
+      default:
+        return getMonthLabel(period.start);
+    }
+  };
+
+  const getNextOccurrence = (rule) => {
+    const last = rule.lastGeneratedISO ? new Date(rule.lastGeneratedISO) : null;
+    const end = rule.endDateISO ? new Date(rule.endDateISO) : null;
+    for (let i = 0; ; i++) {
+      const date = getOccurrenceDate(rule, i);
+      if (end && date > end) return null;
+      if (!last || date > last) return date;
+    }
   };
 
-  const isFutureMonth = (date) => {
+  const materializeRecurring = (rules) => {
     const now = new Date();
-    const viewed = new Date(date.getFullYear(), date.getMonth(), 1);
-    const current = new Date(now.getFullYear(), now.getMonth(), 1);
-    return viewed > current;
+    const generated = [];
+
+    const updatedRules = rules.map(rule => {
+      if (rule.paused) return rule;
+
+      const last = rule.lastGeneratedISO ? new Date(rule.lastGeneratedISO) : null;
+      const end = rule.endDateISO ? new Date(rule.endDateISO) : null;
+      // Everything that isn't scheduling metadata is copied onto each occurrence
+      const { id, frequency, startDateISO, endDateISO, paused, lastGeneratedISO: previous, ...fields } = rule;
+      let lastGeneratedISO = rule.lastGeneratedISO;
+
+      for (let i = 0; ; i++) {
+        const date = getOccurrenceDate(rule, i);
+        if (date > now || (end && date > end)) break;
+        if (last && date <= last) continue;
+
+        generated.push({
+          ...fields,
+          id: `${id}-${date.getTime()}`,
+          dateISO: date.toISOString(),
+          recurringId: id,
+        });
+        lastGeneratedISO = date.toISOString();
+      }
+
+      return lastGeneratedISO === rule.lastGeneratedISO ? rule : { ...rule, lastGeneratedISO };
+    });
+
+    return { rules: updatedRules, generated };
+  };
+
+  const getFrequencyLabel = (key) => {
+    const frequency = FREQUENCIES.find(f => f.key === key);
+    return frequency ? frequency.label : key;
+  };
+
+  const getAccountId = (item) => item.accountId || DEFAULT_ACCOUNT_ID;
+
+  // New records go into the account being viewed, or the first one when viewing all
+  const getEntryAccountId = () => (selectedAccountId === 'all' ? accounts[0].id : selectedAccountId);
+
+  const getAccountName = (id) => {
+    const account = accounts.find(a => a.id === id);
+    return account ? account.name : 'Unknown';
+  };
+
+  const involvesAccount = (item, accountId) => (
+    getAccountId(item) === accountId || (item.type === 'Transfer' && item.toAccountId === accountId)
+  );
+
+  // How a transaction moves the balance of one account, or of all accounts combined ('all').
+  // Transfers move money between accounts without changing the combined total.
+  const getBalanceEffect = (t, accountId) => {
+    const amount = toBaseAmount(t);
+    if (t.type === 'Transfer') {
+      if (accountId === 'all') return 0;
+      let effect = 0;
+      if (t.toAccountId === accountId) effect += amount;
+      if (getAccountId(t) === accountId) effect -= amount;
+      return effect;
+    }
+    if (accountId !== 'all' && getAccountId(t) !== accountId) return 0;
+    return isMoneyIn(t) ? amount : -amount;
+  };
+
+  const getOpeningBalance = (accountId) => {
+    return accounts
+      .filter(a => accountId === 'all' || a.id === accountId)
+      .reduce((acc, a) => acc + (Number(a.openingBalance) || 0), 0);
+  };
+
+  const getCategory = (type, name) => (categories[type] || []).find(c => c.name === name);
+
+  // Chips offered when picking a category; an archived one still shows while it is selected
+  const getCategoryChoices = (type, selected) => sortByHierarchy(categories[type] || []).filter(c => !c.archived || c.name === selected);
+
+  // Subcategories roll up into their parent for group totals, charts and budgets
+  const getTopCategory = (type, name) => getTopCategoryName(categories[type] || [], name);
+
+  const isInCategory = (type, name, category) => name === category || getTopCategory(type, name) === category;
+
+  const isSplit = (item) => Array.isArray(item.splits) && item.splits.length > 0;
+
+  // Category lines of a transaction (or rule); a split with several lines in one category counts once
+  const getCategoryLines = (item) => {
+    if (!isSplit(item)) return [{ category: item.category, amount: Number(item.amount), note: item.note }];
+    return item.splits.reduce((lines, split) => {
+      const existing = lines.find(line => line.category === split.category);
+      if (existing) existing.amount += Number(split.amount);
+      else lines.push({ ...split, amount: Number(split.amount) });
+      return lines;
+    }, []);
+  };
+
+  const usesCategory = (item, name, type) => item.type === type && getCategoryLines(item).some(line => line.category === name);
+
+  const getCategoryLabel = (item) => {
+    if (item.type === 'Transfer') return `${getAccountName(getAccountId(item))} → ${getAccountName(item.toAccountId)}`;
+    if (isDebt(item)) return `${getDebtKind(item).verb} ${getPersonName(item.personId)}`;
+    return getCategoryLines(item).map(line => line.category).join(' + ');
+  };
+
+  // All-time balance in the base currency
+  const getAccountBalance = (accountId) => {
+    return transactions.reduce((acc, t) => acc + getBalanceEffect(t, accountId), getOpeningBalance(accountId));
   };
 
   const getFilteredTransactions = () => {
-    return transactions.filter(t => isSameMonth(t.dateISO, currentDate));
+    return transactions.filter(t => (
+      isInPeriod(t.dateISO) &&
+      (selectedAccountId === 'all' || involvesAccount(t, selectedAccountId))
+    ));
   };
 
   const filteredTransactions = getFilteredTransactions();
@@ -170,543 +714,5093 @@ export default function App() {
   const getTotals = () => {
     const income = filteredTransactions
       .filter((t) => t.type === 'Income')
-      .reduce((acc, curr) => acc + Number(curr.amount), 0);
+      .reduce((acc, curr) => acc + toBaseAmount(curr), 0);
     const expense = filteredTransactions
       .filter((t) => t.type === 'Expense')
-      .reduce((acc, curr) => acc + Number(curr.amount), 0);
-    return { income, expense, balance: income - expense };
+      .reduce((acc, curr) => acc + toBaseAmount(curr), 0);
+
+    // Carry over everything before the viewed period on top of the opening balance
+    const opening = transactions
+      .filter(t => new Date(t.dateISO) < period.start)
+      .reduce((acc, t) => acc + getBalanceEffect(t, selectedAccountId), getOpeningBalance(selectedAccountId));
+    const net = filteredTransactions.reduce((acc, t) => acc + getBalanceEffect(t, selectedAccountId), 0);
+
+    return { income, expense, balance: income - expense, opening, net, closing: opening + net };
   };
 
   const totals = getTotals();
 
-  const getGroupedTransactions = () => {
+  // The month list can be narrowed to one tag; totals and charts still cover the whole month
+  const listedTransactions = tagFilter ? filteredTransactions.filter(t => hasTag(t, tagFilter)) : filteredTransactions;
+
+  const getGroupKey = (t, parent) => {
+    if (t.type === 'Transfer') return 'Transfer';
+    if (isDebt(t)) return 'Debt';
+    return `${t.type}-${parent}`;
+  };
+
+  const getGroupedTransactions = (list) => {
     const groups = {};
-    filteredTransactions.forEach(t => {
-      const key = `${t.type}-${t.category}`;
-      if (!groups[key]) {
-        groups[key] = {
-          key,
-          category: t.category,
-          type: t.type,
-          total: 0,
-          transactions: []
-        };
-      }
-      groups[key].transactions.push(t);
-      groups[key].total += t.amount;
+    list.forEach(t => {
+      getCategoryLines(t).forEach(line => {
+        // Transfers and loans each share one group without subcategories
+        const shared = t.type === 'Transfer' || isDebt(t);
+        const parent = t.type === 'Transfer' ? 'Transfers' : isDebt(t) ? 'Debts & Loans' : getTopCategory(t.type, line.category);
+        const key = getGroupKey(t, parent);
+        if (!groups[key]) {
+          groups[key] = {
+            key,
+            category: parent,
+            type: isDebt(t) ? 'Debt' : t.type,
+            total: 0,
+            transactions: [],
+            children: {}
+          };
+        }
+        // A split shows up once in each of its groups, carrying that group's share
+        const entry = isSplit(t) ? { ...t, splitLine: line } : t;
+        const amount = toBaseAmount({ ...t, amount: line.amount });
+        groups[key].transactions.push(entry);
+        groups[key].total += amount;
+
+        // Subtotals per subcategory; entries booked on the parent itself get their own row
+        if (shared) return;
+        const children = groups[key].children;
+        if (!children[line.category]) {
+          children[line.category] = { key: `${t.type}-${line.category}`, category: line.category, type: t.type, total: 0, transactions: [] };
+        }
+        children[line.category].transactions.push(entry);
+        children[line.category].total += amount;
+      });
+    });
+
+    Object.values(groups).forEach(group => {
+      group.transactions.sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
+      group.count = new Set(group.transactions.map(t => t.id)).size;
+      group.children = Object.values(group.children).sort((a, b) => b.total - a.total);
+      group.children.forEach(child => {
+        child.transactions.sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
+        child.count = child.transactions.length;
+      });
+      group.hasChildren = group.children.some(child => child.category !== group.category);
     });
 
-    // Sort transactions within groups by date (newest first)
     // Sort groups by total amount (descending) or keep them by income/expense?
-    // Let's sort groups by type (Income first) then by Total Amount desc
+    // Let's sort groups by type (Income, Expense, then Transfers) then by Total Amount desc
+    const typeOrder = ['Income', 'Expense', 'Transfer', 'Debt'];
     return Object.values(groups).sort((a, b) => {
-      if (a.type !== b.type) return a.type === 'Income' ? -1 : 1;
+      if (a.type !== b.type) return typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type);
       return b.total - a.total;
     });
   };
 
-  const groupedTransactions = getGroupedTransactions();
+  const groupedTransactions = getGroupedTransactions(listedTransactions);
+  const monthGroups = tagFilter ? getGroupedTransactions(filteredTransactions) : groupedTransactions;
+
+  // Expense slices per top-level category, or per subcategory when drilled down a level
+  const getCategoryBreakdown = () => {
+    const expenseGroups = monthGroups.filter(group => group.type === 'Expense');
+    const slices = analyticsLevel === 'subcategory'
+      ? expenseGroups.flatMap(group => group.children).sort((a, b) => b.total - a.total)
+      : expenseGroups;
+    return slices
+      .map((group, index) => {
+        const category = getCategory('Expense', group.category);
+        return { ...group, color: category ? category.color : CATEGORY_COLORS[index % CATEGORY_COLORS.length] };
+      });
+  };
+
+  // Income and expense for the months leading up to (and including) the viewed month
+  const getMonthlyTrend = (count) => {
+    const months = [];
+    for (let i = count - 1; i >= 0; i--) {
+      const viewed = getCycleStart(currentDate, monthStartDay);
+      const month = getMonthStart(viewed.getFullYear(), viewed.getMonth() - i, monthStartDay);
+      const monthTransactions = transactions.filter(t => (
+        isSameMonth(t.dateISO, month) &&
+        (selectedAccountId === 'all' || involvesAccount(t, selectedAccountId))
+      ));
+      const sum = (type) => monthTransactions
+        .filter(t => t.type === type)
+        .reduce((acc, curr) => acc + toBaseAmount(curr), 0);
+      months.push({ date: month, income: sum('Income'), expense: sum('Expense') });
+    }
+    return months;
+  };
+
+  // SVG path for a circular arc, angles in radians clockwise from 3 o'clock
+  const describeArc = (cx, cy, r, startAngle, endAngle) => {
+    const startX = cx + r * Math.cos(startAngle);
+    const startY = cy + r * Math.sin(startAngle);
+    const endX = cx + r * Math.cos(endAngle);
+    const endY = cy + r * Math.sin(endAngle);
+    const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+    return `M ${startX} ${startY} A ${r} ${r} 0 ${largeArc} 1 ${endX} ${endY}`;
+  };
+
+  // 0 = within budget, 1 = near the limit, 2 = over the limit
+  const getBudgetLevel = (spent, limit) => {
+    if (!limit) return 0;
+    if (spent > limit) return 2;
+    if (spent >= limit * BUDGET_WARNING_RATIO) return 1;
+    return 0;
+  };
+
+  const getBudgetColor = (spent, limit) => {
+    const level = getBudgetLevel(spent, limit);
+    if (level === 2) return colors.expense;
+    if (level === 1) return colors.accent;
+    return colors.income;
+  };
+
+  const getMonthExpenses = (list, date, category) => {
+    return list
+      .filter(t => t.type === 'Expense' && isSameMonth(t.dateISO, date))
+      .reduce((acc, curr) => {
+        if (!category) return acc + toBaseAmount(curr);
+        // A parent's budget also counts what was spent in its subcategories
+        return getCategoryLines(curr)
+          .filter(l => isInCategory('Expense', l.category, category))
+          .reduce((sum, l) => sum + toBaseAmount({ ...curr, amount: l.amount }), acc);
+      }, 0);
+  };
+
+  // Alerts when a save moves the saved transaction's month past a budget threshold
+  const warnOnBudget = (before, after, transaction) => {
+    if (transaction.type !== 'Expense') return;
+
+    const lineCategories = getCategoryLines(transaction).map(line => line.category);
+    const checked = [...new Set([...lineCategories, ...lineCategories.map(name => getTopCategory('Expense', name))])];
+    const checks = [
+      ...checked.map(name => ({ label: `"${name}"`, limit: budgets.categories[name], category: name })),
+      { label: 'your monthly', limit: budgets.overall, category: null },
+    ];
+
+    const messages = checks
+      .filter(check => check.limit)
+      .map(check => {
+        const spentBefore = getMonthExpenses(before, transaction.dateISO, check.category);
+        const spentAfter = getMonthExpenses(after, transaction.dateISO, check.category);
+        const levelAfter = getBudgetLevel(spentAfter, check.limit);
+        if (levelAfter <= getBudgetLevel(spentBefore, check.limit)) return null;
+        return levelAfter === 2
+          ? `You are over ${check.label} budget: ${formatCurrency(spentAfter)} of ${formatCurrency(check.limit)}.`
+          : `You have used ${Math.round((spentAfter / check.limit) * 100)}% of ${check.label} budget.`;
+      })
+      .filter(Boolean);
+
+    if (messages.length > 0) {
+      Alert.alert('Budget Warning', messages.join('\n'));
+    }
+  };
 
   // --- Handlers ---
   const toggleTheme = () => {
     setTheme(prev => prev === 'light' ? 'dark' : 'light');
   };
 
-  const handleAddTransaction = () => {
-    if (!newTransaction.amount || !newTransaction.category) {
-      Alert.alert('Missing Info', 'Please enter an amount and select a category.');
-      return;
-    }
-
+  const getDefaultTransactionDate = () => {
     const now = new Date();
-    // Use the currently viewed month/year for the transaction date
-    const transactionDate = new Date(currentDate);
-    transactionDate.setDate(now.getDate());
+    if (isInPeriod(now)) return now;
 
-    // Handle month rollover
-    if (transactionDate.getMonth() !== currentDate.getMonth()) {
-      transactionDate.setDate(0);
+    if (periodMode !== 'month') {
+      const date = new Date(period.start);
+      date.setHours(now.getHours(), now.getMinutes(), 0, 0);
+      return date;
     }
 
-    const transaction = {
-      id: Date.now().toString(),
-      dateISO: transactionDate.toISOString(),
-      displayDate: transactionDate.toLocaleDateString(),
-      ...newTransaction,
-      amount: parseFloat(newTransaction.amount),
-    };
+    // Use today's day and time within the currently viewed month
+    const { start, end } = period;
+    const date = new Date(start.getFullYear(), start.getMonth(), now.getDate(), now.getHours(), now.getMinutes());
+    // Days before the start day fall in the month's second calendar month
+    if (date < start) date.setMonth(date.getMonth() + 1);
 
-    setTransactions([transaction, ...transactions]);
-    setModalVisible(false);
-    // Reset form
+    // Handle month rollover, e.g. the 31st in a 30-day month
+    if (date >= end) {
+      return new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1, now.getHours(), now.getMinutes());
+    }
+    return date;
+  };
+
+  const resetForm = () => {
     setNewTransaction({
       type: 'Expense',
       amount: '',
       category: '',
       note: '',
+      date: getDefaultTransactionDate().toISOString(),
+      currency: currencySettings.base,
+      accountId: getEntryAccountId(),
+      toAccountId: null,
+      frequency: 'none',
+      endDate: null,
+      splits: [],
+      tags: [],
+      reimbursement: null,
+      receipts: [],
+      goalId: null,
+      personId: null,
+      repayment: false,
     });
+    setTagInput('');
+    setEditingId(null);
+    setEditingRuleId(null);
     setNewCategoryName('');
     setIsAddingCategory(false);
   };
 
-  const confirmDelete = (id) => {
+  const toSplitDraft = (item) => (isSplit(item) ? item.splits.map(s => ({ ...s, amount: String(s.amount), note: s.note || '' })) : []);
+
+  const openAddModal = () => {
+    resetForm();
+    setModalVisible(true);
+  };
+
+  const openEditModal = (item) => {
+    setNewTransaction({
+      type: item.type,
+      amount: String(item.amount),
+      category: item.category,
+      note: item.note || '',
+      date: item.dateISO,
+      currency: item.currency || currencySettings.base,
+      accountId: getAccountId(item),
+      toAccountId: item.toAccountId || null,
+      frequency: 'none',
+      endDate: null,
+      splits: toSplitDraft(item),
+      tags: getTags(item),
+      reimbursement: item.reimbursement || null,
+      receipts: getReceipts(item),
+      goalId: item.goalId || null,
+      personId: item.personId || null,
+      repayment: !!item.repayment,
+    });
+    setTagInput('');
+    setEditingId(item.id);
+    setEditingRuleId(null);
+    setNewCategoryName('');
+    setIsAddingCategory(false);
+    setModalVisible(true);
+  };
+
+  const openEditRuleModal = (rule) => {
+    setNewTransaction({
+      type: rule.type,
+      amount: String(rule.amount),
+      category: rule.category,
+      note: rule.note || '',
+      date: rule.startDateISO,
+      currency: rule.currency || currencySettings.base,
+      accountId: getAccountId(rule),
+      toAccountId: rule.toAccountId || null,
+      frequency: rule.frequency,
+      endDate: rule.endDateISO,
+      splits: toSplitDraft(rule),
+      tags: getTags(rule),
+      reimbursement: rule.reimbursement || null,
+      receipts: [],
+      goalId: rule.goalId || null,
+      personId: rule.personId || null,
+      repayment: !!rule.repayment,
+    });
+    setTagInput('');
+    setEditingId(null);
+    setEditingRuleId(rule.id);
+    setNewCategoryName('');
+    setIsAddingCategory(false);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    deleteReceiptFiles(draftReceipts.current);
+    draftReceipts.current = [];
+    setModalVisible(false);
+    setPersonForm(null);
+    resetForm();
+  };
+
+  // --- Tags ---
+  const getTagsInUse = () => getKnownTags([...transactions, ...recurringRules]);
+
+  const getTagSuggestions = () => {
+    const query = normalizeTag(tagInput).toLowerCase();
+    return getTagsInUse()
+      .filter(tag => !newTransaction.tags.includes(tag) && tag.toLowerCase().includes(query))
+      .slice(0, TAG_SUGGESTION_LIMIT);
+  };
+
+  // Reuses the spelling of a known tag when only the case differs
+  const addTag = (text) => {
+    const typed = normalizeTag(text);
+    if (!typed) return;
+    const tag = getTagsInUse().find(t => t.toLowerCase() === typed.toLowerCase()) || typed;
+    setNewTransaction(prev => (prev.tags.includes(tag) ? prev : { ...prev, tags: [...prev.tags, tag] }));
+    setTagInput('');
+  };
+
+  const removeTag = (tag) => {
+    setNewTransaction(prev => ({ ...prev, tags: prev.tags.filter(t => t !== tag) }));
+  };
+
+  // Totals per tag in the report's date range, null while the range is invalid
+  const getTagRows = () => {
+    const range = parseDateRange(tagReportRange.from, tagReportRange.to);
+    return range ? getTagReport(transactions, range, toBaseAmount) : null;
+  };
+
+  const setTagReportPeriod = (preset) => {
+    if (preset === 'month' || preset === 'year') {
+      const { start, end } = getPeriodBounds(preset === 'month' ? currentDate : new Date(), preset, monthStartDay);
+      setTagReportRange({
+        from: formatDateKey(start),
+        to: formatDateKey(new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1)),
+      });
+    } else {
+      setTagReportRange({ from: '', to: '' });
+    }
+  };
+
+  // --- Reimbursements ---
+  const updateReimbursements = (edits, label) => {
+    if (edits.length === 0) return;
+    setTransactions(prev => applyEdits(prev, edits, false));
+    recordAction({ kind: 'editMany', label, edits });
+  };
+
+  const setReimbursementStatus = (item, status) => {
+    updateReimbursements(getReimbursementEdits(transactions, [item.id], { status, incomeId: null }), 'Update reimbursement');
+  };
+
+  const toggleSettleSelection = (id) => {
+    setSettleSelection(prev => {
+      const { [id]: selected, ...rest } = prev;
+      return selected ? rest : { ...rest, [id]: true };
+    });
+  };
+
+  const getSettleCandidates = () => transactions
+    .filter(t => t.type === 'Income')
+    .sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO))
+    .slice(0, SETTLE_INCOME_LIMIT);
+
+  const getSettledBy = (item) => {
+    const incomeId = item.reimbursement && item.reimbursement.incomeId;
+    return incomeId ? transactions.find(t => t.id === incomeId) : null;
+  };
+
+  // Marks the selected expenses as paid by one incoming payment
+  const confirmSettle = (income) => {
+    const selected = transactions.filter(t => settleSelection[t.id]);
+    const { owed, difference } = getSettlement(selected, income, toBaseAmount);
     Alert.alert(
-      "Delete Transaction",
-      "Are you sure you want to remove this transaction?",
+      'Settle Reimbursements',
+      `Mark ${selected.length} ${selected.length === 1 ? 'expense' : 'expenses'} (${formatCurrency(owed)}) as paid by the ${formatCurrency(income.amount, income.currency)} income from ${formatDate(income.dateISO)}?` +
+      (Math.abs(difference) >= 0.005 ? `\n\nThe payment is ${formatCurrency(Math.abs(difference))} ${difference > 0 ? 'more' : 'less'} than the expenses.` : ''),
       [
-        { text: "Cancel", style: "cancel" },
+        { text: 'Cancel', style: 'cancel' },
         {
-          text: "Delete",
-          style: "destructive",
+          text: 'Settle',
           onPress: () => {
-            setTransactions(prev => prev.filter(t => t.id !== id));
+            updateReimbursements(getSettleEdits(transactions, selected.map(t => t.id), income), 'Settle reimbursements');
+            setSettleSelection({});
           }
         }
       ]
     );
   };
 
-  const handleAddNewCategory = () => {
-    if (!newCategoryName.trim()) return;
+  const closeReimbursements = () => {
+    setReimbursementsVisible(false);
+    setSettleSelection({});
+  };
 
-    // Prevent duplicates
-    if (categories[newTransaction.type].includes(newCategoryName.trim())) {
-      Alert.alert('Error', 'Category already exists.');
+  // --- Savings goals ---
+  const getGoalName = (id) => {
+    const goal = goals.find(g => g.id === id);
+    return goal ? goal.name : null;
+  };
+
+  const openGoalForm = (goal) => {
+    setGoalForm(goal
+      ? { id: goal.id, name: goal.name, target: String(goal.target), targetDate: goal.targetDate || '' }
+      : { id: null, name: '', target: '', targetDate: '' });
+  };
+
+  const saveGoal = () => {
+    const name = goalForm.name.trim();
+    const target = parseFloat(goalForm.target);
+    if (!name || !(target > 0)) {
+      Alert.alert('Missing Info', 'Please enter a goal name and a target amount.');
+      return;
+    }
+    if (goals.some(g => g.name === name && g.id !== goalForm.id)) {
+      Alert.alert('Error', 'Goal already exists.');
+      return;
+    }
+    const targetDate = goalForm.targetDate.trim();
+    if (targetDate && !parseDateKey(targetDate)) {
+      Alert.alert('Invalid Date', 'Use YYYY-MM-DD for the target date, or leave it blank.');
       return;
     }
 
-    setCategories(prev => ({
+    const fields = { name, target, targetDate: targetDate || null };
+    if (goalForm.id) {
+      setGoals(prev => prev.map(g => (g.id === goalForm.id ? { ...g, ...fields } : g)));
+    } else {
+      setGoals(prev => [...prev, { id: Date.now().toString(), ...fields }]);
+    }
+    setGoalForm(null);
+  };
+
+  // Contributions stay as transactions and just stop counting towards a goal
+  const confirmDeleteGoal = (goal) => {
+    Alert.alert(
+      "Delete Goal",
+      `Are you sure you want to delete "${goal.name}"? Its contributions stay in your transactions.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            const unlink = (item) => {
+              if (item.goalId !== goal.id) return item;
+              const { goalId, ...rest } = item;
+              return rest;
+            };
+            setGoals(prev => prev.filter(g => g.id !== goal.id));
+            setTransactions(prev => prev.map(unlink));
+            setRecurringRules(prev => prev.map(unlink));
+            setGoalForm(null);
+          }
+        }
+      ]
+    );
+  };
+
+  const closeGoals = () => {
+    setGoalsVisible(false);
+    setGoalForm(null);
+  };
+
+  // --- Debts & loans ---
+  const getDebtKind = (item) => DEBT_KINDS.find(k => k.type === item.type && k.repayment === !!item.repayment);
+
+  const getPersonName = (id) => {
+    const person = people.find(p => p.id === id);
+    return person ? person.name : 'Unknown';
+  };
+
+  // Opens the add modal for a loan with the person; with an open balance it starts as a repayment of all of it
+  const openDebtEntry = (person, balance) => {
+    const settled = Math.abs(balance) < 0.005;
+    resetForm();
+    setNewTransaction(prev => ({
       ...prev,
-      [newTransaction.type]: [...prev[newTransaction.type], newCategoryName.trim()]
+      type: balance < 0 ? 'Borrowed' : 'Lent',
+      repayment: !settled,
+      personId: person.id,
+      amount: settled ? '' : Math.abs(balance).toFixed(2),
+      currency: currencySettings.base,
     }));
-
-    setNewTransaction({ ...newTransaction, category: newCategoryName.trim() });
-    setNewCategoryName('');
-    setIsAddingCategory(false);
+    setDebtsVisible(false);
+    setModalVisible(true);
   };
 
-  const handleDeleteCategoryInitiation = (categoryName) => {
-    const type = newTransaction.type;
-    // Check for existing transactions
-    const hasTransactions = transactions.some(t => t.category === categoryName && t.type === type);
+  const savePerson = () => {
+    const name = personForm.name.trim();
+    if (!name) {
+      Alert.alert('Missing Info', 'Please enter a name.');
+      return;
+    }
+    if (people.some(p => p.name === name && p.id !== personForm.id)) {
+      Alert.alert('Error', 'Person already exists.');
+      return;
+    }
 
-    if (hasTransactions) {
-      setCategoryToDelete({ name: categoryName, type });
-      setDeleteModalVisible(true);
+    if (personForm.id) {
+      setPeople(prev => prev.map(p => (p.id === personForm.id ? { ...p, name } : p)));
     } else {
-      Alert.alert(
-        "Delete Category",
-        `Are you sure you want to delete "${categoryName}"?`,
-        [
-          { text: "Cancel", style: "cancel" },
-          {
-            text: "Delete",
-            style: "destructive",
-            onPress: () => executeCategoryDeletion(categoryName, type, 'delete')
-          }
-        ]
-      );
+      const person = { id: Date.now().toString(), name };
+      setPeople(prev => [...prev, person]);
+      // Added from the transaction form: pick the new person straight away
+      if (modalVisible) setNewTransaction(prev => ({ ...prev, personId: person.id }));
     }
+    setPersonForm(null);
   };
 
-  const executeCategoryDeletion = (categoryName, type, action) => {
-    let updatedTransactions = [...transactions];
+  const confirmDeletePerson = (person) => {
+    if (transactions.some(t => t.personId === person.id) || recurringRules.some(r => r.personId === person.id)) {
+      Alert.alert('Person In Use', `Delete the loans with ${person.name} before removing them.`);
+      return;
+    }
 
-    if (action === 'delete') {
-      // Remove transactions with this category
-      updatedTransactions = updatedTransactions.filter(t => !(t.category === categoryName && t.type === type));
-    } else if (action === 'reassign') {
-      if (!reassignCategory) {
-        Alert.alert('Error', 'Please select a category to reassign to.');
-        return;
-      }
-      // Update transactions to new category
-      updatedTransactions = updatedTransactions.map(t => {
-        if (t.category === categoryName && t.type === type) {
-          return { ...t, category: reassignCategory };
+    Alert.alert(
+      "Remove Person",
+      `Are you sure you want to remove ${person.name}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: () => {
+            setPeople(prev => prev.filter(p => p.id !== person.id));
+            setPersonForm(null);
+          }
         }
-        return t;
+      ]
+    );
+  };
+
+  const closeDebts = () => {
+    setDebtsVisible(false);
+    setExpandedPerson(null);
+    setPersonForm(null);
+  };
+
+  // --- Bills ---
+  const getDueLabel = (due) => {
+    const days = getDaysUntil(due);
+    if (days < 0) return `Overdue by ${-days} ${days === -1 ? 'day' : 'days'}`;
+    if (days === 0) return 'Due today';
+    if (days === 1) return 'Due tomorrow';
+    return `Due in ${days} days · ${formatDate(due.toISOString())}`;
+  };
+
+  // The app schedules no other notifications, so every reminder is rebuilt from the bills.
+  // Each bill has one reminder, for its next due date; paying it schedules the one after.
+  const scheduleBillReminders = async (list) => {
+    await Notifications.cancelAllScheduledNotificationsAsync();
+    const reminders = getBillReminders(list);
+    if (reminders.length === 0) return;
+
+    const permission = await Notifications.getPermissionsAsync();
+    if (!permission.granted && !(await Notifications.requestPermissionsAsync()).granted) return;
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(BILL_CHANNEL_ID, {
+        name: 'Bill reminders',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+    }
+
+    for (const { bill, due, date } of reminders) {
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: bill.remindDays === 0 ? `${bill.name} is due today` : `${bill.name} is due on ${formatDate(due.toISOString())}`,
+          body: `${formatCurrency(bill.amount, bill.currency)} · ${bill.category}`,
+        },
+        trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date, channelId: BILL_CHANNEL_ID },
       });
     }
+  };
+
+  // Records the payment as an expense today and moves the bill on to its next due date
+  const markBillPaid = (bill) => {
+    const transaction = {
+      id: Date.now().toString(),
+      type: 'Expense',
+      amount: bill.amount,
+      category: bill.category,
+      note: bill.name,
+      dateISO: new Date().toISOString(),
+      currency: bill.currency || currencySettings.base,
+      accountId: bill.accountId || accounts[0].id,
+    };
+    const paid = { ...bill, paidCount: bill.paidCount + 1 };
+    const updatedTransactions = [transaction, ...transactions];
 
     setTransactions(updatedTransactions);
+    setBills(prev => prev.map(b => (b.id === bill.id ? paid : b)));
+    recordAction({ kind: 'payBill', label: 'Mark bill paid', transactions: [transaction], before: bill, after: paid }, `${bill.name} marked paid`);
+    warnOnBudget(transactions, updatedTransactions, transaction);
+  };
 
-    // Remove category from list
-    setCategories(prev => ({
-      ...prev,
-      [type]: prev[type].filter(c => c !== categoryName)
-    }));
+  const openBillForm = (bill) => {
+    if (bill) {
+      const due = getBillDueDate(bill);
+      setBillForm({
+        id: bill.id,
+        name: bill.name,
+        amount: String(bill.amount),
+        category: bill.category,
+        accountId: bill.accountId || accounts[0].id,
+        dueDate: due ? formatDateKey(due) : bill.startDate,
+        frequency: bill.frequency,
+        remindDays: bill.remindDays,
+      });
+      return;
+    }
+    const choices = getCategoryNames(getCategoryChoices('Expense'));
+    setBillForm({
+      id: null,
+      name: '',
+      amount: '',
+      category: choices.includes('Bills') ? 'Bills' : choices[0] || '',
+      accountId: getEntryAccountId(),
+      dueDate: formatDateKey(new Date()),
+      frequency: 'monthly',
+      remindDays: 1,
+    });
+  };
 
-    // Reset states
-    if (newTransaction.category === categoryName) {
-      setNewTransaction(prev => ({ ...prev, category: '' }));
+  const saveBill = () => {
+    const name = billForm.name.trim();
+    const amount = parseFloat(billForm.amount);
+    if (!name || !(amount > 0) || !billForm.category) {
+      Alert.alert('Missing Info', 'Please enter a name, an amount and a category.');
+      return;
     }
-    setDeleteModalVisible(false);
-    setCategoryToDelete(null);
-    setReassignCategory('');
+    const dueDate = billForm.dueDate.trim();
+    if (!parseDateKey(dueDate)) {
+      Alert.alert('Invalid Date', 'Use YYYY-MM-DD for the due date.');
+      return;
+    }
+
+    const { category, accountId, frequency, remindDays } = billForm;
+    const existing = bills.find(b => b.id === billForm.id);
+    const due = existing ? getBillDueDate(existing) : null;
+    // A new due date or repeat restarts the schedule from the entered date
+    const keepsSchedule = due && formatDateKey(due) === dueDate && existing.frequency === frequency;
+    const fields = {
+      name,
+      amount,
+      category,
+      accountId,
+      frequency,
+      remindDays,
+      ...(keepsSchedule ? {} : { startDate: dueDate, paidCount: 0 }),
+    };
+
+    if (existing) {
+      setBills(prev => prev.map(b => (b.id === existing.id ? { ...b, ...fields } : b)));
+    } else {
+      setBills(prev => [...prev, { id: Date.now().toString(), currency: currencySettings.base, ...fields }]);
+    }
+    setBillForm(null);
   };
 
-  const changeMonth = (direction) => {
-    const newDate = new Date(currentDate);
-    newDate.setMonth(currentDate.getMonth() + direction);
-    setCurrentDate(newDate);
+  // Payments already made stay in the transactions
+  const confirmDeleteBill = (bill) => {
+    Alert.alert(
+      "Delete Bill",
+      `Are you sure you want to delete "${bill.name}"? Payments you marked stay in your transactions.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            setBills(prev => prev.filter(b => b.id !== bill.id));
+            setBillForm(null);
+          }
+        }
+      ]
+    );
   };
 
-  const openPicker = () => {
-    setPickerYear(currentDate.getFullYear());
-    setPickerVisible(true);
+  const closeBills = () => {
+    setBillsVisible(false);
+    setBillForm(null);
   };
 
-  const selectMonthYear = (monthIndex) => {
-    const newDate = new Date(pickerYear, monthIndex, 1);
-    setCurrentDate(newDate);
-    setPickerVisible(false);
+  // Shows the tag's transactions for the viewed month on the main list
+  const filterByTag = (tag) => {
+    setTagFilter(tag);
+    setTagsVisible(false);
   };
 
-  // --- Render Items ---
-  const toggleCategory = (key) => {
-    setExpandedCategories(prev => ({
-      ...prev,
-      [key]: !prev[key]
-    }));
+  // --- Split lines ---
+  // Positive while part of the total is unassigned, negative when the lines exceed it
+  const getSplitRemainder = () => {
+    const assigned = newTransaction.splits.reduce((acc, s) => acc + (parseFloat(s.amount) || 0), 0);
+    return (parseFloat(newTransaction.amount) || 0) - assigned;
   };
 
-  const renderTransactionItem = (item) => (
-    <TouchableOpacity
-      key={item.id}
-      activeOpacity={0.7}
-      onLongPress={() => confirmDelete(item.id)}
-      style={[styles.subTransactionItem]}
-    >
-      <View style={styles.subTransactionContent}>
-        <View style={styles.subTransactionLeft}>
-          <Text style={[styles.transactionDate, { color: colors.subText, marginRight: 8, marginTop: 0 }]}>{item.displayDate.slice(0, 5)}</Text>
-          {item.note ? <Text style={[styles.transactionNote, { color: colors.subText }]} numberOfLines={1}>- {item.note}</Text> : null}
-        </View>
-        <Text style={[styles.subTransactionAmount, { color: item.type === 'Income' ? colors.income : colors.expense }]}>
-          {formatCurrency(item.amount)}
-        </Text>
-      </View>
-    </TouchableOpacity>
-  );
+  // The current category and amount become the first line, the second line takes the rest
+  const startSplit = () => {
+    setNewTransaction({
+      ...newTransaction,
+      splits: [
+        { category: newTransaction.category, amount: newTransaction.amount, note: '' },
+        { category: '', amount: '', note: '' },
+      ],
+    });
+  };
 
-  const renderCategoryBlock = ({ item }) => {
-    const isExpanded = expandedCategories[item.key];
-    return (
-      <View style={[styles.categoryBlock, { backgroundColor: colors.card }]}>
-        <TouchableOpacity
-          style={styles.categoryHeader}
-          onPress={() => toggleCategory(item.key)}
-          activeOpacity={0.7}
-        >
-          <View style={styles.categoryHeaderLeft}>
-            <View style={[styles.iconPlaceholder, { backgroundColor: item.type === 'Income' ? colors.income + '20' : colors.expense + '20' }]}>
-              <Text style={{ fontSize: 20 }}>{item.type === 'Income' ? '💰' : '💸'}</Text>
-            </View>
-            <View>
-              <Text style={[styles.categoryTitle, { color: colors.text }]}>{item.category}</Text>
-              <Text style={[styles.categoryCount, { color: colors.subText }]}>{item.transactions.length} transactions</Text>
-            </View>
-          </View>
-          <View style={styles.categoryHeaderRight}>
-            <Text style={[styles.categoryTotal, { color: item.type === 'Income' ? colors.income : colors.expense }]}>
-              {formatCurrency(item.total)}
-            </Text>
-            <Text style={[styles.expandIcon, { color: colors.subText }]}>{isExpanded ? '▲' : '▼'}</Text>
-          </View>
-        </TouchableOpacity>
+  const updateSplitLine = (index, field, value) => {
+    setNewTransaction({
+      ...newTransaction,
+      splits: newTransaction.splits.map((s, i) => (i === index ? { ...s, [field]: value } : s)),
+    });
+  };
 
-        {isExpanded && (
-          <View style={[styles.transactionList, { borderTopColor: colors.border }]}>
-            {item.transactions.map(t => renderTransactionItem(t))}
-          </View>
-        )}
-      </View>
-    );
+  const addSplitLine = () => {
+    const remaining = getSplitRemainder();
+    setNewTransaction({
+      ...newTransaction,
+      splits: [...newTransaction.splits, { category: '', amount: remaining > 0 ? remaining.toFixed(2) : '', note: '' }],
+    });
   };
 
-  const renderFooter = () => (
-    <View style={styles.footerContainer}>
-      <Text style={[styles.footerText, { color: colors.subText }]}>
-        © 2025 Spendy 👨‍💻 Developed by Loooploye 121
-      </Text>
-    </View>
-  );
+  // Dropping to a single line turns the transaction back into an ordinary one
+  const removeSplitLine = (index) => {
+    const splits = newTransaction.splits.filter((s, i) => i !== index);
+    if (splits.length > 1) {
+      setNewTransaction({ ...newTransaction, splits });
+      return;
+    }
+    setNewTransaction({ ...newTransaction, category: splits[0].category, splits: [] });
+  };
 
-  return (
-    <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
-      <StatusBar barStyle={colors.statusBarStyle} backgroundColor={colors.background} />
+  const handleAddTransaction = () => {
+    if (newTransaction.type === 'Transfer') {
+      if (!newTransaction.amount || !newTransaction.toAccountId || newTransaction.toAccountId === newTransaction.accountId) {
+        Alert.alert('Missing Info', 'Please enter an amount and choose two different accounts.');
+        return;
+      }
+    } else if (isDebt(newTransaction)) {
+      if (!newTransaction.amount || !newTransaction.personId) {
+        Alert.alert('Missing Info', 'Please enter an amount and choose a person.');
+        return;
+      }
+    } else if (isSplit(newTransaction)) {
+      if (!newTransaction.amount || newTransaction.splits.some(s => !s.category || !(parseFloat(s.amount) > 0))) {
+        Alert.alert('Missing Info', 'Please enter a total and give every split line a category and an amount.');
+        return;
+      }
+      const remaining = getSplitRemainder();
+      if (Math.abs(remaining) >= 0.005) {
+        Alert.alert(
+          'Split Does Not Add Up',
+          `The lines must add up to the total. ${formatCurrency(Math.abs(remaining), newTransaction.currency)} ${remaining > 0 ? 'is unassigned' : 'too much is assigned'}.`
+        );
+        return;
+      }
+    } else if (!newTransaction.amount || !newTransaction.category) {
+      Alert.alert('Missing Info', 'Please enter an amount and select a category.');
+      return;
+    }
+    if (!hasRate(newTransaction, currencySettings)) {
+      Alert.alert('Missing Rate', `Add an exchange rate for ${newTransaction.currency} in Settings, or choose another currency.`);
+      return;
+    }
 
-      {!isLoaded ? (
-        <View style={styles.loadingContainer}>
-          <ActivityIndicator size="large" color={colors.primary} />
-        </View>
-      ) : (
-        <>
+    const { date, frequency, endDate, toAccountId, splits, tags, reimbursement, receipts, goalId, personId, repayment, ...rest } = newTransaction;
+    // Saved receipts belong to the transaction now; recurring rules never carry receipts
+    if (frequency === 'none') draftReceipts.current = [];
+    // A tag still in the input counts as added
+    const allTags = [...new Set([...tags, normalizeTag(tagInput)].filter(Boolean))];
+    // Only transfers carry a destination account; only splits carry split lines; only tagged ones carry tags
+    let fields = allTags.length > 0 ? { ...rest, tags: allTags } : rest;
+    // Each occurrence of a recurring reimbursable expense starts out pending
+    if (rest.type === 'Expense' && reimbursement) {
+      fields = { ...fields, reimbursement: frequency !== 'none' ? { status: 'pending', incomeId: null } : reimbursement };
+    }
+    if (frequency === 'none' && receipts.length > 0) {
+      fields = { ...fields, receipts };
+    }
+    if (goalId) {
+      fields = { ...fields, goalId };
+    }
+    if (rest.type === 'Transfer') {
+      fields = { ...fields, toAccountId, category: '' };
+    } else if (isDebt(rest)) {
+      fields = { ...fields, personId, repayment, category: '' };
+    } else if (splits.length > 0) {
+      fields = {
+        ...fields,
+        category: splits[0].category,
+        splits: splits.map(s => ({ category: s.category, amount: parseFloat(s.amount), note: s.note.trim() })),
+      };
+    }
+    const transactionDate = new Date(date);
 
+    if (frequency !== 'none') {
+      saveRecurringRule({
+        ...fields,
+        amount: parseFloat(fields.amount),
+        frequency,
+        startDateISO: transactionDate.toISOString(),
+        endDateISO: endDate,
+      });
+      closeModal();
+      return;
+    }
 
-          {/* Header */}
-          <View style={[styles.header, { backgroundColor: colors.background }]}>
-            <Text style={[styles.headerTitle, { color: colors.text }]}>My Wallet</Text>
-            <TouchableOpacity onPress={toggleTheme} style={styles.themeButton}>
-              <Text style={{ fontSize: 24 }}>{theme === 'light' ? '☀️' : '🌙'}</Text>
-            </TouchableOpacity>
-          </View>
+    if (editingId) {
+      // Update in place, keeping the original id
+      const existing = transactions.find(t => t.id === editingId);
+      const updated = {
+        ...existing,
+        toAccountId: undefined,
+        splits: undefined,
+        tags: undefined,
+        reimbursement: undefined,
+        receipts: undefined,
+        goalId: undefined,
+        personId: undefined,
+        repayment: undefined,
+        ...fields,
+        dateISO: transactionDate.toISOString(),
+        amount: parseFloat(fields.amount),
+      };
+      const updatedTransactions = transactions.map(t => (t.id === editingId ? updated : t));
 
-          {/* Month Selector */}
-          <View style={styles.monthSelector}>
-            <TouchableOpacity onPress={() => changeMonth(-1)} style={styles.arrowButton}>
-              <Text style={[styles.arrowText, { color: colors.primary }]}>{'<'}</Text>
-            </TouchableOpacity>
-            <TouchableOpacity onPress={openPicker}>
-              <Text style={[styles.monthText, { color: colors.text }]}>{getMonthYear(currentDate)}</Text>
-            </TouchableOpacity>
-            <TouchableOpacity onPress={() => changeMonth(1)} style={styles.arrowButton}>
-              <Text style={[styles.arrowText, { color: colors.primary }]}>{'>'}</Text>
-            </TouchableOpacity>
-          </View>
+      setTransactions(updatedTransactions);
+      recordAction({ kind: 'edit', label: 'Edit transaction', before: existing, after: updated });
+      warnOnBudget(transactions, updatedTransactions, updated);
+      closeModal();
+      return;
+    }
 
-          {/* Summary Card */}
-          <View style={[styles.summaryCard, { backgroundColor: colors.card }]}>
-            <View style={styles.balanceContainer}>
-              <Text style={[styles.balanceLabel, { color: colors.subText }]}>Total Balance</Text>
-              <Text style={[styles.balanceAmount, { color: colors.text }]}>{formatCurrency(totals.balance)}</Text>
-            </View>
-            <View style={styles.statsRow}>
-              <View style={styles.statItem}>
-                <View style={[styles.statIcon, { backgroundColor: colors.income + '20' }]}>
-                  <Text>⬇️</Text>
-                </View>
-                <View>
-                  <Text style={[styles.statLabel, { color: colors.subText }]}>Income</Text>
-                  <Text style={[styles.statValue, { color: colors.income }]}>{formatCurrency(totals.income)}</Text>
-                </View>
-              </View>
-              <View style={[styles.divider, { backgroundColor: colors.border }]} />
-              <View style={styles.statItem}>
-                <View style={[styles.statIcon, { backgroundColor: colors.expense + '20' }]}>
-                  <Text>⬆️</Text>
-                </View>
-                <View>
-                  <Text style={[styles.statLabel, { color: colors.subText }]}>Expense</Text>
-                  <Text style={[styles.statValue, { color: colors.expense }]}>{formatCurrency(totals.expense)}</Text>
-                </View>
-              </View>
-            </View>
-          </View>
+    const transaction = {
+      id: Date.now().toString(),
+      dateISO: transactionDate.toISOString(),
+      ...fields,
+      amount: parseFloat(fields.amount),
+    };
+
+    const updatedTransactions = [transaction, ...transactions];
+    setTransactions(updatedTransactions);
+    recordAction({ kind: 'add', label: 'Add transaction', transactions: [transaction] });
+    warnOnBudget(transactions, updatedTransactions, transaction);
+    closeModal();
+  };
+
+  const openBudgets = () => {
+    const categoryDraft = {};
+    Object.entries(budgets.categories).forEach(([name, limit]) => {
+      categoryDraft[name] = String(limit);
+    });
+    setBudgetDraft({
+      overall: budgets.overall ? String(budgets.overall) : '',
+      categories: categoryDraft,
+    });
+    setBudgetsVisible(true);
+  };
+
+  const saveBudgets = () => {
+    // Blank or zero inputs clear the budget
+    const parseLimit = (text) => {
+      const value = parseFloat(text);
+      return value > 0 ? value : null;
+    };
+
+    const categoryLimits = {};
+    Object.entries(budgetDraft.categories).forEach(([name, text]) => {
+      const limit = parseLimit(text);
+      if (limit) categoryLimits[name] = limit;
+    });
+
+    setBudgets({ overall: parseLimit(budgetDraft.overall), categories: categoryLimits });
+    setBudgetsVisible(false);
+  };
+
+  const saveRecurringRule = (ruleFields) => {
+    const existing = recurringRules.find(r => r.id === editingRuleId);
+    const rule = existing
+      ? { ...existing, toAccountId: undefined, splits: undefined, tags: undefined, reimbursement: undefined, goalId: undefined, personId: undefined, repayment: undefined, ...ruleFields }
+      : { id: Date.now().toString(), paused: false, lastGeneratedISO: null, ...ruleFields };
+
+    const { rules: [materialized], generated } = materializeRecurring([rule]);
+
+    setRecurringRules(prev => existing
+      ? prev.map(r => (r.id === materialized.id ? materialized : r))
+      : [...prev, materialized]);
+    if (generated.length > 0) {
+      setTransactions(prev => [...generated, ...prev]);
+    }
+  };
+
+  const toggleRulePaused = (rule) => {
+    if (rule.paused) {
+      // Resuming skips the occurrences missed while paused
+      const now = new Date().toISOString();
+      const lastGeneratedISO = rule.lastGeneratedISO && rule.lastGeneratedISO > now ? rule.lastGeneratedISO : now;
+      setRecurringRules(prev => prev.map(r => (r.id === rule.id ? { ...r, paused: false, lastGeneratedISO } : r)));
+    } else {
+      setRecurringRules(prev => prev.map(r => (r.id === rule.id ? { ...r, paused: true } : r)));
+    }
+  };
+
+  const confirmDeleteRule = (rule) => {
+    Alert.alert(
+      "Delete Recurring",
+      "Transactions already generated by this rule can be kept or removed.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Keep Transactions",
+          onPress: () => {
+            setRecurringRules(prev => prev.filter(r => r.id !== rule.id));
+            setTransactions(prev => prev.map(t => {
+              if (t.recurringId !== rule.id) return t;
+              const { recurringId, ...rest } = t;
+              return rest;
+            }));
+          }
+        },
+        {
+          text: "Delete All",
+          style: "destructive",
+          onPress: () => {
+            setRecurringRules(prev => prev.filter(r => r.id !== rule.id));
+            setTransactions(prev => prev.filter(t => t.recurringId !== rule.id));
+          }
+        }
+      ]
+    );
+  };
+
+  const getExportTransactions = () => {
+    if (exportScope === 'month') return filteredTransactions;
+    if (exportScope === 'all') return transactions;
+
+    const range = parseDateRange(exportRange.from, exportRange.to);
+    if (!range || !range.from || !range.to) return null;
+    return transactions.filter(t => isInDateRange(t.dateISO, range));
+  };
+
+  const handleExportCSV = async () => {
+    const list = getExportTransactions();
+    if (!list) {
+      Alert.alert('Invalid Range', 'Please enter both dates as YYYY-MM-DD.');
+      return;
+    }
+    if (list.length === 0) {
+      Alert.alert('Nothing to Export', 'There are no transactions in the selected period.');
+      return;
+    }
+
+    const rows = getExportRows(list, {
+      base: currencySettings.base,
+      getAccountName: (t) => getAccountName(getAccountId(t)),
+      getToAccountName: (t) => getAccountName(t.toAccountId),
+      getPersonName,
+    });
+
+    try {
+      const file = new File(Paths.cache, `spendy-transactions-${formatDateKey(new Date())}.csv`);
+      if (file.exists) file.delete();
+      file.create();
+      file.write(toCSV([EXPORT_HEADERS, ...rows]));
+
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert('Export Saved', `Saved ${rows.length} transactions to ${file.uri}`);
+        return;
+      }
+      await Sharing.shareAsync(file.uri, {
+        mimeType: 'text/csv',
+        UTI: 'public.comma-separated-values-text',
+        dialogTitle: 'Export Transactions',
+      });
+    } catch (e) {
+      Alert.alert('Error', 'Failed to export transactions.');
+    }
+  };
+
+  const handlePickCSV = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/csv', 'text/comma-separated-values', 'text/plain', 'application/vnd.ms-excel'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const rows = parseCSV(await new File(result.assets[0].uri).text());
+      if (rows.length < 2) {
+        Alert.alert('Empty File', 'The file needs a header row and at least one transaction.');
+        return;
+      }
+
+      const headers = rows[0];
+      const body = rows.slice(1);
+      const mapping = guessColumns(headers);
+      setImportData({
+        headers,
+        rows: body,
+        mapping,
+        dateFormat: detectDateFormat(mapping.date >= 0 ? body.map(r => r[mapping.date]) : []),
+        amountFormat: detectAmountFormat(mapping.amount >= 0 ? body.map(r => r[mapping.amount]) : []),
+        toggled: {}, // Rows whose default include/exclude choice was flipped
+      });
+      setDataVisible(false);
+    } catch (e) {
+      Alert.alert('Error', 'Failed to read the CSV file.');
+    }
+  };
+
+  const setImportColumn = (field, index) => {
+    const mapping = { ...importData.mapping, [field]: index };
+    const values = index >= 0 ? importData.rows.map(r => r[index]) : [];
+    setImportData({
+      ...importData,
+      mapping,
+      // Re-detect formats when the source column changes
+      dateFormat: field === 'date' ? detectDateFormat(values) : importData.dateFormat,
+      amountFormat: field === 'amount' ? detectAmountFormat(values) : importData.amountFormat,
+    });
+  };
+
+  const getImportPreview = () => {
+    if (!importData) return [];
+    const { rows, toggled } = importData;
+    const findAccountId = (name) => {
+      const account = accounts.find(a => a.name.trim().toLowerCase() === name.toLowerCase());
+      return account ? account.id : null;
+    };
+    const findPersonId = (name) => {
+      const person = people.find(p => p.name.trim().toLowerCase() === name.toLowerCase());
+      return person ? person.id : null;
+    };
+
+    return rows.map((row, index) => {
+      const { date, amount, type, repayment, category, note, tags, ...fields } = readImportRow(row, importData);
+      // Rows without a currency are in the base currency, as everywhere else
+      const currency = fields.currency || currencySettings.base;
+      // Income and expenses without a known account go to the entry account; transfers need both ends
+      const isTransfer = type === 'Transfer';
+      const accountId = findAccountId(fields.account) || (isTransfer ? null : getEntryAccountId());
+      const toAccountId = isTransfer ? findAccountId(fields.toAccount) : null;
+      // Loans belong to someone already in the people list; no category is made for them
+      const isLoan = isDebt({ type });
+      const personId = isLoan ? findPersonId(fields.person) : null;
+
+      // Why the row can't be imported, if it can't
+      let reason = null;
+      if (date === null || amount === null || amount <= 0) reason = 'Invalid';
+      else if (!hasRate({ currency }, currencySettings)) reason = `No ${currency} rate`;
+      else if (isTransfer && (!accountId || !toAccountId)) reason = 'Transfer accounts not found';
+      else if (isTransfer && accountId === toAccountId) reason = 'Transfer to the same account';
+      else if (isLoan && !personId) reason = fields.person ? `Add ${fields.person} to People first` : 'Loan without a person';
+
+      const valid = reason === null;
+      const duplicate = valid && transactions.some(t => (
+        t.type === type &&
+        (t.personId || null) === personId &&
+        !!t.repayment === repayment &&
+        (t.currency || currencySettings.base) === currency &&
+        Math.abs(Number(t.amount) - amount) < 0.005 &&
+        formatDateKey(new Date(t.dateISO)) === formatDateKey(date)
+      ));
+
+      return {
+        index,
+        date,
+        amount,
+        type,
+        currency,
+        repayment,
+        accountId,
+        toAccountId,
+        personId,
+        category: isTransfer || isLoan ? '' : category || 'Uncategorized',
+        // What the preview shows in place of a category
+        label: isTransfer ? `${fields.account || '?'} → ${fields.toAccount || '?'}`
+          : isLoan ? `${getDebtKind({ type, repayment }).verb} ${fields.person || '?'}`
+            : category || 'Uncategorized',
+        note,
+        tags,
+        valid,
+        reason,
+        duplicate,
+        // Duplicates start excluded, everything else valid starts included
+        included: valid && (duplicate ? !!toggled[index] : !toggled[index]),
+      };
+    });
+  };
+
+  const toggleImportRow = (index) => {
+    setImportData({
+      ...importData,
+      toggled: { ...importData.toggled, [index]: !importData.toggled[index] },
+    });
+  };
+
+  const commitImport = (preview) => {
+    const selected = preview.filter(p => p.included);
+    if (selected.length === 0) {
+      Alert.alert('Nothing to Import', 'Select at least one valid row.');
+      return;
+    }
+
+    const baseId = Date.now();
+    const imported = selected.map((p, i) => ({
+      id: `${baseId}-${i}`,
+      dateISO: p.date.toISOString(),
+      type: p.type,
+      amount: p.amount,
+      currency: p.currency,
+      category: p.category,
+      note: p.note,
+      accountId: p.accountId,
+      ...(p.type === 'Transfer' ? { toAccountId: p.toAccountId } : {}),
+      ...(isDebt(p) ? { personId: p.personId, repayment: p.repayment } : {}),
+      ...(p.tags.length > 0 ? { tags: p.tags } : {}),
+    }));
+
+    // Create any categories the file introduced
+    const newCategories = { Income: [], Expense: [] };
+    imported.forEach(t => {
+      if (newCategories[t.type] && !getCategory(t.type, t.category) && !newCategories[t.type].includes(t.category)) {
+        newCategories[t.type].push(t.category);
+      }
+    });
+    setCategories(prev => ({
+      ...prev,
+      Income: withCategoryNames(prev.Income, newCategories.Income, 'Income'),
+      Expense: withCategoryNames(prev.Expense, newCategories.Expense, 'Expense'),
+    }));
+
+    setTransactions(prev => [...imported, ...prev]);
+    recordAction({ kind: 'add', label: `Import ${imported.length} transactions`, transactions: imported });
+    setImportData(null);
+
+    const createdCount = newCategories.Income.length + newCategories.Expense.length;
+    Alert.alert(
+      'Import Complete',
+      `Imported ${imported.length} transactions` +
+      (createdCount > 0 ? ` and created ${createdCount} new categories.` : '.')
+    );
+  };
+
+  // Everything a backup captures; add new persisted settings here
+  const getWalletData = () => ({
+    transactions,
+    categories,
+    theme,
+    recurringRules,
+    budgets,
+    currencySettings,
+    accounts,
+    monthStartDay,
+    goals,
+    bills,
+    people,
+  });
+
+  const applyWalletData = (data) => {
+    const restoredAccounts = data.accounts && data.accounts.length > 0
+      ? data.accounts
+      : [{ id: DEFAULT_ACCOUNT_ID, name: 'My Wallet', type: 'cash' }];
+    // Records from before accounts existed go to the default account, or the first one if it was deleted
+    const fallbackAccountId = restoredAccounts.some(a => a.id === DEFAULT_ACCOUNT_ID)
+      ? DEFAULT_ACCOUNT_ID
+      : restoredAccounts[0].id;
+    const withAccount = (item) => ({ ...item, accountId: item.accountId || fallbackAccountId });
+
+    // Materialize anything that came due since the backup was taken
+    const { rules, generated } = materializeRecurring((data.recurringRules || []).map(withAccount));
+    const ids = new Set(data.transactions.map(t => t.id));
+    const restoredTransactions = [
+      ...generated.filter(t => !ids.has(t.id)),
+      ...data.transactions.map(t => withAccount({ ...t, amount: Number(t.amount) })),
+    ];
+
+    setTransactions(restoredTransactions);
+    setCategories(data.categories);
+    setTheme(data.theme === 'dark' ? 'dark' : 'light');
+    setRecurringRules(rules);
+    setBudgets(data.budgets || { overall: null, categories: {} });
+    setCurrencySettings(data.currencySettings || { base: 'USD', rates: {} });
+    setAccounts(restoredAccounts);
+    setMonthStartDay(data.monthStartDay || 1);
+    setGoals(data.goals || []);
+    setBills(data.bills || []);
+    setPeople(data.people || []);
+    setSelectedAccountId('all');
+    setHistory({ past: [], future: [] });
+    setSnackbar(null);
+
+    return { ...data, transactions: restoredTransactions, recurringRules: rules, accounts: restoredAccounts };
+  };
+
+  const getBackupDirectory = () => new Directory(Paths.document, 'backups');
+
+  const refreshLocalBackups = () => {
+    try {
+      const directory = getBackupDirectory();
+      if (!directory.exists) {
+        setLocalBackups([]);
+        return;
+      }
+      const names = directory.list()
+        .filter(item => item instanceof File && item.name.endsWith('.json'))
+        .map(item => item.name)
+        .sort()
+        .reverse();
+      setLocalBackups(names);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const openDataModal = () => {
+    refreshLocalBackups();
+    setDataVisible(true);
+  };
+
+  const handleCreateBackup = async () => {
+    try {
+      const directory = getBackupDirectory();
+      if (!directory.exists) directory.create();
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const file = new File(directory, `spendy-backup-${stamp}.json`);
+      file.create();
+      const data = getWalletData();
+      file.write(JSON.stringify(createBackup(data, await readReceiptFiles(data.transactions)), null, 2));
+      refreshLocalBackups();
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(file.uri, {
+          mimeType: 'application/json',
+          UTI: 'public.json',
+          dialogTitle: 'Save Backup',
+        });
+      } else {
+        Alert.alert('Backup Saved', `Saved to ${file.uri}`);
+      }
+    } catch (e) {
+      Alert.alert('Error', 'Failed to create backup.');
+    }
+  };
+
+  const restoreBackup = (backup, mode) => {
+    const before = getWalletData();
+    // Older backups are brought up to the current storage schema first
+    const incoming = normalizeWallet({
+      recurringRules: [],
+      budgets: { overall: null, categories: {} },
+      currencySettings: { base: 'USD', rates: {} },
+      theme: before.theme,
+      ...backup.data,
+    });
+    try {
+      writeReceiptFiles(backup.receipts || {});
+    } catch (e) {
+      console.error(e);
+    }
+    const after = applyWalletData(mode === 'merge' ? mergeBackupData(before, incoming) : incoming);
+
+    setDataVisible(false);
+    Alert.alert('Restore Complete', describeChanges(before, after).join('\n'));
+  };
+
+  const promptRestore = (text) => {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      Alert.alert('Invalid Backup', 'The file is not valid JSON.');
+      return;
+    }
+
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+      Alert.alert('Invalid Backup', errors.join('\n'));
+      return;
+    }
+
+    Alert.alert(
+      "Restore Backup",
+      `Backup from ${new Date(backup.createdAt).toLocaleString()} with ${backup.data.transactions.length} transactions.\n\n` +
+      'Merge keeps your current data and adds anything missing. Replace overwrites everything.',
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Merge", onPress: () => restoreBackup(backup, 'merge') },
+        { text: "Replace", style: "destructive", onPress: () => restoreBackup(backup, 'replace') }
+      ]
+    );
+  };
+
+  const handlePickBackup = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'application/octet-stream', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+      promptRestore(await new File(result.assets[0].uri).text());
+    } catch (e) {
+      Alert.alert('Error', 'Failed to read the backup file.');
+    }
+  };
+
+  const handleRestoreLocalBackup = async (name) => {
+    try {
+      promptRestore(await new File(getBackupDirectory(), name).text());
+    } catch (e) {
+      Alert.alert('Error', 'Failed to read the backup file.');
+    }
+  };
+
+  // --- Receipts ---
+  const getReceiptDirectory = () => new Directory(Paths.document, 'receipts');
+
+  const getReceipts = (item) => (Array.isArray(item.receipts) ? item.receipts : []);
+
+  const getReceiptUri = (name) => new File(getReceiptDirectory(), name).uri;
+
+  const deleteReceiptFiles = (names) => {
+    names.forEach(name => {
+      try {
+        const file = new File(getReceiptDirectory(), name);
+        if (file.exists) file.delete();
+      } catch (e) {
+        console.error(e);
+      }
+    });
+  };
+
+  const deleteUnusedReceipts = (referenced) => {
+    try {
+      const directory = getReceiptDirectory();
+      if (!directory.exists) return;
+      directory.list()
+        .filter(item => item instanceof File && !referenced.has(item.name))
+        .forEach(item => item.delete());
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // Base64 contents of every receipt the transactions refer to, keyed by file name
+  const readReceiptFiles = async (list) => {
+    const receipts = {};
+    for (const name of new Set(list.flatMap(getReceipts))) {
+      const file = new File(getReceiptDirectory(), name);
+      if (file.exists) receipts[name] = await file.base64();
+    }
+    return receipts;
+  };
+
+  // Writes receipts from a backup, leaving files that already exist alone
+  const writeReceiptFiles = (receipts) => {
+    const directory = getReceiptDirectory();
+    if (!directory.exists) directory.create();
+    Object.entries(receipts).forEach(([name, contents]) => {
+      if (name.includes('/')) return;
+      const file = new File(directory, name);
+      if (file.exists) return;
+      file.create();
+      file.write(contents, { encoding: 'base64' });
+    });
+  };
+
+  // Copies picked photos into the receipts directory, since picker results live in a cache
+  const addReceiptImages = (assets) => {
+    const directory = getReceiptDirectory();
+    if (!directory.exists) directory.create();
+    const stamp = Date.now();
+    const names = assets.map((asset, index) => {
+      const extension = (asset.uri.match(/\.(\w+)$/) || [null, 'jpg'])[1];
+      const name = `receipt-${stamp}-${index}.${extension}`;
+      new File(asset.uri).copy(new File(directory, name));
+      return name;
+    });
+    draftReceipts.current = [...draftReceipts.current, ...names];
+    setNewTransaction(prev => ({ ...prev, receipts: [...prev.receipts, ...names] }));
+  };
+
+  const pickReceipt = async (source) => {
+    try {
+      if (source === 'camera') {
+        const permission = await ImagePicker.requestCameraPermissionsAsync();
+        if (!permission.granted) {
+          Alert.alert('Camera Unavailable', 'Allow camera access in your settings to photograph receipts.');
+          return;
+        }
+      }
+      const options = { mediaTypes: ['images'], quality: RECEIPT_QUALITY };
+      const result = source === 'camera'
+        ? await ImagePicker.launchCameraAsync(options)
+        : await ImagePicker.launchImageLibraryAsync({ ...options, allowsMultipleSelection: true });
+      if (result.canceled) return;
+      addReceiptImages(result.assets);
+    } catch (e) {
+      Alert.alert('Error', 'Failed to attach the receipt.');
+    }
+  };
+
+  // The file stays until the form is discarded or the app cleans up, so undo can still show it
+  const removeReceipt = (name) => {
+    setNewTransaction(prev => ({ ...prev, receipts: prev.receipts.filter(r => r !== name) }));
+  };
+
+  const selectAccount = (id) => {
+    setSelectedAccountId(id);
+    setAccountsVisible(false);
+    setAccountForm(null);
+  };
+
+  const openAccountForm = (account) => {
+    setAccountForm(account
+      ? {
+        id: account.id,
+        name: account.name,
+        type: account.type,
+        closingDay: account.closingDay ? String(account.closingDay) : '',
+        dueDay: account.dueDay ? String(account.dueDay) : '',
+      }
+      : { id: null, name: '', type: 'checking', closingDay: '', dueDay: '' });
+  };
+
+  const saveAccount = () => {
+    const name = accountForm.name.trim();
+    if (!name) {
+      Alert.alert('Missing Info', 'Please enter an account name.');
+      return;
+    }
+    if (accounts.some(a => a.name === name && a.id !== accountForm.id)) {
+      Alert.alert('Error', 'Account already exists.');
+      return;
+    }
+
+    // Statement days are optional, but a card tracks statements only with both
+    let statementDays = { closingDay: undefined, dueDay: undefined };
+    if (accountForm.type === 'credit' && (accountForm.closingDay.trim() || accountForm.dueDay.trim())) {
+      const closingDay = Number(accountForm.closingDay);
+      const dueDay = Number(accountForm.dueDay);
+      const isDay = (day) => Number.isInteger(day) && day >= 1 && day <= 28;
+      if (!isDay(closingDay) || !isDay(dueDay)) {
+        Alert.alert('Invalid Statement Days', 'Enter both the closing day and the due day, each from 1 to 28.');
+        return;
+      }
+      statementDays = { closingDay, dueDay };
+    }
+
+    if (accountForm.id) {
+      setAccounts(prev => prev.map(a => (a.id === accountForm.id ? { ...a, name, type: accountForm.type, ...statementDays } : a)));
+    } else {
+      setAccounts(prev => [...prev, { id: Date.now().toString(), name, type: accountForm.type, ...statementDays }]);
+    }
+    setAccountForm(null);
+  };
+
+  // Paying a card moves money from another account onto it. Recorded as a transfer, it does not
+  // count as spending a second time after the purchases made with the card.
+  const openCardPayment = (account, amount) => {
+    const from = accounts.find(a => a.id !== account.id && a.type !== 'credit') || accounts.find(a => a.id !== account.id);
+    if (!from) {
+      Alert.alert('No Account To Pay From', 'Add the account you pay the card from first.');
+      return;
+    }
+    resetForm();
+    setNewTransaction(prev => ({
+      ...prev,
+      type: 'Transfer',
+      category: '',
+      accountId: from.id,
+      toAccountId: account.id,
+      amount: amount > 0 ? amount.toFixed(2) : '',
+      currency: currencySettings.base,
+      note: 'Card payment',
+    }));
+    setAccountsVisible(false);
+    setAccountForm(null);
+    setModalVisible(true);
+  };
+
+  const confirmDeleteAccount = (account) => {
+    if (accounts.length === 1) {
+      Alert.alert('Error', 'You need at least one account.');
+      return;
+    }
+    if (transactions.some(t => involvesAccount(t, account.id)) || recurringRules.some(r => involvesAccount(r, account.id))) {
+      Alert.alert('Account In Use', `Move or delete the transactions in "${account.name}" before deleting it.`);
+      return;
+    }
+    if (bills.some(b => b.accountId === account.id)) {
+      Alert.alert('Account In Use', `Move or delete the bills paid from "${account.name}" before deleting it.`);
+      return;
+    }
+
+    Alert.alert(
+      "Delete Account",
+      `Are you sure you want to delete "${account.name}"?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            setAccounts(prev => prev.filter(a => a.id !== account.id));
+            if (selectedAccountId === account.id) setSelectedAccountId('all');
+            setAccountForm(null);
+          }
+        }
+      ]
+    );
+  };
+
+  const openAnalytics = () => {
+    setAnalyticsCategory(null);
+    setAnalyticsVisible(true);
+  };
+
+  const openFromMenu = (action) => {
+    setMenuVisible(false);
+    action();
+  };
+
+  const toggleAnalyticsCategory = (key) => {
+    setAnalyticsCategory(prev => (prev === key ? null : key));
+  };
+
+  const changeAnalyticsLevel = (level) => {
+    setAnalyticsLevel(level);
+    setAnalyticsCategory(null);
+  };
+
+  const openSettings = () => {
+    setCurrencyDraft({
+      base: currencySettings.base,
+      rates: Object.entries(currencySettings.rates).map(([code, rate]) => ({ code, rate: String(rate) })),
+    });
+    const balanceDraft = {};
+    accounts.forEach(a => {
+      balanceDraft[a.id] = a.openingBalance ? String(a.openingBalance) : '';
+    });
+    setOpeningBalanceDraft(balanceDraft);
+    setMonthStartDraft(String(monthStartDay));
+    setSettingsVisible(true);
+  };
+
+  const updateRateDraft = (index, field, value) => {
+    setCurrencyDraft(prev => ({
+      ...prev,
+      rates: prev.rates.map((r, i) => (i === index ? { ...r, [field]: value } : r)),
+    }));
+  };
+
+  const saveSettings = () => {
+    const isCode = (code) => /^[A-Z]{3}$/.test(code);
+    const base = currencyDraft.base.trim().toUpperCase();
+    if (!isCode(base)) {
+      Alert.alert('Invalid Currency', 'Use a 3-letter currency code such as USD or EUR.');
+      return;
+    }
+
+    // Stopping at 28 means every month, February included, has the start day
+    const startDay = Number(monthStartDraft);
+    if (!Number.isInteger(startDay) || startDay < 1 || startDay > 28) {
+      Alert.alert('Invalid Start Day', 'Months can start on any day from 1 to 28.');
+      return;
+    }
+
+    let rates = {};
+    for (const row of currencyDraft.rates) {
+      const code = row.code.trim().toUpperCase();
+      if (!code && !row.rate) continue;
+      const rate = parseFloat(row.rate);
+      if (!isCode(code) || !(rate > 0)) {
+        Alert.alert('Invalid Rate', 'Each exchange rate needs a 3-letter code and a positive rate.');
+        return;
+      }
+      rates[code] = rate;
+    }
+
+    const oldBase = currencySettings.base;
+    // Rates are entered against the old base, so a new base needs one to convert from
+    const baseRate = base !== oldBase ? rates[base] : null;
+    if (base !== oldBase) {
+      if (!baseRate) {
+        Alert.alert('Missing Rate', `Add an exchange rate for ${base} before making it the base currency.`);
+        return;
+      }
+      const rebased = { [oldBase]: 1 / baseRate };
+      Object.entries(rates).forEach(([code, rate]) => {
+        if (code !== base) rebased[code] = rate / baseRate;
+      });
+      rates = rebased;
+    } else {
+      delete rates[base];
+    }
+
+    // Removing a rate that is still used would leave those amounts out of every total
+    const wasMissing = getMissingRates(getCurrencyRecords(), currencySettings);
+    const removed = Object.keys(getMissingRates(getCurrencyRecords(), { base, rates }))
+      .filter(code => !wasMissing[code]);
+    if (removed.length > 0) {
+      Alert.alert('Rate In Use', `Keep an exchange rate for ${removed.join(', ')}. Transactions, recurring rules or bills still use it.`);
+      return;
+    }
+
+    // Nothing changes until every check above has passed.
+    // Opening balances are entered in the current base currency.
+    let updatedAccounts = accounts.map(a => {
+      const value = parseFloat(openingBalanceDraft[a.id]);
+      return { ...a, openingBalance: isNaN(value) ? 0 : value };
+    });
+
+    if (base !== oldBase) {
+      // Existing amounts without a currency were recorded in the old base
+      setTransactions(prev => prev.map(t => (t.currency ? t : { ...t, currency: oldBase })));
+      setRecurringRules(prev => prev.map(r => (r.currency ? r : { ...r, currency: oldBase })));
+
+      // Budgets, goal targets and opening balances are kept in the base currency
+      const convert = (value) => (value ? Math.round((value / baseRate) * 100) / 100 : value);
+      setBudgets(prev => {
+        const categoryLimits = {};
+        Object.entries(prev.categories).forEach(([name, limit]) => {
+          categoryLimits[name] = convert(limit);
+        });
+        return { overall: convert(prev.overall), categories: categoryLimits };
+      });
+      setGoals(prev => prev.map(g => ({ ...g, target: convert(g.target) })));
+      updatedAccounts = updatedAccounts.map(a => ({ ...a, openingBalance: convert(a.openingBalance) }));
+    }
+
+    setAccounts(updatedAccounts);
+    setCurrencySettings({ base, rates });
+    setMonthStartDay(startDay);
+    setSettingsVisible(false);
+  };
+
+  const toggleRule = (id) => {
+    setExpandedRules(prev => ({
+      ...prev,
+      [id]: !prev[id]
+    }));
+  };
+
+  const confirmDelete = (id) => {
+    Alert.alert(
+      "Delete Transaction",
+      "Are you sure you want to remove this transaction?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            const deleted = transactions.find(t => t.id === id);
+            setTransactions(prev => prev.filter(t => t.id !== id));
+            moveToTrash([deleted]);
+            recordAction({ kind: 'delete', label: 'Delete transaction', transactions: [deleted] }, 'Transaction moved to trash');
+          }
+        }
+      ]
+    );
+  };
+
+  // --- History & Trash ---
+  // Remembers a reversible action; passing a message offers an Undo snackbar for it.
+  // Without one, an earlier snackbar is hidden since its action is no longer the latest.
+  const recordAction = (entry, message) => {
+    setHistory(prev => ({ past: [...prev.past, entry].slice(-HISTORY_LIMIT), future: [] }));
+    setSnackbar(message ? { message, entry } : null);
+  };
+
+  const moveToTrash = (items) => {
+    const deletedAt = new Date().toISOString();
+    setTrash(prev => [...items.map(t => ({ ...t, deletedAt })), ...prev]);
+  };
+
+  const removeFromTrash = (ids) => {
+    setTrash(prev => prev.filter(t => !ids.includes(t.id)));
+  };
+
+  // Adds transactions back without duplicating any that were already restored by hand
+  const addTransactionsBack = (items) => {
+    setTransactions(prev => {
+      const existing = new Set(prev.map(t => t.id));
+      return [...items.filter(t => !existing.has(t.id)), ...prev];
+    });
+  };
+
+  // Applies { before, after } pairs matched by id; a null side means the record did not exist
+  const applyEdits = (list, edits, isUndo) => {
+    const targets = new Map(edits.map(e => [(e.before || e.after).id, isUndo ? e.before : e.after]));
+    const updated = list
+      .map(item => (targets.has(item.id) ? targets.get(item.id) : item))
+      .filter(Boolean);
+    const present = new Set(updated.map(item => item.id));
+    return [...[...targets.values()].filter(item => item && !present.has(item.id)), ...updated];
+  };
+
+  // Reverses (undo) or re-applies (redo) a recorded action
+  const applyHistoryEntry = (entry, isUndo) => {
+    const ids = (entry.transactions || []).map(t => t.id);
+
+    switch (entry.kind) {
+      case 'add':
+        if (isUndo) setTransactions(prev => prev.filter(t => !ids.includes(t.id)));
+        else addTransactionsBack(entry.transactions);
+        break;
+      case 'edit':
+        setTransactions(prev => applyEdits(prev, [entry], isUndo));
+        break;
+      case 'editMany':
+        setTransactions(prev => applyEdits(prev, entry.edits, isUndo));
+        break;
+      case 'delete':
+        if (isUndo) {
+          addTransactionsBack(entry.transactions);
+          removeFromTrash(ids);
+        } else {
+          setTransactions(prev => prev.filter(t => !ids.includes(t.id)));
+          moveToTrash(entry.transactions);
+        }
+        break;
+      case 'payBill':
+        if (isUndo) setTransactions(prev => prev.filter(t => !ids.includes(t.id)));
+        else addTransactionsBack(entry.transactions);
+        setBills(prev => applyEdits(prev, [entry], isUndo));
+        break;
+      case 'deleteCategory':
+      case 'reassignCategory': {
+        // Transactions removed outright live in the trash until the deletion is undone
+        const deleted = entry.edits.filter(e => !e.after).map(e => e.before);
+        setTransactions(prev => applyEdits(prev, entry.edits, isUndo));
+        setRecurringRules(prev => applyEdits(prev, entry.ruleEdits, isUndo));
+        setBills(prev => applyEdits(prev, entry.billEdits, isUndo));
+        if (isUndo) removeFromTrash(deleted.map(t => t.id));
+        else if (deleted.length > 0) moveToTrash(deleted);
+        removeCategory(entry.category, entry.type, entry.index, entry.budget, isUndo);
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  // Removes a category and its budget, or puts both back in the old position when undoing
+  const removeCategory = (category, type, index, budget, isUndo) => {
+    const { name } = category;
+    setCategories(prev => {
+      const list = prev[type].filter(c => c.name !== name);
+      // index is -1 for names that were only used by transactions, never listed
+      if (isUndo && index >= 0) list.splice(Math.min(index, list.length), 0, category);
+      return { ...prev, [type]: list };
+    });
+    if (budget) {
+      setBudgets(prev => {
+        const { [name]: removed, ...rest } = prev.categories;
+        return { ...prev, categories: isUndo ? { ...rest, [name]: budget } : rest };
+      });
+    }
+  };
+
+  const undo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    applyHistoryEntry(entry, true);
+    setHistory(prev => ({ past: prev.past.slice(0, -1), future: [entry, ...prev.future] }));
+    setSnackbar(null);
+  };
+
+  // Only undoes the snackbar's own action, and only while nothing newer sits on top of it
+  const undoSnackbar = () => {
+    if (snackbar && history.past[history.past.length - 1] === snackbar.entry) {
+      undo();
+    } else {
+      setSnackbar(null);
+    }
+  };
+
+  const redo = () => {
+    const entry = history.future[0];
+    if (!entry) return;
+    applyHistoryEntry(entry, false);
+    setHistory(prev => ({ past: [...prev.past, entry], future: prev.future.slice(1) }));
+  };
+
+  const restoreFromTrash = (item) => {
+    const { deletedAt, ...transaction } = item;
+    addTransactionsBack([transaction]);
+    removeFromTrash([item.id]);
+  };
+
+  const confirmDeleteForever = (item) => {
+    Alert.alert(
+      'Delete Forever',
+      'This transaction will be removed permanently.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => removeFromTrash([item.id]) },
+      ]
+    );
+  };
+
+  const confirmEmptyTrash = () => {
+    Alert.alert(
+      'Empty Trash',
+      `Permanently delete ${trash.length} transactions?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Empty', style: 'destructive', onPress: () => setTrash([]) },
+      ]
+    );
+  };
+
+  const handleAddNewCategory = () => {
+    if (!newCategoryName.trim()) return;
+
+    // Prevent duplicates
+    if (getCategory(newTransaction.type, newCategoryName.trim())) {
+      Alert.alert('Error', 'Category already exists.');
+      return;
+    }
+
+    setCategories(prev => ({
+      ...prev,
+      [newTransaction.type]: withCategoryNames(prev[newTransaction.type], [newCategoryName.trim()], newTransaction.type)
+    }));
+
+    setNewTransaction({ ...newTransaction, category: newCategoryName.trim() });
+    setNewCategoryName('');
+    setIsAddingCategory(false);
+  };
+
+  const handleDeleteCategoryInitiation = (categoryName, type = newTransaction.type) => {
+    // Check for existing transactions and bills, which can be moved to another category
+    const inUse = transactions.some(t => usesCategory(t, categoryName, type)) ||
+      recurringRules.some(r => usesCategory(r, categoryName, type)) ||
+      (type === 'Expense' && bills.some(b => b.category === categoryName));
+
+    if (inUse) {
+      setCategoryToDelete({ name: categoryName, type });
+      setDeleteModalVisible(true);
+    } else {
+      Alert.alert(
+        "Delete Category",
+        `Are you sure you want to delete "${categoryName}"?`,
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Delete",
+            style: "destructive",
+            onPress: () => executeCategoryDeletion(categoryName, type, 'delete')
+          }
+        ]
+      );
+    }
+  };
+
+  // Drops a category's lines from a split; null when nothing would be left of the record
+  const withoutCategory = (item, name) => {
+    const splits = (item.splits || []).filter(s => s.category !== name);
+    if (splits.length === 0) return null;
+
+    const { splits: removed, ...rest } = item;
+    const amount = splits.reduce((acc, s) => acc + Number(s.amount), 0);
+    if (splits.length === 1) {
+      return { ...rest, amount, category: splits[0].category, note: item.note || splits[0].note || '' };
+    }
+    return { ...rest, amount, category: splits[0].category, splits };
+  };
+
+  const renameCategory = (item, from, to) => {
+    const renamed = { ...item, category: item.category === from ? to : item.category };
+    if (isSplit(item)) renamed.splits = item.splits.map(s => (s.category === from ? { ...s, category: to } : s));
+    return renamed;
+  };
+
+  const executeCategoryDeletion = (categoryName, type, action, target) => {
+    if (action === 'reassign' && !target) {
+      Alert.alert('Error', 'Please select a category to reassign to.');
+      return;
+    }
+    // Bills are always expenses and need a category to record their payments in
+    const billsUsing = type === 'Expense' ? bills.filter(b => b.category === categoryName) : [];
+    if (action === 'delete' && billsUsing.length > 0) {
+      Alert.alert('Category In Use', `Move the bills paid from "${categoryName}" to another category, or merge it instead.`);
+      return;
+    }
+
+    // Split transactions only lose (or move) their lines in this category.
+    // Recurring rules follow their transactions.
+    const uses = (item) => usesCategory(item, categoryName, type);
+    const change = (item) => (action === 'delete'
+      ? withoutCategory(item, categoryName)
+      : renameCategory(item, categoryName, target));
+    const edits = transactions.filter(uses).map(t => ({ before: t, after: change(t) }));
+    const ruleEdits = recurringRules.filter(uses).map(r => ({ before: r, after: change(r) }));
+    const billEdits = billsUsing.map(b => ({ before: b, after: { ...b, category: target } }));
+    const deleted = edits.filter(e => !e.after).map(e => e.before);
+    const entry = {
+      kind: action === 'delete' ? 'deleteCategory' : 'reassignCategory',
+      name: categoryName,
+      category: getCategory(type, categoryName) || createCategory(categoryName, type),
+      type,
+      index: getCategoryNames(categories[type]).indexOf(categoryName),
+      budget: type === 'Expense' ? budgets.categories[categoryName] || null : null,
+      edits,
+      ruleEdits,
+      billEdits,
+    };
+
+    setTransactions(prev => applyEdits(prev, edits, false));
+    setRecurringRules(prev => applyEdits(prev, ruleEdits, false));
+    setBills(prev => applyEdits(prev, billEdits, false));
+    if (deleted.length > 0) moveToTrash(deleted);
+    removeCategory(entry.category, type, entry.index, entry.budget, false);
+
+    if (action === 'delete') {
+      recordAction(
+        { ...entry, label: `Delete "${categoryName}"` },
+        deleted.length > 0 ? `"${categoryName}" deleted, ${deleted.length} transactions moved to trash` : `"${categoryName}" deleted`
+      );
+    } else {
+      recordAction(
+        { ...entry, label: `Merge "${categoryName}" into "${target}"` },
+        `"${categoryName}" moved into "${target}"`
+      );
+    }
+
+    // Reset states
+    setNewTransaction(prev => ({
+      ...prev,
+      category: prev.category === categoryName ? '' : prev.category,
+      splits: prev.splits.map(s => (s.category === categoryName ? { ...s, category: '' } : s)),
+    }));
+    setDeleteModalVisible(false);
+    setCategoryToDelete(null);
+    setReassignCategory('');
+  };
+
+  // --- Category Manager ---
+  const openCategoryManager = () => {
+    setCategoryForm(null);
+    setCategoriesVisible(true);
+  };
+
+  const closeCategoryManager = () => {
+    setCategoriesVisible(false);
+    setCategoryForm(null);
+  };
+
+  const editCategory = (category) => {
+    setCategoryForm(category
+      ? { originalName: category.name, name: category.name, icon: category.icon, color: category.color, parent: category.parent || null }
+      : { originalName: null, name: '', icon: createCategory('', managerType).icon, color: CATEGORY_COLORS[categories[managerType].length % CATEGORY_COLORS.length], parent: null });
+  };
+
+  // Subcategories are one level deep: only active top-level categories can be parents,
+  // and a category that has subcategories of its own stays top-level
+  const getParentChoices = (type, name) => {
+    const list = categories[type];
+    if (name && getChildCategories(list, name).length > 0) return [];
+    return list.filter(c => !c.archived && c.name !== name && getTopCategoryName(list, c.name) === c.name);
+  };
+
+  // Transactions, rules, trash and budgets refer to categories by name, so they follow a rename
+  const renameCategoryEverywhere = (from, to, type) => {
+    const rename = (item) => (usesCategory(item, from, type) ? renameCategory(item, from, to) : item);
+    setTransactions(prev => prev.map(rename));
+    setRecurringRules(prev => prev.map(rename));
+    setTrash(prev => prev.map(rename));
+    if (type === 'Expense') {
+      setBills(prev => prev.map(b => (b.category === from ? { ...b, category: to } : b)));
+    }
+    if (type === 'Expense' && budgets.categories[from]) {
+      setBudgets(prev => {
+        const { [from]: limit, ...rest } = prev.categories;
+        return { ...prev, categories: { ...rest, [to]: limit } };
+      });
+    }
+    setNewTransaction(prev => (prev.type === type ? renameCategory(prev, from, to) : prev));
+  };
+
+  const saveCategoryForm = () => {
+    const type = managerType;
+    const name = categoryForm.name.trim();
+    if (!name) {
+      Alert.alert('Missing Info', 'Please enter a category name.');
+      return;
+    }
+    if (name !== categoryForm.originalName && getCategory(type, name)) {
+      Alert.alert('Error', 'Category already exists.');
+      return;
+    }
+
+    const fields = { name, icon: categoryForm.icon.trim() || createCategory(name, type).icon, color: categoryForm.color, parent: categoryForm.parent };
+    if (categoryForm.originalName) {
+      // Subcategories keep pointing at their parent through a rename
+      setCategories(prev => ({
+        ...prev,
+        [type]: prev[type].map(c => {
+          if (c.name === categoryForm.originalName) return { ...c, ...fields };
+          return c.parent === categoryForm.originalName ? { ...c, parent: name } : c;
+        }),
+      }));
+      if (name !== categoryForm.originalName) renameCategoryEverywhere(categoryForm.originalName, name, type);
+    } else {
+      setCategories(prev => ({ ...prev, [type]: [...prev[type], createCategory(name, type, 0, fields)] }));
+    }
+    setCategoryForm(null);
+  };
+
+  // Archived categories keep their transactions but are no longer offered when adding new ones
+  const toggleCategoryArchived = (name) => {
+    setCategories(prev => ({
+      ...prev,
+      [managerType]: prev[managerType].map(c => (c.name === name ? { ...c, archived: !c.archived } : c)),
+    }));
+    setCategoryForm(null);
+  };
+
+  const confirmMergeCategory = (from, into) => {
+    Alert.alert(
+      'Merge Categories',
+      `Move everything in "${from}" to "${into}" and remove "${from}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Merge',
+          onPress: () => {
+            executeCategoryDeletion(from, managerType, 'reassign', into);
+            setCategoryForm(null);
+          }
+        }
+      ]
+    );
+  };
+
+  const deleteFromManager = (name) => {
+    setCategoryForm(null);
+    handleDeleteCategoryInitiation(name, managerType);
+  };
+
+  // Rows are dragged by their handle; the drop position is rounded to whole rows
+  const getDragHandlers = (type, name) => {
+    const key = `${type}-${name}`;
+    if (!dragResponders.current[key]) {
+      dragResponders.current[key] = PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: () => setDragState({ key, dy: 0 }),
+        onPanResponderMove: (e, gesture) => setDragState({ key, dy: gesture.dy }),
+        onPanResponderRelease: (e, gesture) => {
+          const steps = Math.round(gesture.dy / CATEGORY_ROW_HEIGHT);
+          if (steps !== 0) setCategories(prev => ({ ...prev, [type]: moveCategory(prev[type], name, steps) }));
+          setDragState(null);
+        },
+        onPanResponderTerminate: () => setDragState(null),
+      });
+    }
+    return dragResponders.current[key].panHandlers;
+  };
+
+  // Steps to the previous or next period of the same size; a custom range moves by its own length
+  const changePeriod = (direction) => {
+    const { start } = period;
+    switch (periodMode) {
+      case 'week':
+        setCurrentDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * direction));
+        break;
+      case 'quarter':
+        setCurrentDate(getMonthStart(start.getFullYear(), start.getMonth() + 3 * direction, monthStartDay));
+        break;
+      case 'year':
+        setCurrentDate(getMonthStart(start.getFullYear() + direction, 0, monthStartDay));
+        break;
+      case 'range': {
+        if (!customRange) break;
+        const days = Math.round((period.end - period.start) / (24 * 60 * 60 * 1000)) * direction;
+        const shift = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+        setCustomRange({ from: shift(customRange.from), to: shift(customRange.to) });
+        setCurrentDate(shift(customRange.from));
+        break;
+      }
+      default:
+        setCurrentDate(getMonthStart(start.getFullYear(), start.getMonth() + direction, monthStartDay));
+    }
+  };
+
+  const openPicker = () => {
+    setPickerYear(period.start.getFullYear());
+    const last = new Date(period.end.getFullYear(), period.end.getMonth(), period.end.getDate() - 1);
+    setRangeDraft({ from: formatDateKey(period.start), to: formatDateKey(last) });
+    setPickerVisible(true);
+  };
+
+  // Switching size keeps the anchor day, so the new period contains the old one's start
+  const selectPeriodMode = (mode) => {
+    setPeriodMode(mode);
+    setCurrentDate(period.start);
+    if (mode === 'range' && !customRange) {
+      const last = new Date(period.end.getFullYear(), period.end.getMonth(), period.end.getDate() - 1);
+      setCustomRange({ from: period.start, to: last });
+    }
+  };
+
+  const showMonth = (date) => {
+    setPeriodMode('month');
+    setCurrentDate(getCycleStart(date, monthStartDay));
+  };
+
+  const selectMonthYear = (monthIndex) => {
+    showMonth(getMonthStart(pickerYear, monthIndex, monthStartDay));
+    setPickerVisible(false);
+  };
+
+  const selectQuarter = (quarter) => {
+    setCurrentDate(getMonthStart(pickerYear, quarter * 3, monthStartDay));
+    setPickerVisible(false);
+  };
+
+  const selectYear = () => {
+    setCurrentDate(getMonthStart(pickerYear, 0, monthStartDay));
+    setPickerVisible(false);
+  };
+
+  const selectThisWeek = () => {
+    setCurrentDate(new Date());
+    setPickerVisible(false);
+  };
+
+  const applyCustomRange = () => {
+    const range = parseDateRange(rangeDraft.from, rangeDraft.to);
+    if (!range || !range.from || !range.to || range.from > range.to) {
+      Alert.alert('Invalid Range', 'Please enter both dates as YYYY-MM-DD, the first one not after the second.');
+      return;
+    }
+    setCustomRange({ from: range.from, to: range.to });
+    setCurrentDate(range.from);
+    setPickerVisible(false);
+  };
+
+  const openDatePicker = (target = 'date') => {
+    setDatePickerTarget(target);
+    setDatePickerMonth(new Date(newTransaction[target] || newTransaction.date));
+    setDatePickerVisible(true);
+  };
+
+  const changeDatePickerMonth = (direction) => {
+    setDatePickerMonth(new Date(datePickerMonth.getFullYear(), datePickerMonth.getMonth() + direction, 1));
+  };
+
+  const selectTransactionDay = (day) => {
+    const date = new Date(newTransaction[datePickerTarget] || newTransaction.date);
+    date.setFullYear(datePickerMonth.getFullYear(), datePickerMonth.getMonth(), day);
+    if (datePickerTarget === 'endDate') {
+      // End dates are inclusive of the whole day
+      date.setHours(23, 59, 59, 999);
+    }
+    setNewTransaction({ ...newTransaction, [datePickerTarget]: date.toISOString() });
+  };
+
+  const adjustTransactionTime = (unit, delta) => {
+    const date = new Date(newTransaction.date);
+    if (unit === 'hours') {
+      date.setHours((date.getHours() + delta + 24) % 24);
+    } else {
+      date.setMinutes((date.getMinutes() + delta + 60) % 60);
+    }
+    setNewTransaction({ ...newTransaction, date: date.toISOString() });
+  };
+
+  const setTransactionDateToNow = () => {
+    const now = new Date();
+    setDatePickerMonth(now);
+    setNewTransaction({ ...newTransaction, date: now.toISOString() });
+  };
+
+  const clearEndDate = () => {
+    setNewTransaction({ ...newTransaction, endDate: null });
+    setDatePickerVisible(false);
+  };
+
+  // Leading nulls pad the first week so day 1 lands on its weekday
+  const getCalendarDays = (monthDate) => {
+    const year = monthDate.getFullYear();
+    const month = monthDate.getMonth();
+    const firstWeekday = new Date(year, month, 1).getDay();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const days = Array(firstWeekday).fill(null);
+    for (let day = 1; day <= daysInMonth; day++) days.push(day);
+    return days;
+  };
+
+  // --- Render Items ---
+  const hasSearchFilters = () => (
+    searchFilters.query.trim() !== '' ||
+    searchFilters.type !== 'all' ||
+    searchFilters.minAmount !== '' ||
+    searchFilters.maxAmount !== '' ||
+    searchFilters.from !== '' ||
+    searchFilters.to !== ''
+  );
+
+  // Matches across every account and month, grouped by month (newest first)
+  const getSearchResults = () => {
+    if (!searchVisible || !hasSearchFilters()) return null;
+
+    const query = searchFilters.query.trim().toLowerCase();
+    const min = parseFloat(searchFilters.minAmount);
+    const max = parseFloat(searchFilters.maxAmount);
+    const range = parseDateRange(searchFilters.from, searchFilters.to) || {};
+
+    const matches = transactions.filter(t => {
+      if (searchFilters.type !== 'all' && t.type !== searchFilters.type) return false;
+      if (!isNaN(min) && Number(t.amount) < min) return false;
+      if (!isNaN(max) && Number(t.amount) > max) return false;
+      if (!isInDateRange(t.dateISO, range)) return false;
+      if (!query) return true;
+      const haystack = [
+        t.note,
+        ...getCategoryLines(t).map(line => `${line.category} ${line.note || ''}`),
+        getAccountName(getAccountId(t)),
+        t.type === 'Transfer' ? getAccountName(t.toAccountId) : '',
+        isDebt(t) ? getPersonName(t.personId) : '',
+        ...getTags(t),
+        String(t.amount),
+      ].join(' ').toLowerCase();
+      return haystack.includes(query);
+    });
+
+    const months = {};
+    matches.forEach(t => {
+      const date = getCycleStart(t.dateISO, monthStartDay);
+      const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      if (!months[key]) {
+        months[key] = { key, date, income: 0, expense: 0, transactions: [] };
+      }
+      months[key].transactions.push(t);
+      if (t.type === 'Income') months[key].income += toBaseAmount(t);
+      if (t.type === 'Expense') months[key].expense += toBaseAmount(t);
+    });
+
+    const groups = Object.values(months).sort((a, b) => b.date - a.date);
+    groups.forEach(group => group.transactions.sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO)));
+
+    const income = groups.reduce((acc, group) => acc + group.income, 0);
+    const expense = groups.reduce((acc, group) => acc + group.expense, 0);
+    return { groups, count: matches.length, income, expense, net: income - expense };
+  };
+
+  // Jumps the main list to the result's month with its category expanded
+  const showSearchResult = (item) => {
+    const date = new Date(item.dateISO);
+    const parent = getTopCategory(item.type, item.category);
+    const key = getGroupKey(item, parent);
+    showMonth(date);
+    setSelectedAccountId('all');
+    setExpandedCategories(prev => ({ ...prev, [key]: true, [`${key}/${item.category}`]: true }));
+    setSearchVisible(false);
+  };
+
+  const toggleCategory = (key) => {
+    setExpandedCategories(prev => ({
+      ...prev,
+      [key]: !prev[key]
+    }));
+  };
+
+  const getTypeColor = (type) => {
+    if (type === 'Income') return colors.income;
+    if (type === 'Expense') return colors.expense;
+    return colors.primary;
+  };
+
+  // Loans are coloured by which way the money moved
+  const getAmountColor = (item) => (isDebt(item) ? (isMoneyIn(item) ? colors.income : colors.expense) : getTypeColor(item.type));
+
+  const renderTransactionItem = (item) => {
+    // Inside a category group a split only shows the share that belongs to the group
+    const shown = item.splitLine ? { ...item, amount: item.splitLine.amount, note: item.splitLine.note || item.note } : item;
+    return (
+      <TouchableOpacity
+        key={item.id}
+        activeOpacity={0.7}
+        onPress={() => openEditModal(item)}
+        onLongPress={() => confirmDelete(item.id)}
+        style={[styles.subTransactionItem]}
+      >
+        <View style={styles.subTransactionContent}>
+          <View style={styles.subTransactionLeft}>
+            <Text style={[styles.transactionDate, { color: colors.subText, marginRight: 8, marginTop: 0 }]}>{formatDayMonth(item.dateISO)}</Text>
+            {item.recurringId ? <Text style={{ fontSize: 12, marginRight: 4 }}>🔁</Text> : null}
+            {item.splitLine ? <Text style={{ fontSize: 12, marginRight: 4 }}>✂️</Text> : null}
+            {getTags(item).length > 0 ? <Text style={{ fontSize: 12, marginRight: 4 }}>🏷️</Text> : null}
+            {getReimbursementStatus(item) ? <Text style={{ fontSize: 12, marginRight: 4 }}>{getReimbursementStatus(item) === 'paid' ? '✅' : '💵'}</Text> : null}
+            {getGoalName(item.goalId) ? <Text style={{ fontSize: 12, marginRight: 4 }}>🏆</Text> : null}
+            {item.type === 'Transfer' ? (
+              <Text style={[styles.transactionNote, { color: colors.subText }]} numberOfLines={1}>
+                {getAccountName(getAccountId(item))} → {getAccountName(item.toAccountId)}{item.note ? ` - ${item.note}` : ''}
+              </Text>
+            ) : isDebt(item) ? (
+              <Text style={[styles.transactionNote, { color: colors.subText }]} numberOfLines={1}>
+                {getCategoryLabel(item)}{item.note ? ` - ${item.note}` : ''}
+              </Text>
+            ) : shown.note ? <Text style={[styles.transactionNote, { color: colors.subText }]} numberOfLines={1}>- {shown.note}</Text> : null}
+          </View>
+          <View style={styles.categoryHeaderRight}>
+            <Text style={[styles.subTransactionAmount, { color: getAmountColor(item) }]}>
+              {formatCurrency(shown.amount, item.currency)}
+            </Text>
+            {item.splitLine ? (
+              <Text style={[styles.transactionNote, { color: colors.subText }]}>of {formatCurrency(item.amount, item.currency)}</Text>
+            ) : null}
+            {!hasRate(item, currencySettings) ? (
+              <Text style={[styles.transactionNote, { color: colors.expense }]}>⚠️ No rate</Text>
+            ) : item.currency && item.currency !== currencySettings.base ? (
+              <Text style={[styles.transactionNote, { color: colors.subText }]}>≈ {formatCurrency(toBaseAmount(shown))}</Text>
+            ) : null}
+          </View>
+        </View>
+        {getReceipts(item).length > 0 ? (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.receiptRow}>
+            {getReceipts(item).map(name => (
+              <TouchableOpacity key={name} onPress={() => setReceiptPreview(name)}>
+                <Image source={{ uri: getReceiptUri(name) }} style={[styles.receiptThumbnail, { backgroundColor: colors.border }]} />
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        ) : null}
+      </TouchableOpacity>
+    );
+  };
+
+  // Statement summary of a credit card with a Pay link for what is left of it
+  const renderCardStatement = (account, statement) => {
+    const overdue = statement.minimumLeft > 0 && statement.due < new Date();
+    let summary = `Statement closed ${formatDate(statement.closing.toISOString())} with nothing owed`;
+    if (statement.balance > 0 && statement.remaining === 0) {
+      summary = `Statement of ${formatCurrency(statement.balance)} paid`;
+    } else if (statement.balance > 0) {
+      summary = `Statement ${formatCurrency(statement.remaining)} · Min ${formatCurrency(statement.minimumLeft)} · ${overdue ? 'Overdue since' : 'Due'} ${formatDate(statement.due.toISOString())}`;
+    }
+    return (
+      <View style={{ marginTop: 4 }}>
+        <Text style={[styles.categoryCount, { color: overdue ? colors.expense : colors.subText }]}>{summary}</Text>
+        <TouchableOpacity onPress={() => openCardPayment(account, statement.remaining)}>
+          <Text style={[styles.linkText, { color: colors.primary, marginTop: 4 }]}>
+            {statement.remaining > 0 ? `Pay ${formatCurrency(statement.remaining)}` : 'Make a Payment'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderBillRow = (bill, due) => (
+    <TouchableOpacity
+      key={bill.id}
+      style={[styles.accountRow, { backgroundColor: colors.background }]}
+      onPress={() => { setBillsVisible(true); openBillForm(bill); }}
+    >
+      <View style={{ flex: 1 }}>
+        <Text style={[styles.categoryTitle, { color: colors.text }]}>🧾 {bill.name}</Text>
+        <Text style={[styles.categoryCount, { color: due && getDaysUntil(due) < 0 ? colors.expense : colors.subText }]}>
+          {due ? getDueLabel(due) : 'Paid'}{bill.frequency !== 'none' ? ` · ${getFrequencyLabel(bill.frequency)}` : ''}
+        </Text>
+      </View>
+      <View style={{ alignItems: 'flex-end' }}>
+        <Text style={[styles.subTransactionAmount, { color: colors.expense }]}>{formatCurrency(bill.amount, bill.currency)}</Text>
+        {due && (
+          <TouchableOpacity onPress={() => markBillPaid(bill)}>
+            <Text style={[styles.linkText, { color: colors.primary, marginTop: 4 }]}>Mark Paid</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderBudgetBar = (spent, limit) => (
+    <View style={styles.budgetContainer}>
+      <View style={[styles.budgetTrack, { backgroundColor: colors.border }]}>
+        <View
+          style={[
+            styles.budgetFill,
+            { width: `${Math.min(spent / limit, 1) * 100}%`, backgroundColor: getBudgetColor(spent, limit) }
+          ]}
+        />
+      </View>
+      <Text style={[styles.budgetText, { color: colors.subText }]}>
+        {formatCurrency(spent)} of {formatCurrency(limit)}
+        {spent > limit ? ` · ${formatCurrency(spent - limit)} over` : ` · ${formatCurrency(limit - spent)} left`}
+      </Text>
+    </View>
+  );
+
+  const renderCategoryBlock = ({ item }) => {
+    const isExpanded = expandedCategories[item.key];
+    // Budgets cover one whole month, so they only show for a month with the list not narrowed to a tag
+    const budgetLimit = item.type === 'Expense' && !tagFilter && periodMode === 'month' ? budgets.categories[item.category] : null;
+    const category = item.type === 'Transfer' ? null : getCategory(item.type, item.category);
+    return (
+      <View style={[styles.categoryBlock, { backgroundColor: colors.card }]}>
+        <TouchableOpacity
+          style={styles.categoryHeader}
+          onPress={() => toggleCategory(item.key)}
+          activeOpacity={0.7}
+        >
+          <View style={styles.categoryHeaderLeft}>
+            <View style={[styles.iconPlaceholder, { backgroundColor: (category ? category.color : getTypeColor(item.type)) + '20' }]}>
+              <Text style={{ fontSize: 20 }}>{category ? category.icon : item.type === 'Income' ? '💰' : item.type === 'Expense' ? '💸' : item.type === 'Debt' ? '🤝' : '🔄'}</Text>
+            </View>
+            <View>
+              <Text style={[styles.categoryTitle, { color: colors.text }]}>{item.category}</Text>
+              <Text style={[styles.categoryCount, { color: colors.subText }]}>{item.count} transactions</Text>
+            </View>
+          </View>
+          <View style={styles.categoryHeaderRight}>
+            <Text style={[styles.categoryTotal, { color: getTypeColor(item.type) }]}>
+              {formatCurrency(item.total)}
+            </Text>
+            <Text style={[styles.expandIcon, { color: colors.subText }]}>{isExpanded ? '▲' : '▼'}</Text>
+          </View>
+        </TouchableOpacity>
+
+        {budgetLimit ? (
+          <View style={styles.categoryBudget}>
+            {renderBudgetBar(item.total, budgetLimit)}
+          </View>
+        ) : null}
+
+        {isExpanded && (
+          <View style={[styles.transactionList, { borderTopColor: colors.border }]}>
+            {item.hasChildren
+              ? item.children.map(child => renderSubcategoryBlock(item, child))
+              : item.transactions.map(t => renderTransactionItem(t))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  // A subcategory's subtotal inside its expanded parent; tapping it lists its transactions
+  const renderSubcategoryBlock = (group, child) => {
+    const key = `${group.key}/${child.category}`;
+    const isExpanded = expandedCategories[key];
+    const budgetLimit = child.type === 'Expense' && child.category !== group.category && !tagFilter && periodMode === 'month' ? budgets.categories[child.category] : null;
+    const category = getCategory(child.type, child.category);
+    return (
+      <View key={key}>
+        <TouchableOpacity style={styles.subTransactionItem} onPress={() => toggleCategory(key)} activeOpacity={0.7}>
+          <View style={styles.subTransactionContent}>
+            <View style={styles.subTransactionLeft}>
+              <Text style={{ fontSize: 16, marginRight: 8 }}>{category ? category.icon : '🏷️'}</Text>
+              <Text style={[styles.subcategoryTitle, { color: colors.text }]} numberOfLines={1}>
+                {child.category === group.category ? `${child.category} (general)` : child.category}
+              </Text>
+              <Text style={[styles.categoryCount, { color: colors.subText, marginLeft: 6 }]}>· {child.count}</Text>
+            </View>
+            <View style={styles.headerActions}>
+              <Text style={[styles.subTransactionAmount, { color: getTypeColor(child.type) }]}>{formatCurrency(child.total)}</Text>
+              <Text style={[styles.expandIcon, { color: colors.subText, marginTop: 0, marginLeft: 8 }]}>{isExpanded ? '▲' : '▼'}</Text>
+            </View>
+          </View>
+          {budgetLimit ? renderBudgetBar(child.total, budgetLimit) : null}
+        </TouchableOpacity>
+        {isExpanded && (
+          <View style={styles.subcategoryTransactions}>
+            {child.transactions.map(t => renderTransactionItem(t))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderDonutChart = (slices) => {
+    const size = 200;
+    const strokeWidth = 32;
+    const radius = (size - strokeWidth) / 2;
+    const center = size / 2;
+    const total = slices.reduce((acc, slice) => acc + slice.total, 0);
+    const selected = slices.find(slice => slice.key === analyticsCategory);
+    let angle = -Math.PI / 2;
+
+    return (
+      <View style={styles.donutContainer}>
+        <Svg width={size} height={size}>
+          {slices.length === 1 ? (
+            <Circle
+              cx={center}
+              cy={center}
+              r={radius}
+              stroke={slices[0].color}
+              strokeWidth={strokeWidth}
+              fill="none"
+              onPress={() => toggleAnalyticsCategory(slices[0].key)}
+            />
+          ) : slices.map(slice => {
+            const startAngle = angle;
+            angle += (slice.total / total) * Math.PI * 2;
+            return (
+              <Path
+                key={slice.key}
+                d={describeArc(center, center, radius, startAngle, angle)}
+                stroke={slice.color}
+                strokeWidth={slice.key === analyticsCategory ? strokeWidth + 8 : strokeWidth}
+                strokeOpacity={analyticsCategory && slice.key !== analyticsCategory ? 0.4 : 1}
+                fill="none"
+                onPress={() => toggleAnalyticsCategory(slice.key)}
+              />
+            );
+          })}
+        </Svg>
+        <View style={styles.donutCenter} pointerEvents="none">
+          <Text style={[styles.statLabel, { color: colors.subText }]}>{selected ? selected.category : 'Expenses'}</Text>
+          <Text style={[styles.statValue, { color: colors.text }]}>{formatCurrency(selected ? selected.total : total)}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderTrendChart = (months) => {
+    const width = windowWidth - 50;
+    const height = 160;
+    const labelHeight = 20;
+    const max = Math.max(1, ...months.map(m => Math.max(m.income, m.expense)));
+    const slot = width / months.length;
+    const barWidth = Math.min(14, slot / 3);
+
+    return (
+      <Svg width={width} height={height + labelHeight}>
+        {months.map((m, index) => {
+          const x = index * slot + slot / 2;
+          const incomeHeight = (m.income / max) * height;
+          const expenseHeight = (m.expense / max) * height;
+          const isCurrent = isSameMonth(m.date, currentDate);
+          return (
+            <G key={m.date.toISOString()} onPress={() => showMonth(m.date)}>
+              {/* Invisible hit area so the whole column is tappable */}
+              <Rect x={index * slot} y={0} width={slot} height={height + labelHeight} fill="transparent" />
+              <Rect x={x - barWidth - 1} y={height - incomeHeight} width={barWidth} height={incomeHeight} rx={3} fill={colors.income} />
+              <Rect x={x + 1} y={height - expenseHeight} width={barWidth} height={expenseHeight} rx={3} fill={colors.expense} />
+              <SvgText
+                x={x}
+                y={height + 15}
+                fontSize="10"
+                fontWeight={isCurrent ? 'bold' : 'normal'}
+                fill={isCurrent ? colors.primary : colors.subText}
+                textAnchor="middle"
+              >
+                {MONTHS[m.date.getMonth()].slice(0, 3)}
+              </SvgText>
+            </G>
+          );
+        })}
+      </Svg>
+    );
+  };
+
+  const renderChip = (label, selected, onPress) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.categoryChip, { backgroundColor: colors.background }, selected && { backgroundColor: colors.primary }]}
+      onPress={onPress}
+    >
+      <Text style={[styles.categoryChipText, { color: colors.text }, selected && styles.categoryChipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderFooter = () => (
+    <View style={styles.footerContainer}>
+      <Text style={[styles.footerText, { color: colors.subText }]}>
+        © 2025 Spendy 👨‍💻 Developed by Loooploye 121
+      </Text>
+    </View>
+  );
+
+  const renderSnackbar = () => snackbar && (
+    <View style={[styles.snackbar, { backgroundColor: colors.text }]}>
+      <Text style={[styles.snackbarText, { color: colors.background }]} numberOfLines={2}>{snackbar.message}</Text>
+      <TouchableOpacity onPress={undoSnackbar}>
+        <Text style={[styles.linkText, { color: colors.primary }]}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const importPreview = getImportPreview();
+  const categoryBreakdown = getCategoryBreakdown();
+  const drilledCategory = categoryBreakdown.find(slice => slice.key === analyticsCategory);
+  const searchResults = getSearchResults();
+  const splitRemainder = getSplitRemainder();
+
+  // Tags used in the viewed month; the active filter stays selectable even when the month has none
+  const monthTags = [...new Set([...filteredTransactions.flatMap(getTags), ...(tagFilter ? [tagFilter] : [])])].sort((a, b) => a.localeCompare(b));
+  const tagTotals = {
+    income: listedTransactions.filter(t => t.type === 'Income').reduce((acc, t) => acc + toBaseAmount(t), 0),
+    expense: listedTransactions.filter(t => t.type === 'Expense').reduce((acc, t) => acc + toBaseAmount(t), 0),
+  };
+  const tagReport = tagsVisible ? getTagRows() : null;
+  const reimbursements = reimbursementsVisible ? getReimbursements(transactions, toBaseAmount) : null;
+  const upcomingBills = getUpcomingBills(bills);
+  const missingRates = getMissingRates(getCurrencyRecords(), currencySettings);
+  const selectedStatement = getCardStatement(accounts.find(a => a.id === selectedAccountId), transactions, getBalanceEffect);
+  const debtLedger = debtsVisible ? getDebtLedger(people, transactions, toBaseAmount) : null;
+  const goalProgress = goalsVisible ? goals.map(goal => ({ goal, ...getGoalProgress(goal, transactions, toBaseAmount) })) : [];
+  const settleSelected = transactions.filter(t => settleSelection[t.id]);
+  const settleTotal = settleSelected.reduce((acc, t) => acc + toBaseAmount(t), 0);
+
+  // Entries of the ☰ menu; each opens its own screen
+  const menuItems = [
+    { key: 'analytics', icon: '📊', label: 'Analytics', onPress: openAnalytics },
+    { key: 'budgets', icon: '🎯', label: 'Budgets', onPress: openBudgets },
+    { key: 'recurring', icon: '🔁', label: 'Recurring', onPress: () => setRecurringVisible(true) },
+    { key: 'accounts', icon: '👛', label: 'Accounts', onPress: () => setAccountsVisible(true) },
+    { key: 'data', icon: '📁', label: 'Import & Export', onPress: openDataModal },
+    { key: 'categories', icon: '🏷️', label: 'Categories', onPress: openCategoryManager },
+    { key: 'tags', icon: '🔖', label: 'Tags', onPress: () => setTagsVisible(true) },
+    { key: 'reimbursements', icon: '💵', label: 'Reimbursements', onPress: () => setReimbursementsVisible(true) },
+    { key: 'goals', icon: '🏆', label: 'Savings Goals', onPress: () => setGoalsVisible(true) },
+    { key: 'bills', icon: '🔔', label: 'Bills', onPress: () => setBillsVisible(true) },
+    { key: 'debts', icon: '🤝', label: 'Debts & Loans', onPress: () => setDebtsVisible(true) },
+    { key: 'trash', icon: '🗑️', label: trash.length > 0 ? `Trash (${trash.length})` : 'Trash', onPress: () => setTrashVisible(true) },
+    { key: 'settings', icon: '⚙️', label: 'Settings', onPress: openSettings },
+  ];
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
+      <StatusBar barStyle={colors.statusBarStyle} backgroundColor={colors.background} />
+
+      {!isLoaded ? (
+        <View style={styles.loadingContainer}>
+          {loadError ? (
+            <Text style={[styles.loadErrorText, { color: colors.text }]}>{loadError}</Text>
+          ) : (
+            <ActivityIndicator size="large" color={colors.primary} />
+          )}
+        </View>
+      ) : (
+        <>
+
+
+          {/* Header */}
+          <View style={[styles.header, { backgroundColor: colors.background }]}>
+            <TouchableOpacity onPress={() => setAccountsVisible(true)} style={styles.accountSwitcher}>
+              <Text style={[styles.headerTitle, { color: colors.text }]} numberOfLines={1}>
+                {selectedAccountId === 'all' ? (accounts.length > 1 ? 'All Accounts' : accounts[0].name) : getAccountName(selectedAccountId)}
+              </Text>
+              <Text style={[styles.expandIcon, { color: colors.subText, marginLeft: 6 }]}>▼</Text>
+            </TouchableOpacity>
+            <View style={styles.headerActions}>
+              <TouchableOpacity onPress={() => setSearchVisible(true)} style={styles.themeButton}>
+                <Text style={{ fontSize: 22 }}>🔍</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => setMenuVisible(true)} style={styles.themeButton}>
+                <Text style={[styles.menuIcon, { color: colors.text }]}>☰</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={toggleTheme} style={styles.themeButton}>
+                <Text style={{ fontSize: 24 }}>{theme === 'light' ? '☀️' : '🌙'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          {/* Period Selector - steps through periods of the chosen size */}
+          <View style={styles.monthSelector}>
+            <TouchableOpacity onPress={() => changePeriod(-1)} style={styles.arrowButton}>
+              <Text style={[styles.arrowText, { color: colors.primary }]}>{'<'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={openPicker}>
+              <Text style={[styles.monthText, { color: colors.text }]} numberOfLines={1} adjustsFontSizeToFit>{getPeriodLabel()}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => changePeriod(1)} style={styles.arrowButton}>
+              <Text style={[styles.arrowText, { color: colors.primary }]}>{'>'}</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Summary Card */}
+          <View style={[styles.summaryCard, { backgroundColor: colors.card }]}>
+            <View style={styles.balanceContainer}>
+              <Text style={[styles.balanceLabel, { color: colors.subText }]}>Total Balance</Text>
+              <Text style={[styles.balanceAmount, { color: colors.text }]}>{formatCurrency(totals.closing)}</Text>
+              <Text style={[styles.balanceBreakdown, { color: colors.subText }]}>
+                Opening {formatCurrency(totals.opening)} · Net {totals.net >= 0 ? '+' : ''}{formatCurrency(totals.net)}
+              </Text>
+            </View>
+            <View style={styles.statsRow}>
+              <View style={styles.statItem}>
+                <View style={[styles.statIcon, { backgroundColor: colors.income + '20' }]}>
+                  <Text>⬇️</Text>
+                </View>
+                <View>
+                  <Text style={[styles.statLabel, { color: colors.subText }]}>Income</Text>
+                  <Text style={[styles.statValue, { color: colors.income }]}>{formatCurrency(totals.income)}</Text>
+                </View>
+              </View>
+              <View style={[styles.divider, { backgroundColor: colors.border }]} />
+              <View style={styles.statItem}>
+                <View style={[styles.statIcon, { backgroundColor: colors.expense + '20' }]}>
+                  <Text>⬆️</Text>
+                </View>
+                <View>
+                  <Text style={[styles.statLabel, { color: colors.subText }]}>Expense</Text>
+                  <Text style={[styles.statValue, { color: colors.expense }]}>{formatCurrency(totals.expense)}</Text>
+                </View>
+              </View>
+            </View>
+            {Object.keys(missingRates).length > 0 ? (
+              <TouchableOpacity onPress={openSettings} style={{ marginTop: 15 }}>
+                <Text style={[styles.statLabel, { color: colors.expense }]}>
+                  ⚠️ No exchange rate for {Object.entries(missingRates).map(([code, count]) => `${code} (${count})`).join(', ')}.
+                  These amounts are left out of totals until you add a rate in Settings.
+                </Text>
+              </TouchableOpacity>
+            ) : null}
+            {selectedStatement ? (
+              <View style={{ marginTop: 15 }}>
+                <Text style={[styles.statLabel, { color: colors.subText }]}>Card Balance {formatCurrency(selectedStatement.current)}</Text>
+                {renderCardStatement(accounts.find(a => a.id === selectedAccountId), selectedStatement)}
+              </View>
+            ) : null}
+            {budgets.overall && periodMode === 'month' ? (
+              <View style={{ marginTop: 15 }}>
+                <Text style={[styles.statLabel, { color: colors.subText }]}>Monthly Budget</Text>
+                {renderBudgetBar(totals.expense, budgets.overall)}
+              </View>
+            ) : null}
+          </View>
+
+          {/* Transaction List */}
+          <View style={styles.listContainer}>
+            {/* Upcoming Bills - due in the next UPCOMING_DAYS days, whatever period is viewed */}
+            {upcomingBills.length > 0 && (
+              <View style={styles.upcomingSection}>
+                <View style={styles.rowBetween}>
+                  <Text style={[styles.sectionTitle, { color: colors.text, marginBottom: 10 }]}>Upcoming</Text>
+                  <TouchableOpacity onPress={() => setBillsVisible(true)}>
+                    <Text style={[styles.linkText, { color: colors.primary }]}>
+                      {upcomingBills.length > UPCOMING_LIMIT ? `See all ${upcomingBills.length}` : 'All bills'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+                {upcomingBills.slice(0, UPCOMING_LIMIT).map(({ bill, due }) => renderBillRow(bill, due))}
+              </View>
+            )}
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Transactions</Text>
+            {monthTags.length > 0 && (
+              <View>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                  {renderChip('All', !tagFilter, () => setTagFilter(null))}
+                  {monthTags.map(tag => renderChip(`#${tag}`, tagFilter === tag, () => setTagFilter(tagFilter === tag ? null : tag)))}
+                </ScrollView>
+                {tagFilter && (
+                  <Text style={[styles.balanceBreakdown, { color: colors.subText, marginTop: 0, marginBottom: 10 }]}>
+                    #{tagFilter} · Income {formatCurrency(tagTotals.income)} · Expense {formatCurrency(tagTotals.expense)}
+                  </Text>
+                )}
+              </View>
+            )}
+            <FlatList
+              data={groupedTransactions}
+              keyExtractor={(item) => item.key}
+              renderItem={renderCategoryBlock}
+              ListEmptyComponent={
+                <View style={styles.emptyState}>
+                  <Text style={[styles.emptyStateText, { color: colors.subText }]}>
+                    {tagFilter ? `No transactions tagged #${tagFilter} in this period.` : 'No transactions in this period.'}
+                  </Text>
+                </View>
+              }
+              ListFooterComponent={renderFooter}
+              contentContainerStyle={{ flexGrow: 1, paddingBottom: 100 }}
+              ListFooterComponentStyle={{ flex: 1, justifyContent: 'flex-end' }}
+              showsVerticalScrollIndicator={false}
+            />
+          </View>
+
+          {/* Add Button - Hide if future month */}
+          {!isFuturePeriod() && (
+            <TouchableOpacity
+              style={[styles.fab, { backgroundColor: colors.primary, shadowColor: colors.primary }]}
+              activeOpacity={0.8}
+              onPress={openAddModal}
+            >
+              <Text style={styles.fabIcon}>+</Text>
+            </TouchableOpacity>
+          )}
+
+          {renderSnackbar()}
+
+          {/* Add Transaction Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={modalVisible}
+            onRequestClose={closeModal}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>{editingRuleId ? 'Edit Recurring' : editingId ? 'Edit Transaction' : 'New Transaction'}</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  {/* Type Switcher */}
+                  <View style={[styles.typeSwitcher, { backgroundColor: colors.background }]}>
+                    <TouchableOpacity
+                      style={[
+                        styles.typeButton,
+                        newTransaction.type === 'Income' && { backgroundColor: colors.card, borderColor: colors.income, borderWidth: 1 }
+                      ]}
+                      onPress={() => setNewTransaction({ ...newTransaction, type: 'Income', category: '', splits: [] })}
+                    >
+                      <Text style={[
+                        styles.typeButtonText, { color: colors.subText },
+                        newTransaction.type === 'Income' && { color: colors.text }
+                      ]}>Income</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[
+                        styles.typeButton,
+                        newTransaction.type === 'Expense' && { backgroundColor: colors.card, borderColor: colors.expense, borderWidth: 1 }
+                      ]}
+                      onPress={() => setNewTransaction({ ...newTransaction, type: 'Expense', category: '', splits: [] })}
+                    >
+                      <Text style={[
+                        styles.typeButtonText, { color: colors.subText },
+                        newTransaction.type === 'Expense' && { color: colors.text }
+                      ]}>Expense</Text>
+                    </TouchableOpacity>
+                    {accounts.length > 1 && (
+                      <TouchableOpacity
+                        style={[
+                          styles.typeButton,
+                          newTransaction.type === 'Transfer' && { backgroundColor: colors.card, borderColor: colors.primary, borderWidth: 1 }
+                        ]}
+                        onPress={() => setNewTransaction({
+                          ...newTransaction,
+                          type: 'Transfer',
+                          category: '',
+                          splits: [],
+                          toAccountId: accounts.find(a => a.id !== newTransaction.accountId).id,
+                        })}
+                      >
+                        <Text style={[
+                          styles.typeButtonText, { color: colors.subText },
+                          newTransaction.type === 'Transfer' && { color: colors.text }
+                        ]}>Transfer</Text>
+                      </TouchableOpacity>
+                    )}
+                    <TouchableOpacity
+                      style={[
+                        styles.typeButton,
+                        isDebt(newTransaction) && { backgroundColor: colors.card, borderColor: colors.primary, borderWidth: 1 }
+                      ]}
+                      onPress={() => !isDebt(newTransaction) && setNewTransaction({
+                        ...newTransaction,
+                        type: 'Lent',
+                        repayment: false,
+                        category: '',
+                        splits: [],
+                        personId: newTransaction.personId || (people[0] ? people[0].id : null),
+                      })}
+                    >
+                      <Text style={[
+                        styles.typeButtonText, { color: colors.subText },
+                        isDebt(newTransaction) && { color: colors.text }
+                      ]}>Loan</Text>
+                    </TouchableOpacity>
+                  </View>
+
+                  {/* Amount Input */}
+                  <Text style={[styles.label, { color: colors.subText }]}>Amount</Text>
+                  <View style={[styles.inputContainer, { borderBottomColor: colors.border }]}>
+                    <Text style={[styles.currencySymbol, { color: colors.text }]}>{getCurrencySymbol(newTransaction.currency)}</Text>
+                    <TextInput
+                      style={[styles.amountInput, { color: colors.text }]}
+                      placeholder="0.00"
+                      placeholderTextColor={colors.subText}
+                      keyboardType="numeric"
+                      value={newTransaction.amount}
+                      onChangeText={(text) => setNewTransaction({ ...newTransaction, amount: text })}
+                    />
+                  </View>
+
+                  {/* Currency Selection - only when exchange rates are set up */}
+                  {availableCurrencies.length > 1 && (
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                      {availableCurrencies.map(code => renderChip(code, newTransaction.currency === code, () => setNewTransaction({ ...newTransaction, currency: code })))}
+                    </ScrollView>
+                  )}
+
+                  {/* Date Selection */}
+                  <Text style={[styles.label, { color: colors.subText }]}>{newTransaction.frequency !== 'none' ? 'Starts' : 'Date'}</Text>
+                  <TouchableOpacity
+                    style={[styles.input, styles.dateField, { backgroundColor: colors.background }]}
+                    onPress={() => openDatePicker('date')}
+                  >
+                    <Text style={{ fontSize: 16, color: colors.text }}>{formatDateTime(newTransaction.date)}</Text>
+                    <Text style={{ fontSize: 16 }}>📅</Text>
+                  </TouchableOpacity>
+
+                  {newTransaction.type === 'Transfer' ? (
+                    <>
+                      {/* Transfer Accounts */}
+                      <Text style={[styles.label, { color: colors.subText }]}>From</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {accounts.map(account => renderChip(account.name, newTransaction.accountId === account.id, () => setNewTransaction({ ...newTransaction, accountId: account.id })))}
+                      </ScrollView>
+                      <Text style={[styles.label, { color: colors.subText }]}>To</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {accounts
+                          .filter(account => account.id !== newTransaction.accountId)
+                          .map(account => renderChip(account.name, newTransaction.toAccountId === account.id, () => setNewTransaction({ ...newTransaction, toAccountId: account.id })))}
+                      </ScrollView>
+                    </>
+                  ) : isDebt(newTransaction) ? (
+                    <>
+                      {/* Loan - who it is with and which way the money goes */}
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {DEBT_KINDS.map(kind => renderChip(
+                          kind.label,
+                          getDebtKind(newTransaction) === kind,
+                          () => setNewTransaction({ ...newTransaction, type: kind.type, repayment: kind.repayment })
+                        ))}
+                      </ScrollView>
+                      <View style={styles.rowBetween}>
+                        <Text style={[styles.label, { color: colors.subText }]}>Person</Text>
+                        {!personForm && (
+                          <TouchableOpacity onPress={() => setPersonForm({ id: null, name: '' })}>
+                            <Text style={[styles.linkText, { color: colors.primary }]}>+ Add New</Text>
+                          </TouchableOpacity>
+                        )}
+                      </View>
+                      {personForm ? (
+                        <View style={styles.addCategoryContainer}>
+                          <TextInput
+                            style={[styles.input, { flex: 1, marginBottom: 0, backgroundColor: colors.background, color: colors.text }]}
+                            placeholder="Name"
+                            placeholderTextColor={colors.subText}
+                            value={personForm.name}
+                            onChangeText={(text) => setPersonForm({ ...personForm, name: text })}
+                          />
+                          <TouchableOpacity style={[styles.smallButton, { backgroundColor: colors.primary }]} onPress={savePerson}>
+                            <Text style={styles.smallButtonText}>Add</Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity style={[styles.smallButtonDestructive, { backgroundColor: colors.background }]} onPress={() => setPersonForm(null)}>
+                            <Text style={[styles.smallButtonText, { color: colors.text }]}>X</Text>
+                          </TouchableOpacity>
+                        </View>
+                      ) : (
+                        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                          {people.map(person => renderChip(person.name, newTransaction.personId === person.id, () => setNewTransaction({ ...newTransaction, personId: person.id })))}
+                        </ScrollView>
+                      )}
+                      {accounts.length > 1 && (
+                        <>
+                          <Text style={[styles.label, { color: colors.subText }]}>{isMoneyIn(newTransaction) ? 'Into Account' : 'From Account'}</Text>
+                          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                            {accounts.map(account => renderChip(account.name, newTransaction.accountId === account.id, () => setNewTransaction({ ...newTransaction, accountId: account.id })))}
+                          </ScrollView>
+                        </>
+                      )}
+                    </>
+                  ) : (
+                    <>
+                      {/* Account Selection - only with more than one account */}
+                      {accounts.length > 1 && (
+                        <>
+                          <Text style={[styles.label, { color: colors.subText }]}>Account</Text>
+                          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                            {accounts.map(account => renderChip(account.name, newTransaction.accountId === account.id, () => setNewTransaction({ ...newTransaction, accountId: account.id })))}
+                          </ScrollView>
+                        </>
+                      )}
+
+                      {/* Category Selection */}
+                      <View style={styles.rowBetween}>
+                        <Text style={[styles.label, { color: colors.subText }]}>{isSplit(newTransaction) ? 'Split' : 'Category'}</Text>
+                        {!isAddingCategory && (
+                          <View style={{ flexDirection: 'row' }}>
+                            {!isSplit(newTransaction) && (
+                              <TouchableOpacity onPress={startSplit} style={{ marginRight: 15 }}>
+                                <Text style={[styles.linkText, { color: colors.primary }]}>✂️ Split</Text>
+                              </TouchableOpacity>
+                            )}
+                            <TouchableOpacity onPress={() => setIsAddingCategory(true)}>
+                              <Text style={[styles.linkText, { color: colors.primary }]}>+ Add New</Text>
+                            </TouchableOpacity>
+                          </View>
+                        )}
+                      </View>
+
+                      {isAddingCategory ? (
+                        <View style={styles.addCategoryContainer}>
+                          <TextInput
+                            style={[styles.input, { flex: 1, marginBottom: 0, backgroundColor: colors.background, color: colors.text }]}
+                            placeholder="New Category Name"
+                            placeholderTextColor={colors.subText}
+                            value={newCategoryName}
+                            onChangeText={setNewCategoryName}
+                          />
+                          <TouchableOpacity style={[styles.smallButton, { backgroundColor: colors.primary }]} onPress={handleAddNewCategory}>
+                            <Text style={styles.smallButtonText}>Add</Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity style={[styles.smallButtonDestructive, { backgroundColor: colors.background }]} onPress={() => setIsAddingCategory(false)}>
+                            <Text style={[styles.smallButtonText, { color: colors.text }]}>X</Text>
+                          </TouchableOpacity>
+                        </View>
+                      ) : isSplit(newTransaction) ? (
+                        <>
+                          {newTransaction.splits.map((line, index) => (
+                            <View key={index} style={[styles.splitLine, { borderColor: colors.border }]}>
+                              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                                {getCategoryChoices(newTransaction.type, line.category)
+                                  .map(cat => renderChip(`${cat.icon} ${cat.name}`, line.category === cat.name, () => updateSplitLine(index, 'category', cat.name)))}
+                              </ScrollView>
+                              <View style={styles.budgetRow}>
+                                <TextInput
+                                  style={[styles.input, styles.budgetInput, { backgroundColor: colors.background, color: colors.text }]}
+                                  placeholder="0.00"
+                                  placeholderTextColor={colors.subText}
+                                  keyboardType="numeric"
+                                  value={line.amount}
+                                  onChangeText={(text) => updateSplitLine(index, 'amount', text)}
+                                />
+                                <TextInput
+                                  style={[styles.input, { flex: 1, marginBottom: 0, marginLeft: 10, padding: 10, backgroundColor: colors.background, color: colors.text }]}
+                                  placeholder="Note (Optional)"
+                                  placeholderTextColor={colors.subText}
+                                  value={line.note}
+                                  onChangeText={(text) => updateSplitLine(index, 'note', text)}
+                                />
+                                <TouchableOpacity
+                                  style={[styles.smallButtonDestructive, { backgroundColor: colors.background, paddingVertical: 10 }]}
+                                  onPress={() => removeSplitLine(index)}
+                                >
+                                  <Text style={[styles.smallButtonText, { color: colors.text }]}>X</Text>
+                                </TouchableOpacity>
+                              </View>
+                            </View>
+                          ))}
+                          <View style={[styles.rowBetween, { marginTop: 0 }]}>
+                            <TouchableOpacity onPress={addSplitLine}>
+                              <Text style={[styles.linkText, { color: colors.primary }]}>+ Add Line</Text>
+                            </TouchableOpacity>
+                            <Text style={[styles.transactionNote, { color: Math.abs(splitRemainder) < 0.005 ? colors.income : colors.expense }]}>
+                              {Math.abs(splitRemainder) < 0.005
+                                ? 'All assigned'
+                                : `${formatCurrency(Math.abs(splitRemainder), newTransaction.currency)} ${splitRemainder > 0 ? 'left' : 'over'}`}
+                            </Text>
+                          </View>
+                        </>
+                      ) : (
+                        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                          {getCategoryChoices(newTransaction.type, newTransaction.category).map(({ name: cat, icon }) => (
+                            <TouchableOpacity
+                              key={cat}
+                              onLongPress={() => handleDeleteCategoryInitiation(cat)}
+                              delayLongPress={500}
+                              style={[
+                                styles.categoryChip,
+                                { backgroundColor: colors.background },
+                                newTransaction.category === cat &&
+                                { backgroundColor: newTransaction.type === 'Income' ? colors.income : colors.expense }
+                              ]}
+                              onPress={() => setNewTransaction({ ...newTransaction, category: cat })}
+                            >
+                              <Text
+                                style={[
+                                  styles.categoryChipText, { color: colors.text },
+                                  newTransaction.category === cat && styles.categoryChipTextActive
+                                ]}
+                              >
+                                {icon} {cat}
+                              </Text>
+                            </TouchableOpacity>
+                          ))}
+                        </ScrollView>
+                      )}
+                    </>
+                  )}
+
+                  {/* Note Input */}
+                  <Text style={[styles.label, { color: colors.subText }]}>Note (Optional)</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                    placeholder="E.g. Lunch with friends"
+                    placeholderTextColor={colors.subText}
+                    value={newTransaction.note}
+                    onChangeText={(text) => setNewTransaction({ ...newTransaction, note: text })}
+                  />
+
+                  {/* Receipts - single transactions only */}
+                  {newTransaction.frequency === 'none' && (
+                    <>
+                      <Text style={[styles.label, { color: colors.subText }]}>Receipts (Optional)</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {newTransaction.receipts.map(name => (
+                          <View key={name} style={styles.receiptEditItem}>
+                            <TouchableOpacity onPress={() => setReceiptPreview(name)}>
+                              <Image source={{ uri: getReceiptUri(name) }} style={[styles.receiptThumbnail, styles.receiptThumbnailLarge, { backgroundColor: colors.border }]} />
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.receiptRemove, { backgroundColor: colors.expense }]} onPress={() => removeReceipt(name)}>
+                              <Text style={styles.receiptRemoveText}>✕</Text>
+                            </TouchableOpacity>
+                          </View>
+                        ))}
+                        {renderChip('📷 Camera', false, () => pickReceipt('camera'))}
+                        {renderChip('🖼️ Gallery', false, () => pickReceipt('gallery'))}
+                      </ScrollView>
+                    </>
+                  )}
+
+                  {/* Reimbursable - expenses only */}
+                  {newTransaction.type === 'Expense' && (
+                    <>
+                      <Text style={[styles.label, { color: colors.subText }]}>Reimbursable</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {renderChip('No', !newTransaction.reimbursement, () => setNewTransaction({ ...newTransaction, reimbursement: null }))}
+                        {newTransaction.frequency !== 'none'
+                          ? renderChip('Yes', !!newTransaction.reimbursement, () => setNewTransaction({ ...newTransaction, reimbursement: { status: 'pending', incomeId: null } }))
+                          : REIMBURSEMENT_STATUSES.map(status => renderChip(
+                            status.label,
+                            !!newTransaction.reimbursement && newTransaction.reimbursement.status === status.key,
+                            () => setNewTransaction({
+                              ...newTransaction,
+                              // Keep the settling income only while the status stays paid
+                              reimbursement: {
+                                status: status.key,
+                                incomeId: status.key === 'paid' && newTransaction.reimbursement ? newTransaction.reimbursement.incomeId : null,
+                              },
+                            })
+                          ))}
+                      </ScrollView>
+                    </>
+                  )}
+
+                  {/* Savings Goal */}
+                  {goals.length > 0 && (
+                    <>
+                      <Text style={[styles.label, { color: colors.subText }]}>Contributes To Goal</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {renderChip('None', !newTransaction.goalId, () => setNewTransaction({ ...newTransaction, goalId: null }))}
+                        {goals.map(goal => renderChip(`🏆 ${goal.name}`, newTransaction.goalId === goal.id, () => setNewTransaction({ ...newTransaction, goalId: goal.id })))}
+                      </ScrollView>
+                    </>
+                  )}
+
+                  {/* Tags */}
+                  <Text style={[styles.label, { color: colors.subText }]}>Tags (Optional)</Text>
+                  {newTransaction.tags.length > 0 && (
+                    <View style={styles.tagRow}>
+                      {newTransaction.tags.map(tag => renderChip(`#${tag} ✕`, true, () => removeTag(tag)))}
+                    </View>
+                  )}
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.background, color: colors.text, marginBottom: 10 }]}
+                    placeholder="E.g. Trip to Lisbon"
+                    placeholderTextColor={colors.subText}
+                    value={tagInput}
+                    onChangeText={setTagInput}
+                    onSubmitEditing={() => addTag(tagInput)}
+                    blurOnSubmit={false}
+                    returnKeyType="done"
+                  />
+                  {(tagInput.trim() !== '' || getTagSuggestions().length > 0) && (
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll} keyboardShouldPersistTaps="handled">
+                      {tagInput.trim() !== '' && !getTagsInUse().some(t => t.toLowerCase() === normalizeTag(tagInput).toLowerCase()) &&
+                        renderChip(`+ ${normalizeTag(tagInput)}`, false, () => addTag(tagInput))}
+                      {getTagSuggestions().map(tag => renderChip(`#${tag}`, false, () => addTag(tag)))}
+                    </ScrollView>
+                  )}
+
+                  {/* Repeat Selection - not offered when editing a single transaction */}
+                  {!editingId && (
+                    <>
+                      <Text style={[styles.label, { color: colors.subText }]}>Repeat</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {[{ key: 'none', label: 'Never' }, ...FREQUENCIES]
+                          .filter(f => !(editingRuleId && f.key === 'none'))
+                          .map(f => (
+                            <TouchableOpacity
+                              key={f.key}
+                              style={[
+                                styles.categoryChip,
+                                { backgroundColor: colors.background },
+                                newTransaction.frequency === f.key && { backgroundColor: colors.primary }
+                              ]}
+                              onPress={() => setNewTransaction({ ...newTransaction, frequency: f.key })}
+                            >
+                              <Text style={[
+                                styles.categoryChipText, { color: colors.text },
+                                newTransaction.frequency === f.key && styles.categoryChipTextActive
+                              ]}>{f.label}</Text>
+                            </TouchableOpacity>
+                          ))}
+                      </ScrollView>
+
+                      {newTransaction.frequency !== 'none' && (
+                        <>
+                          <Text style={[styles.label, { color: colors.subText }]}>Ends (Optional)</Text>
+                          <TouchableOpacity
+                            style={[styles.input, styles.dateField, { backgroundColor: colors.background }]}
+                            onPress={() => openDatePicker('endDate')}
+                          >
+                            <Text style={{ fontSize: 16, color: newTransaction.endDate ? colors.text : colors.subText }}>
+                              {newTransaction.endDate ? new Date(newTransaction.endDate).toLocaleDateString() : 'Never'}
+                            </Text>
+                            <Text style={{ fontSize: 16 }}>📅</Text>
+                          </TouchableOpacity>
+                        </>
+                      )}
+                    </>
+                  )}
+                </ScrollView>
+
+                {/* Actions */}
+                <View style={styles.modalButtons}>
+                  <TouchableOpacity
+                    style={[styles.modalButton, styles.cancelButton, { backgroundColor: colors.background }]}
+                    onPress={closeModal}
+                  >
+                    <Text style={[styles.cancelButtonText, { color: colors.text }]}>Cancel</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.modalButton, styles.saveButton, { backgroundColor: colors.primary }]}
+                    onPress={handleAddTransaction}
+                  >
+                    <Text style={styles.saveButtonText}>{editingId || editingRuleId ? 'Save Changes' : 'Save Transaction'}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+              {/* Category deletions happen while this modal is open */}
+              {renderSnackbar()}
+            </View>
+          </Modal>
+
+          {/* Period Picker Modal */}
+          <Modal
+            animationType="fade"
+            transparent={true}
+            visible={pickerVisible}
+            onRequestClose={() => setPickerVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.pickerContent, { backgroundColor: colors.card }]}>
+                {/* Period Size */}
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={[styles.categoryScroll, { alignSelf: 'stretch' }]}>
+                  {PERIOD_MODES.map(mode => renderChip(mode.label, periodMode === mode.key, () => selectPeriodMode(mode.key)))}
+                </ScrollView>
+
+                {periodMode === 'week' && (
+                  <TouchableOpacity style={[styles.monthCell, { width: '100%', backgroundColor: colors.background }]} onPress={selectThisWeek}>
+                    <Text style={[styles.monthCellText, { color: colors.text }]}>This Week</Text>
+                  </TouchableOpacity>
+                )}
+
+                {periodMode === 'range' && (
+                  <View style={{ alignSelf: 'stretch' }}>
+                    <View style={styles.rangeRow}>
+                      <TextInput
+                        style={[styles.input, { flex: 1, backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="From YYYY-MM-DD"
+                        placeholderTextColor={colors.subText}
+                        value={rangeDraft.from}
+                        onChangeText={(text) => setRangeDraft({ ...rangeDraft, from: text })}
+                      />
+                      <TextInput
+                        style={[styles.input, { flex: 1, marginLeft: 10, backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="To YYYY-MM-DD"
+                        placeholderTextColor={colors.subText}
+                        value={rangeDraft.to}
+                        onChangeText={(text) => setRangeDraft({ ...rangeDraft, to: text })}
+                      />
+                    </View>
+                    <TouchableOpacity style={[styles.monthCell, { width: '100%', backgroundColor: colors.primary }]} onPress={applyCustomRange}>
+                      <Text style={[styles.monthCellText, { color: 'white', fontWeight: 'bold' }]}>Show Range</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+
+                {/* Year Selector */}
+                {['month', 'quarter', 'year'].includes(periodMode) && (
+                  <View style={styles.yearRow}>
+                    <TouchableOpacity onPress={() => setPickerYear(pickerYear - 1)} style={styles.arrowButton}>
+                      <Text style={[styles.arrowText, { color: colors.primary }]}>{'<'}</Text>
+                    </TouchableOpacity>
+                    <Text style={[styles.yearText, { color: colors.text }]}>{pickerYear}</Text>
+                    <TouchableOpacity onPress={() => setPickerYear(pickerYear + 1)} style={styles.arrowButton}>
+                      <Text style={[styles.arrowText, { color: colors.primary }]}>{'>'}</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+
+                {periodMode === 'year' && (
+                  <TouchableOpacity
+                    style={[styles.monthCell, { width: '100%', backgroundColor: pickerYear === period.start.getFullYear() ? colors.primary : colors.background }]}
+                    onPress={selectYear}
+                  >
+                    <Text style={[styles.monthCellText, { color: pickerYear === period.start.getFullYear() ? 'white' : colors.text }]}>Show {pickerYear}</Text>
+                  </TouchableOpacity>
+                )}
+
+                {periodMode === 'quarter' && (
+                  <View style={styles.monthGrid}>
+                    {[0, 1, 2, 3].map(quarter => {
+                      const isSelected = pickerYear === period.start.getFullYear() && quarter === Math.floor(period.start.getMonth() / 3);
+                      return (
+                        <TouchableOpacity
+                          key={quarter}
+                          style={[styles.monthCell, { width: '47%', backgroundColor: isSelected ? colors.primary : colors.background }]}
+                          onPress={() => selectQuarter(quarter)}
+                        >
+                          <Text style={[styles.monthCellText, { color: isSelected ? 'white' : colors.text }, isSelected && { fontWeight: 'bold' }]}>
+                            Q{quarter + 1}
+                          </Text>
+                          <Text style={[styles.transactionNote, { color: isSelected ? 'white' : colors.subText }]}>
+                            {MONTHS[quarter * 3].slice(0, 3)} – {MONTHS[quarter * 3 + 2].slice(0, 3)}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                )}
+
+                {/* Month Grid */}
+                {periodMode === 'month' && (
+                  <View style={styles.monthGrid}>
+                    {MONTHS.map((month, index) => (
+                      <TouchableOpacity
+                        key={month}
+                        style={[
+                          styles.monthCell,
+                          { backgroundColor: colors.background },
+                          index === period.start.getMonth() && pickerYear === period.start.getFullYear() && { backgroundColor: colors.primary }
+                        ]}
+                        onPress={() => selectMonthYear(index)}
+                      >
+                        <Text style={[
+                          styles.monthCellText,
+                          { color: colors.text },
+                          index === period.start.getMonth() && pickerYear === period.start.getFullYear() && { color: 'white', fontWeight: 'bold' }
+                        ]}>
+                          {month.slice(0, 3)}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background }]}
+                  onPress={() => setPickerVisible(false)}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Transaction Date Picker Modal */}
+          <Modal
+            animationType="fade"
+            transparent={true}
+            visible={datePickerVisible}
+            onRequestClose={() => setDatePickerVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.pickerContent, { backgroundColor: colors.card }]}>
+                {/* Month Selector */}
+                <View style={styles.yearRow}>
+                  <TouchableOpacity onPress={() => changeDatePickerMonth(-1)} style={styles.arrowButton}>
+                    <Text style={[styles.arrowText, { color: colors.primary }]}>{'<'}</Text>
+                  </TouchableOpacity>
+                  <Text style={[styles.monthText, { color: colors.text }]}>{getMonthYear(datePickerMonth)}</Text>
+                  <TouchableOpacity onPress={() => changeDatePickerMonth(1)} style={styles.arrowButton}>
+                    <Text style={[styles.arrowText, { color: colors.primary }]}>{'>'}</Text>
+                  </TouchableOpacity>
+                </View>
+
+                {/* Day Grid */}
+                <View style={styles.calendarGrid}>
+                  {WEEKDAYS.map(day => (
+                    <View key={day} style={styles.calendarCell}>
+                      <Text style={[styles.weekdayText, { color: colors.subText }]}>{day.slice(0, 2)}</Text>
+                    </View>
+                  ))}
+                  {getCalendarDays(datePickerMonth).map((day, index) => {
+                    const selected = new Date(newTransaction[datePickerTarget] || newTransaction.date);
+                    const isSelected = day !== null &&
+                      day === selected.getDate() &&
+                      selected.getMonth() === datePickerMonth.getMonth() &&
+                      selected.getFullYear() === datePickerMonth.getFullYear();
+                    return (
+                      <TouchableOpacity
+                        key={index}
+                        disabled={day === null}
+                        style={[styles.calendarCell, isSelected && { backgroundColor: colors.primary }]}
+                        onPress={() => selectTransactionDay(day)}
+                      >
+                        <Text style={[
+                          styles.calendarDayText,
+                          { color: colors.text },
+                          isSelected && { color: 'white', fontWeight: 'bold' }
+                        ]}>
+                          {day || ''}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+
+                {/* Time Selector - end dates cover the whole day */}
+                {datePickerTarget === 'date' && (
+                  <View style={styles.timeRow}>
+                    <View style={styles.timeUnit}>
+                      <TouchableOpacity onPress={() => adjustTransactionTime('hours', 1)} style={styles.timeStepper}>
+                        <Text style={[styles.arrowText, { color: colors.primary }]}>▲</Text>
+                      </TouchableOpacity>
+                      <Text style={[styles.timeText, { color: colors.text }]}>
+                        {String(new Date(newTransaction.date).getHours()).padStart(2, '0')}
+                      </Text>
+                      <TouchableOpacity onPress={() => adjustTransactionTime('hours', -1)} style={styles.timeStepper}>
+                        <Text style={[styles.arrowText, { color: colors.primary }]}>▼</Text>
+                      </TouchableOpacity>
+                    </View>
+                    <Text style={[styles.timeText, { color: colors.text }]}>:</Text>
+                    <View style={styles.timeUnit}>
+                      <TouchableOpacity onPress={() => adjustTransactionTime('minutes', 5)} style={styles.timeStepper}>
+                        <Text style={[styles.arrowText, { color: colors.primary }]}>▲</Text>
+                      </TouchableOpacity>
+                      <Text style={[styles.timeText, { color: colors.text }]}>
+                        {String(new Date(newTransaction.date).getMinutes()).padStart(2, '0')}
+                      </Text>
+                      <TouchableOpacity onPress={() => adjustTransactionTime('minutes', -5)} style={styles.timeStepper}>
+                        <Text style={[styles.arrowText, { color: colors.primary }]}>▼</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                )}
+
+                <View style={styles.rowBetween}>
+                  <TouchableOpacity
+                    style={[styles.closeButton, { backgroundColor: colors.background, marginRight: 10 }]}
+                    onPress={datePickerTarget === 'date' ? setTransactionDateToNow : clearEndDate}
+                  >
+                    <Text style={[styles.closeButtonText, { color: colors.text }]}>{datePickerTarget === 'date' ? 'Now' : 'No End'}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.closeButton, { backgroundColor: colors.primary }]}
+                    onPress={() => setDatePickerVisible(false)}
+                  >
+                    <Text style={[styles.closeButtonText, { color: 'white' }]}>Done</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Import & Export Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={dataVisible}
+            onRequestClose={() => setDataVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Import & Export</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  <Text style={[styles.sectionTitle, { color: colors.text }]}>Export CSV</Text>
+                  <View style={[styles.typeSwitcher, { backgroundColor: colors.background }]}>
+                    {[
+                      { key: 'month', label: periodMode === 'month' ? 'This Month' : 'Viewed' },
+                      { key: 'range', label: 'Range' },
+                      { key: 'all', label: 'Everything' },
+                    ].map(scope => (
+                      <TouchableOpacity
+                        key={scope.key}
+                        style={[
+                          styles.typeButton,
+                          exportScope === scope.key && { backgroundColor: colors.card, borderColor: colors.primary, borderWidth: 1 }
+                        ]}
+                        onPress={() => setExportScope(scope.key)}
+                      >
+                        <Text style={[
+                          styles.typeButtonText, { color: colors.subText },
+                          exportScope === scope.key && { color: colors.text }
+                        ]}>{scope.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+
+                  {exportScope === 'range' && (
+                    <View style={styles.rangeRow}>
+                      <TextInput
+                        style={[styles.input, { flex: 1, backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="From YYYY-MM-DD"
+                        placeholderTextColor={colors.subText}
+                        value={exportRange.from}
+                        onChangeText={(text) => setExportRange({ ...exportRange, from: text })}
+                      />
+                      <TextInput
+                        style={[styles.input, { flex: 1, marginLeft: 10, backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="To YYYY-MM-DD"
+                        placeholderTextColor={colors.subText}
+                        value={exportRange.to}
+                        onChangeText={(text) => setExportRange({ ...exportRange, to: text })}
+                      />
+                    </View>
+                  )}
+
+                  <TouchableOpacity style={[styles.actionButton, { backgroundColor: colors.primary }]} onPress={handleExportCSV}>
+                    <Text style={styles.actionButtonText}>Export & Share</Text>
+                  </TouchableOpacity>
+
+                  <Text style={[styles.sectionTitle, { color: colors.text, marginTop: 20 }]}>Import CSV</Text>
+                  <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 15 }]}>
+                    Pick a CSV file (e.g. a bank statement). You can map its columns and review every row before anything is saved.
+                  </Text>
+                  <TouchableOpacity style={[styles.actionButton, { backgroundColor: colors.primary }]} onPress={handlePickCSV}>
+                    <Text style={styles.actionButtonText}>Choose CSV File</Text>
+                  </TouchableOpacity>
+
+                  <Text style={[styles.sectionTitle, { color: colors.text, marginTop: 20 }]}>Backup & Restore</Text>
+                  <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 15 }]}>
+                    A backup holds all transactions, categories, recurring rules, budgets and settings.
+                  </Text>
+                  <TouchableOpacity style={[styles.actionButton, { backgroundColor: colors.primary }]} onPress={handleCreateBackup}>
+                    <Text style={styles.actionButtonText}>Create Backup</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={[styles.actionButton, { backgroundColor: colors.background }]} onPress={handlePickBackup}>
+                    <Text style={[styles.actionButtonText, { color: colors.text }]}>Restore from File</Text>
+                  </TouchableOpacity>
+
+                  {localBackups.length > 0 && (
+                    <>
+                      <Text style={[styles.label, { color: colors.subText }]}>Saved on this device</Text>
+                      {localBackups.slice(0, 5).map(name => (
+                        <TouchableOpacity
+                          key={name}
+                          style={[styles.importRow, { borderBottomColor: colors.border }]}
+                          onPress={() => handleRestoreLocalBackup(name)}
+                        >
+                          <Text style={[styles.transactionNote, { color: colors.text, flex: 1 }]} numberOfLines={1}>{name}</Text>
+                          <Text style={[styles.linkText, { color: colors.primary }]}>Restore</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </>
+                  )}
+                </ScrollView>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center' }]}
+                  onPress={() => setDataVisible(false)}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* CSV Import Preview Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={importData !== null}
+            onRequestClose={() => setImportData(null)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Import CSV</Text>
+
+                {importData && (
+                  <>
+                    <ScrollView showsVerticalScrollIndicator={false}>
+                      {/* Column Mapping */}
+                      {IMPORT_FIELDS.map(field => (
+                        <View key={field.key}>
+                          <Text style={[styles.label, { color: colors.subText }]}>{field.label}{field.required ? ' *' : ''}</Text>
+                          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                            {!field.required && renderChip('None', importData.mapping[field.key] < 0, () => setImportColumn(field.key, -1))}
+                            {importData.headers.map((header, index) => (
+                              <React.Fragment key={`${header}-${index}`}>
+                                {renderChip(header || `Column ${index + 1}`, importData.mapping[field.key] === index, () => setImportColumn(field.key, index))}
+                              </React.Fragment>
+                            ))}
+                          </ScrollView>
+                        </View>
+                      ))}
+
+                      <Text style={[styles.label, { color: colors.subText }]}>Date Format</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {DATE_FORMATS.map(format => renderChip(format, importData.dateFormat === format, () => setImportData({ ...importData, dateFormat: format })))}
+                      </ScrollView>
+
+                      <Text style={[styles.label, { color: colors.subText }]}>Amount Format</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {AMOUNT_FORMATS.map(format => renderChip(format, importData.amountFormat === format, () => setImportData({ ...importData, amountFormat: format })))}
+                      </ScrollView>
+
+                      {/* Preview */}
+                      <Text style={[styles.sectionTitle, { color: colors.text }]}>Preview</Text>
+                      <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 10 }]}>
+                        {importPreview.length} rows · {importPreview.filter(p => p.duplicate).length} possible duplicates · {importPreview.filter(p => !p.valid).length} invalid. Tap a row to include or skip it.
+                      </Text>
+                      {importPreview.map(p => (
+                        <TouchableOpacity
+                          key={p.index}
+                          disabled={!p.valid}
+                          onPress={() => toggleImportRow(p.index)}
+                          style={[styles.importRow, { borderBottomColor: colors.border, opacity: p.included ? 1 : 0.5 }]}
+                        >
+                          <Text style={{ fontSize: 18, marginRight: 10, color: colors.text }}>{p.included ? '☑' : '☐'}</Text>
+                          <View style={{ flex: 1 }}>
+                            <Text style={[styles.categoryTitle, { color: colors.text, fontSize: 14 }]} numberOfLines={1}>
+                              {p.label}{p.note ? ` - ${p.note}` : ''}
+                            </Text>
+                            <Text style={[styles.categoryCount, { color: !p.valid ? colors.expense : p.duplicate ? colors.accent : colors.subText }]}>
+                              {p.date ? p.date.toLocaleDateString() : 'Invalid date'}
+                              {!p.valid ? ` · ${p.reason}` : p.duplicate ? ' · Duplicate' : ''}
+                            </Text>
+                          </View>
+                          <Text style={[styles.subTransactionAmount, { color: getTypeColor(p.type) }]}>
+                            {p.amount === null ? '—' : formatCurrency(p.amount, p.currency)}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </ScrollView>
+
+                    <View style={styles.modalButtons}>
+                      <TouchableOpacity
+                        style={[styles.modalButton, styles.cancelButton, { backgroundColor: colors.background }]}
+                        onPress={() => setImportData(null)}
+                      >
+                        <Text style={[styles.cancelButtonText, { color: colors.text }]}>Cancel</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.modalButton, styles.saveButton, { backgroundColor: colors.primary }]}
+                        onPress={() => commitImport(importPreview)}
+                      >
+                        <Text style={styles.saveButtonText}>Import {importPreview.filter(p => p.included).length}</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </>
+                )}
+              </View>
+            </View>
+          </Modal>
+
+          {/* Search Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={searchVisible}
+            onRequestClose={() => setSearchVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Search</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                    placeholder="Search notes, categories, accounts..."
+                    placeholderTextColor={colors.subText}
+                    value={searchFilters.query}
+                    onChangeText={(text) => setSearchFilters({ ...searchFilters, query: text })}
+                  />
+
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                    {['all', 'Income', 'Expense', 'Transfer', 'Lent', 'Borrowed'].map(type => renderChip(
+                      type === 'all' ? 'All Types' : type,
+                      searchFilters.type === type,
+                      () => setSearchFilters({ ...searchFilters, type })
+                    ))}
+                  </ScrollView>
+
+                  <View style={styles.rangeRow}>
+                    <TextInput
+                      style={[styles.input, { flex: 1, backgroundColor: colors.background, color: colors.text }]}
+                      placeholder="Min amount"
+                      placeholderTextColor={colors.subText}
+                      keyboardType="numeric"
+                      value={searchFilters.minAmount}
+                      onChangeText={(text) => setSearchFilters({ ...searchFilters, minAmount: text })}
+                    />
+                    <TextInput
+                      style={[styles.input, { flex: 1, marginLeft: 10, backgroundColor: colors.background, color: colors.text }]}
+                      placeholder="Max amount"
+                      placeholderTextColor={colors.subText}
+                      keyboardType="numeric"
+                      value={searchFilters.maxAmount}
+                      onChangeText={(text) => setSearchFilters({ ...searchFilters, maxAmount: text })}
+                    />
+                  </View>
+                  <View style={styles.rangeRow}>
+                    <TextInput
+                      style={[styles.input, { flex: 1, backgroundColor: colors.background, color: colors.text }]}
+                      placeholder="From YYYY-MM-DD"
+                      placeholderTextColor={colors.subText}
+                      value={searchFilters.from}
+                      onChangeText={(text) => setSearchFilters({ ...searchFilters, from: text })}
+                    />
+                    <TextInput
+                      style={[styles.input, { flex: 1, marginLeft: 10, backgroundColor: colors.background, color: colors.text }]}
+                      placeholder="To YYYY-MM-DD"
+                      placeholderTextColor={colors.subText}
+                      value={searchFilters.to}
+                      onChangeText={(text) => setSearchFilters({ ...searchFilters, to: text })}
+                    />
+                  </View>
+
+                  {!searchResults ? (
+                    <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginTop: 20 }]}>
+                      Enter a search term or filter.
+                    </Text>
+                  ) : (
+                    <>
+                      {/* Totals of the matched set */}
+                      <View style={[styles.searchTotals, { backgroundColor: colors.background }]}>
+                        <Text style={[styles.statLabel, { color: colors.subText }]}>{searchResults.count} matches</Text>
+                        <View style={styles.rowBetween}>
+                          <Text style={[styles.statValue, { color: colors.income }]}>+{formatCurrency(searchResults.income)}</Text>
+                          <Text style={[styles.statValue, { color: colors.expense }]}>-{formatCurrency(searchResults.expense)}</Text>
+                          <Text style={[styles.statValue, { color: colors.text }]}>{formatCurrency(searchResults.net)}</Text>
+                        </View>
+                      </View>
+
+                      {searchResults.groups.map(group => (
+                        <View key={group.key} style={{ marginBottom: 10 }}>
+                          <View style={styles.rowBetween}>
+                            <Text style={[styles.categoryTitle, { color: colors.text }]}>{getMonthLabel(group.date)}</Text>
+                            <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                              {formatCurrency(group.income - group.expense)}
+                            </Text>
+                          </View>
+                          {group.transactions.map(t => (
+                            <TouchableOpacity
+                              key={t.id}
+                              style={[styles.importRow, { borderBottomColor: colors.border }]}
+                              onPress={() => showSearchResult(t)}
+                            >
+                              <View style={{ flex: 1 }}>
+                                <Text style={[styles.categoryTitle, { color: colors.text, fontSize: 14 }]} numberOfLines={1}>
+                                  {getCategoryLabel(t)}
+                                  {t.note ? ` - ${t.note}` : ''}
+                                </Text>
+                                <Text style={[styles.categoryCount, { color: colors.subText }]}>{formatDate(t.dateISO)}</Text>
+                              </View>
+                              <Text style={[styles.subTransactionAmount, { color: getTypeColor(t.type) }]}>
+                                {formatCurrency(t.amount, t.currency)}
+                              </Text>
+                            </TouchableOpacity>
+                          ))}
+                        </View>
+                      ))}
+                    </>
+                  )}
+                </ScrollView>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center' }]}
+                  onPress={() => setSearchVisible(false)}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Menu Modal */}
+          <Modal
+            animationType="fade"
+            transparent={true}
+            visible={menuVisible}
+            onRequestClose={() => setMenuVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.pickerContent, { backgroundColor: colors.card }]}>
+                <View style={styles.historyRow}>
+                  <TouchableOpacity
+                    style={[styles.historyButton, { backgroundColor: colors.background, opacity: history.past.length > 0 ? 1 : 0.4 }]}
+                    disabled={history.past.length === 0}
+                    onPress={undo}
+                  >
+                    <Text style={[styles.linkText, { color: colors.text }]}>↶ Undo</Text>
+                    <Text style={[styles.transactionNote, { color: colors.subText }]} numberOfLines={1}>
+                      {history.past.length > 0 ? history.past[history.past.length - 1].label : 'Nothing to undo'}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.historyButton, { backgroundColor: colors.background, opacity: history.future.length > 0 ? 1 : 0.4 }]}
+                    disabled={history.future.length === 0}
+                    onPress={redo}
+                  >
+                    <Text style={[styles.linkText, { color: colors.text }]}>Redo ↷</Text>
+                    <Text style={[styles.transactionNote, { color: colors.subText }]} numberOfLines={1}>
+                      {history.future.length > 0 ? history.future[0].label : 'Nothing to redo'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+                {menuItems.map(item => (
+                  <TouchableOpacity
+                    key={item.key}
+                    style={[styles.menuRow, { borderBottomColor: colors.border }]}
+                    onPress={() => openFromMenu(item.onPress)}
+                  >
+                    <Text style={{ fontSize: 22, marginRight: 15 }}>{item.icon}</Text>
+                    <Text style={[styles.categoryTitle, { color: colors.text }]}>{item.label}</Text>
+                  </TouchableOpacity>
+                ))}
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, marginTop: 20 }]}
+                  onPress={() => setMenuVisible(false)}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
 
-          {/* Transaction List */}
-          <View style={styles.listContainer}>
-            <Text style={[styles.sectionTitle, { color: colors.text }]}>Transactions</Text>
-            <FlatList
-              data={groupedTransactions}
-              keyExtractor={(item) => item.key}
-              renderItem={renderCategoryBlock}
-              ListEmptyComponent={
-                <View style={styles.emptyState}>
-                  <Text style={[styles.emptyStateText, { color: colors.subText }]}>No transactions for this month.</Text>
+          {/* Analytics Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={analyticsVisible}
+            onRequestClose={() => setAnalyticsVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Analytics</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false}>
+                  <View style={[styles.rowBetween, { marginBottom: 15 }]}>
+                    <Text style={[styles.sectionTitle, { color: colors.text, marginBottom: 0, flex: 1 }]}>Expenses by Category · {getPeriodLabel()}</Text>
+                    <View style={styles.headerActions}>
+                      {[['category', 'Top'], ['subcategory', 'Sub']].map(([level, label]) => (
+                        <TouchableOpacity key={level} onPress={() => changeAnalyticsLevel(level)} style={{ marginLeft: 12 }}>
+                          <Text style={[styles.linkText, { color: analyticsLevel === level ? colors.primary : colors.subText }]}>{label}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                  {categoryBreakdown.length === 0 ? (
+                    <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginVertical: 20 }]}>No expenses in this period.</Text>
+                  ) : (
+                    <>
+                      {renderDonutChart(categoryBreakdown)}
+                      {categoryBreakdown.map(slice => (
+                        <TouchableOpacity
+                          key={slice.key}
+                          style={[styles.legendRow, analyticsCategory === slice.key && { backgroundColor: colors.background }]}
+                          onPress={() => toggleAnalyticsCategory(slice.key)}
+                        >
+                          <View style={[styles.legendDot, { backgroundColor: slice.color }]} />
+                          <Text style={[styles.categoryTitle, { color: colors.text, flex: 1, fontSize: 14 }]}>{slice.category}</Text>
+                          <Text style={[styles.categoryCount, { color: colors.subText, marginRight: 10 }]}>
+                            {Math.round((slice.total / totals.expense) * 100)}%
+                          </Text>
+                          <Text style={[styles.subTransactionAmount, { color: colors.text }]}>{formatCurrency(slice.total)}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </>
+                  )}
+
+                  {drilledCategory && (
+                    <View style={[styles.transactionList, { borderTopColor: colors.border, marginTop: 10 }]}>
+                      <Text style={[styles.label, { color: colors.subText }]}>{drilledCategory.category} · {drilledCategory.count} transactions</Text>
+                      {drilledCategory.transactions.map(t => (
+                        <View key={`${t.id}-${t.splitLine ? t.splitLine.category : ''}`} style={[styles.subTransactionContent, { paddingVertical: 6 }]}>
+                          <Text style={[styles.transactionNote, { color: colors.subText, flex: 1 }]} numberOfLines={1}>
+                            {t.splitLine ? '✂️ ' : ''}{formatDate(t.dateISO)}{t.note ? ` - ${t.note}` : ''}
+                          </Text>
+                          <Text style={[styles.subTransactionAmount, { color: colors.expense }]}>
+                            {formatCurrency(t.splitLine ? t.splitLine.amount : t.amount, t.currency)}
+                          </Text>
+                        </View>
+                      ))}
+                    </View>
+                  )}
+
+                  <View style={[styles.rowBetween, { marginTop: 25 }]}>
+                    <Text style={[styles.sectionTitle, { color: colors.text, marginBottom: 0 }]}>Income vs Expense</Text>
+                    <View style={styles.headerActions}>
+                      {[6, 12].map(count => (
+                        <TouchableOpacity key={count} onPress={() => setTrendMonths(count)} style={{ marginLeft: 12 }}>
+                          <Text style={[styles.linkText, { color: trendMonths === count ? colors.primary : colors.subText }]}>{count}M</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                  {renderTrendChart(getMonthlyTrend(trendMonths))}
+                  <Text style={[styles.transactionNote, { color: colors.subText, textAlign: 'center', marginTop: 5 }]}>
+                    Tap a month to view its breakdown.
+                  </Text>
+                </ScrollView>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center' }]}
+                  onPress={() => setAnalyticsVisible(false)}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Category Manager Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={categoriesVisible}
+            onRequestClose={closeCategoryManager}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Categories</Text>
+
+                <View style={{ flexDirection: 'row', marginBottom: 10 }}>
+                  {['Expense', 'Income'].map(type => renderChip(type, managerType === type, () => { setManagerType(type); setCategoryForm(null); }))}
                 </View>
-              }
-              ListFooterComponent={renderFooter}
-              contentContainerStyle={{ flexGrow: 1, paddingBottom: 100 }}
-              ListFooterComponentStyle={{ flex: 1, justifyContent: 'flex-end' }}
-              showsVerticalScrollIndicator={false}
-            />
-          </View>
 
-          {/* Add Button - Hide if future month */}
-          {!isFutureMonth(currentDate) && (
-            <TouchableOpacity
-              style={[styles.fab, { backgroundColor: colors.primary, shadowColor: colors.primary }]}
-              activeOpacity={0.8}
-              onPress={() => setModalVisible(true)}
-            >
-              <Text style={styles.fabIcon}>+</Text>
-            </TouchableOpacity>
-          )}
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled" scrollEnabled={!dragState}>
+                  {categoryForm ? (
+                    <View>
+                      <Text style={[styles.label, { color: colors.subText }]}>{categoryForm.originalName ? 'Edit Category' : 'New Category'}</Text>
+                      <View style={styles.addCategoryContainer}>
+                        <TextInput
+                          style={[styles.input, styles.iconInput, { backgroundColor: colors.background, color: colors.text }]}
+                          value={categoryForm.icon}
+                          onChangeText={(text) => setCategoryForm({ ...categoryForm, icon: text })}
+                        />
+                        <TextInput
+                          style={[styles.input, { flex: 1, marginBottom: 0, backgroundColor: colors.background, color: colors.text }]}
+                          placeholder="Category Name"
+                          placeholderTextColor={colors.subText}
+                          value={categoryForm.name}
+                          onChangeText={(text) => setCategoryForm({ ...categoryForm, name: text })}
+                        />
+                      </View>
 
-          {/* Add Transaction Modal */}
+                      <Text style={[styles.label, { color: colors.subText }]}>Icon</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {CATEGORY_ICONS.map(icon => renderChip(icon, categoryForm.icon === icon, () => setCategoryForm({ ...categoryForm, icon })))}
+                      </ScrollView>
+
+                      <Text style={[styles.label, { color: colors.subText }]}>Color</Text>
+                      <View style={styles.colorRow}>
+                        {CATEGORY_COLORS.map(color => (
+                          <TouchableOpacity
+                            key={color}
+                            style={[styles.colorSwatch, { backgroundColor: color }, categoryForm.color === color && { borderColor: colors.text }]}
+                            onPress={() => setCategoryForm({ ...categoryForm, color })}
+                          />
+                        ))}
+                      </View>
+
+                      {getParentChoices(managerType, categoryForm.originalName).length > 0 && (
+                        <>
+                          <Text style={[styles.label, { color: colors.subText }]}>Subcategory Of</Text>
+                          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                            {renderChip('None', !categoryForm.parent, () => setCategoryForm({ ...categoryForm, parent: null }))}
+                            {getParentChoices(managerType, categoryForm.originalName)
+                              .map(c => renderChip(`${c.icon} ${c.name}`, categoryForm.parent === c.name, () => setCategoryForm({ ...categoryForm, parent: c.name })))}
+                          </ScrollView>
+                        </>
+                      )}
+
+                      {categoryForm.originalName && categories[managerType].some(c => !c.archived && c.name !== categoryForm.originalName) && (
+                        <>
+                          <Text style={[styles.label, { color: colors.subText }]}>Merge Into</Text>
+                          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                            {categories[managerType]
+                              .filter(c => !c.archived && c.name !== categoryForm.originalName)
+                              .map(c => renderChip(`${c.icon} ${c.name}`, false, () => confirmMergeCategory(categoryForm.originalName, c.name)))}
+                          </ScrollView>
+                        </>
+                      )}
+
+                      <View style={[styles.ruleActions, { marginTop: 10 }]}>
+                        <TouchableOpacity onPress={saveCategoryForm}>
+                          <Text style={[styles.linkText, { color: colors.primary }]}>Save</Text>
+                        </TouchableOpacity>
+                        {categoryForm.originalName && (
+                          <TouchableOpacity onPress={() => toggleCategoryArchived(categoryForm.originalName)}>
+                            <Text style={[styles.linkText, { color: colors.accent }]}>
+                              {getCategory(managerType, categoryForm.originalName)?.archived ? 'Unarchive' : 'Archive'}
+                            </Text>
+                          </TouchableOpacity>
+                        )}
+                        {categoryForm.originalName && (
+                          <TouchableOpacity onPress={() => deleteFromManager(categoryForm.originalName)}>
+                            <Text style={[styles.linkText, { color: colors.expense }]}>Delete</Text>
+                          </TouchableOpacity>
+                        )}
+                        <TouchableOpacity onPress={() => setCategoryForm(null)}>
+                          <Text style={[styles.linkText, { color: colors.subText }]}>Cancel</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  ) : (
+                    <>
+                      <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 10 }]}>
+                        Tap a category to edit it, drag ≡ to reorder. Subcategories move within their parent.
+                      </Text>
+                      {sortByHierarchy(categories[managerType]).filter(c => !c.archived).map(category => {
+                        const key = `${managerType}-${category.name}`;
+                        const isDragging = dragState && dragState.key === key;
+                        const isChild = getTopCategory(managerType, category.name) !== category.name;
+                        const count = transactions.filter(t => usesCategory(t, category.name, managerType)).length;
+                        return (
+                          <View
+                            key={key}
+                            style={[
+                              styles.categoryRow,
+                              { backgroundColor: colors.background },
+                              isChild && styles.subcategoryRow,
+                              isDragging && { transform: [{ translateY: dragState.dy }], zIndex: 1, elevation: 4, borderColor: colors.primary, borderWidth: 1 }
+                            ]}
+                          >
+                            <View {...getDragHandlers(managerType, category.name)} style={styles.dragHandle}>
+                              <Text style={[styles.dragHandleText, { color: colors.subText }]}>≡</Text>
+                            </View>
+                            <TouchableOpacity style={styles.categoryRowBody} onPress={() => editCategory(category)}>
+                              <View style={[styles.categoryRowIcon, { backgroundColor: category.color + '20' }]}>
+                                <Text style={{ fontSize: 18 }}>{category.icon}</Text>
+                              </View>
+                              <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]} numberOfLines={1}>{category.name}</Text>
+                              <Text style={[styles.categoryCount, { color: colors.subText }]}>{count}</Text>
+                            </TouchableOpacity>
+                          </View>
+                        );
+                      })}
+
+                      <TouchableOpacity onPress={() => editCategory(null)} style={{ marginVertical: 10 }}>
+                        <Text style={[styles.linkText, { color: colors.primary }]}>+ New Category</Text>
+                      </TouchableOpacity>
+
+                      {categories[managerType].some(c => c.archived) && (
+                        <>
+                          <Text style={[styles.label, { color: colors.subText }]}>Archived</Text>
+                          {categories[managerType].filter(c => c.archived).map(category => (
+                            <TouchableOpacity
+                              key={category.name}
+                              style={[styles.categoryRow, { backgroundColor: colors.background, paddingHorizontal: 12, opacity: 0.6 }]}
+                              onPress={() => editCategory(category)}
+                            >
+                              <View style={[styles.categoryRowIcon, { backgroundColor: category.color + '20' }]}>
+                                <Text style={{ fontSize: 18 }}>{category.icon}</Text>
+                              </View>
+                              <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]} numberOfLines={1}>{category.name}</Text>
+                            </TouchableOpacity>
+                          ))}
+                        </>
+                      )}
+                    </>
+                  )}
+                </ScrollView>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, marginTop: 20 }]}
+                  onPress={closeCategoryManager}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Reimbursements Modal */}
           <Modal
             animationType="slide"
             transparent={true}
-            visible={modalVisible}
-            onRequestClose={() => setModalVisible(false)}
+            visible={reimbursementsVisible}
+            onRequestClose={closeReimbursements}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Reimbursements</Text>
+
+                {reimbursements && (
+                  <ScrollView showsVerticalScrollIndicator={false}>
+                    <View style={[styles.summaryCard, { backgroundColor: colors.background, marginHorizontal: 0, marginBottom: 15, elevation: 0, shadowOpacity: 0 }]}>
+                      <Text style={[styles.balanceLabel, { color: colors.subText }]}>Still Owed</Text>
+                      <Text style={[styles.balanceAmount, { color: colors.text }]}>{formatCurrency(reimbursements.total)}</Text>
+                      <Text style={[styles.balanceBreakdown, { color: colors.subText }]}>
+                        Pending {formatCurrency(reimbursements.pending)} · Submitted {formatCurrency(reimbursements.submitted)}
+                      </Text>
+                    </View>
+
+                    {reimbursements.outstanding.length === 0 ? (
+                      <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginVertical: 20 }]}>
+                        Nothing outstanding. Mark an expense as reimbursable when you add or edit it.
+                      </Text>
+                    ) : (
+                      <>
+                        <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 10 }]}>
+                          Tap expenses to select them, then pick the income that paid them back.
+                        </Text>
+                        {reimbursements.outstanding.map(item => (
+                          <TouchableOpacity
+                            key={item.id}
+                            style={[
+                              styles.accountRow,
+                              { backgroundColor: colors.background, flexDirection: 'column', alignItems: 'stretch' },
+                              settleSelection[item.id] && { borderColor: colors.primary, borderWidth: 1 }
+                            ]}
+                            onPress={() => toggleSettleSelection(item.id)}
+                          >
+                            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                              <Text style={{ fontSize: 18, marginRight: 10 }}>{settleSelection[item.id] ? '☑️' : '⬜'}</Text>
+                              <View style={{ flex: 1 }}>
+                                <Text style={[styles.categoryTitle, { color: colors.text }]}>{getCategoryLabel(item)}</Text>
+                                <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                                  {formatDate(item.dateISO)}{item.note ? ` · ${item.note}` : ''}
+                                </Text>
+                              </View>
+                              <Text style={[styles.subTransactionAmount, { color: colors.expense }]}>
+                                {formatCurrency(item.amount, item.currency || currencySettings.base)}
+                              </Text>
+                            </View>
+                            <View style={[styles.ruleActions, { paddingBottom: 0, marginTop: 10 }]}>
+                              {REIMBURSEMENT_STATUSES.filter(status => status.key !== 'paid').map(status => (
+                                <TouchableOpacity key={status.key} onPress={() => setReimbursementStatus(item, status.key)}>
+                                  <Text style={[styles.linkText, { color: item.reimbursement.status === status.key ? colors.primary : colors.subText }]}>
+                                    {status.label}
+                                  </Text>
+                                </TouchableOpacity>
+                              ))}
+                            </View>
+                          </TouchableOpacity>
+                        ))}
+                      </>
+                    )}
+
+                    {settleSelected.length > 0 && (
+                      <>
+                        <Text style={[styles.label, { color: colors.subText, marginTop: 10 }]}>
+                          Settle {settleSelected.length} selected ({formatCurrency(settleTotal)}) with
+                        </Text>
+                        {getSettleCandidates().length === 0 ? (
+                          <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 10 }]}>
+                            Add the incoming payment as an Income transaction first.
+                          </Text>
+                        ) : (
+                          getSettleCandidates().map(income => (
+                            <TouchableOpacity
+                              key={income.id}
+                              style={[styles.accountRow, { backgroundColor: colors.background }]}
+                              onPress={() => confirmSettle(income)}
+                            >
+                              <View style={{ flex: 1 }}>
+                                <Text style={[styles.categoryTitle, { color: colors.text }]}>{income.category}</Text>
+                                <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                                  {formatDate(income.dateISO)}{income.note ? ` · ${income.note}` : ''}
+                                </Text>
+                              </View>
+                              <Text style={[styles.subTransactionAmount, { color: colors.income }]}>
+                                {formatCurrency(income.amount, income.currency || currencySettings.base)}
+                              </Text>
+                            </TouchableOpacity>
+                          ))
+                        )}
+                      </>
+                    )}
+
+                    {reimbursements.paid.length > 0 && (
+                      <>
+                        <Text style={[styles.label, { color: colors.subText, marginTop: 10 }]}>Paid</Text>
+                        {reimbursements.paid.map(item => {
+                          const income = getSettledBy(item);
+                          return (
+                            <View key={item.id} style={[styles.accountRow, { backgroundColor: colors.background, opacity: 0.8 }]}>
+                              <View style={{ flex: 1 }}>
+                                <Text style={[styles.categoryTitle, { color: colors.text }]}>{getCategoryLabel(item)}</Text>
+                                <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                                  {formatDate(item.dateISO)} · {income ? `Paid by ${income.category} on ${formatDate(income.dateISO)}` : 'Paid'}
+                                </Text>
+                                <TouchableOpacity onPress={() => setReimbursementStatus(item, 'pending')}>
+                                  <Text style={[styles.linkText, { color: colors.accent, marginTop: 6 }]}>Reopen</Text>
+                                </TouchableOpacity>
+                              </View>
+                              <Text style={[styles.subTransactionAmount, { color: colors.subText }]}>
+                                {formatCurrency(item.amount, item.currency || currencySettings.base)}
+                              </Text>
+                            </View>
+                          );
+                        })}
+                      </>
+                    )}
+                  </ScrollView>
+                )}
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, marginTop: 20 }]}
+                  onPress={closeReimbursements}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Debts & Loans Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={debtsVisible}
+            onRequestClose={closeDebts}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Debts & Loans</Text>
+
+                {debtLedger && (
+                  <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                    <View style={[styles.summaryCard, { backgroundColor: colors.background, marginHorizontal: 0, marginBottom: 15, elevation: 0, shadowOpacity: 0 }]}>
+                      <View style={styles.statsRow}>
+                        <View>
+                          <Text style={[styles.statLabel, { color: colors.subText }]}>Owed To You</Text>
+                          <Text style={[styles.statValue, { color: colors.income }]}>{formatCurrency(debtLedger.owedToMe)}</Text>
+                        </View>
+                        <View>
+                          <Text style={[styles.statLabel, { color: colors.subText }]}>You Owe</Text>
+                          <Text style={[styles.statValue, { color: colors.expense }]}>{formatCurrency(debtLedger.iOwe)}</Text>
+                        </View>
+                      </View>
+                      <Text style={[styles.balanceBreakdown, { color: colors.subText }]}>Loans and repayments are left out of income and expense totals.</Text>
+                    </View>
+
+                    {debtLedger.rows.length === 0 && !personForm && (
+                      <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginVertical: 20 }]}>
+                        No one here yet. Add a person, then record what you lent or borrowed.
+                      </Text>
+                    )}
+                    {debtLedger.rows.map(({ person, entries, balance }) => {
+                      const settled = Math.abs(balance) < 0.005;
+                      return (
+                        <View key={person.id} style={[styles.categoryBlock, { backgroundColor: colors.background }]}>
+                          <TouchableOpacity
+                            style={styles.categoryHeader}
+                            onPress={() => setExpandedPerson(expandedPerson === person.id ? null : person.id)}
+                            onLongPress={() => setPersonForm({ id: person.id, name: person.name })}
+                          >
+                            <View style={{ flex: 1 }}>
+                              <Text style={[styles.categoryTitle, { color: colors.text }]}>{person.name}</Text>
+                              <Text style={[styles.categoryCount, { color: colors.subText }]}>{entries.length} {entries.length === 1 ? 'entry' : 'entries'}</Text>
+                            </View>
+                            <View style={styles.categoryHeaderRight}>
+                              <Text style={[styles.categoryTotal, { color: settled ? colors.subText : balance > 0 ? colors.income : colors.expense }]}>
+                                {settled ? 'Settled' : formatCurrency(Math.abs(balance))}
+                              </Text>
+                              {!settled && (
+                                <Text style={[styles.transactionNote, { color: colors.subText }]}>{balance > 0 ? 'owes you' : 'you owe'}</Text>
+                              )}
+                            </View>
+                          </TouchableOpacity>
+                          {expandedPerson === person.id && (
+                            <View style={[styles.transactionList, { borderTopColor: colors.border }]}>
+                              {entries.map(t => (
+                                <View key={t.id} style={styles.subTransactionItem}>
+                                  <View style={styles.subTransactionContent}>
+                                    <View style={styles.subTransactionLeft}>
+                                      <Text style={[styles.transactionDate, { color: colors.subText, marginRight: 8, marginTop: 0 }]}>{formatDate(t.dateISO)}</Text>
+                                      <Text style={[styles.transactionNote, { color: colors.subText }]} numberOfLines={1}>
+                                        {getDebtKind(t).label}{t.note ? ` - ${t.note}` : ''}
+                                      </Text>
+                                    </View>
+                                    <Text style={[styles.subTransactionAmount, { color: getAmountColor(t) }]}>
+                                      {formatCurrency(t.amount, t.currency || currencySettings.base)}
+                                    </Text>
+                                  </View>
+                                </View>
+                              ))}
+                              <View style={[styles.ruleActions, { paddingTop: 10 }]}>
+                                {!settled && (
+                                  <TouchableOpacity onPress={() => openDebtEntry(person, balance)}>
+                                    <Text style={[styles.linkText, { color: colors.primary }]}>Record Repayment</Text>
+                                  </TouchableOpacity>
+                                )}
+                                <TouchableOpacity onPress={() => openDebtEntry(person, 0)}>
+                                  <Text style={[styles.linkText, { color: colors.primary }]}>New Loan</Text>
+                                </TouchableOpacity>
+                              </View>
+                            </View>
+                          )}
+                        </View>
+                      );
+                    })}
+
+                    {personForm ? (
+                      <View style={{ marginTop: 10 }}>
+                        <Text style={[styles.label, { color: colors.subText }]}>{personForm.id ? 'Rename Person' : 'New Person'}</Text>
+                        <TextInput
+                          style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                          placeholder="Name"
+                          placeholderTextColor={colors.subText}
+                          value={personForm.name}
+                          onChangeText={(text) => setPersonForm({ ...personForm, name: text })}
+                        />
+                        <View style={styles.ruleActions}>
+                          <TouchableOpacity onPress={savePerson}>
+                            <Text style={[styles.linkText, { color: colors.primary }]}>Save</Text>
+                          </TouchableOpacity>
+                          {personForm.id && (
+                            <TouchableOpacity onPress={() => confirmDeletePerson(people.find(p => p.id === personForm.id))}>
+                              <Text style={[styles.linkText, { color: colors.expense }]}>Remove</Text>
+                            </TouchableOpacity>
+                          )}
+                          <TouchableOpacity onPress={() => setPersonForm(null)}>
+                            <Text style={[styles.linkText, { color: colors.subText }]}>Cancel</Text>
+                          </TouchableOpacity>
+                        </View>
+                      </View>
+                    ) : (
+                      <TouchableOpacity onPress={() => setPersonForm({ id: null, name: '' })} style={{ marginTop: 10 }}>
+                        <Text style={[styles.linkText, { color: colors.primary, textAlign: 'center' }]}>+ Add Person</Text>
+                      </TouchableOpacity>
+                    )}
+                    {debtLedger.rows.length > 0 && (
+                      <Text style={[styles.transactionNote, { color: colors.subText, textAlign: 'center', marginTop: 15 }]}>
+                        Tap a person to see their loans, long-press to rename or remove them.
+                      </Text>
+                    )}
+                  </ScrollView>
+                )}
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center', marginTop: 20 }]}
+                  onPress={closeDebts}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Bills Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={billsVisible}
+            onRequestClose={closeBills}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Bills</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  {billForm ? (
+                    <View>
+                      <Text style={[styles.label, { color: colors.subText }]}>{billForm.id ? 'Edit Bill' : 'New Bill'}</Text>
+                      <TextInput
+                        style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="Bill Name, e.g. Rent"
+                        placeholderTextColor={colors.subText}
+                        value={billForm.name}
+                        onChangeText={(text) => setBillForm({ ...billForm, name: text })}
+                      />
+                      <TextInput
+                        style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder={`Amount (${currencySettings.base})`}
+                        placeholderTextColor={colors.subText}
+                        keyboardType="numeric"
+                        value={billForm.amount}
+                        onChangeText={(text) => setBillForm({ ...billForm, amount: text })}
+                      />
+                      <Text style={[styles.label, { color: colors.subText }]}>{billForm.id ? 'Next Due Date' : 'Due Date'}</Text>
+                      <TextInput
+                        style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="YYYY-MM-DD"
+                        placeholderTextColor={colors.subText}
+                        value={billForm.dueDate}
+                        onChangeText={(text) => setBillForm({ ...billForm, dueDate: text })}
+                      />
+                      <Text style={[styles.label, { color: colors.subText }]}>Category</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {getCategoryChoices('Expense', billForm.category).map(({ name, icon }) => (
+                          renderChip(`${icon} ${name}`, billForm.category === name, () => setBillForm({ ...billForm, category: name }))
+                        ))}
+                      </ScrollView>
+                      {accounts.length > 1 && (
+                        <>
+                          <Text style={[styles.label, { color: colors.subText }]}>Paid From</Text>
+                          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                            {accounts.map(account => renderChip(account.name, billForm.accountId === account.id, () => setBillForm({ ...billForm, accountId: account.id })))}
+                          </ScrollView>
+                        </>
+                      )}
+                      <Text style={[styles.label, { color: colors.subText }]}>Repeat</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {BILL_FREQUENCIES.map(f => renderChip(f.label, billForm.frequency === f.key, () => setBillForm({ ...billForm, frequency: f.key })))}
+                      </ScrollView>
+                      <Text style={[styles.label, { color: colors.subText }]}>Remind Me</Text>
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {BILL_REMINDERS.map(r => renderChip(r.label, billForm.remindDays === r.days, () => setBillForm({ ...billForm, remindDays: r.days })))}
+                      </ScrollView>
+                      <View style={styles.ruleActions}>
+                        <TouchableOpacity onPress={saveBill}>
+                          <Text style={[styles.linkText, { color: colors.primary }]}>Save</Text>
+                        </TouchableOpacity>
+                        {billForm.id && (
+                          <TouchableOpacity onPress={() => confirmDeleteBill(bills.find(b => b.id === billForm.id))}>
+                            <Text style={[styles.linkText, { color: colors.expense }]}>Delete</Text>
+                          </TouchableOpacity>
+                        )}
+                        <TouchableOpacity onPress={() => setBillForm(null)}>
+                          <Text style={[styles.linkText, { color: colors.subText }]}>Cancel</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  ) : (
+                    <>
+                      {bills.length === 0 ? (
+                        <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginVertical: 20 }]}>
+                          No bills yet. Add one to see it under Upcoming and get a reminder before it is due.
+                        </Text>
+                      ) : (
+                        bills
+                          .map(bill => ({ bill, due: getBillDueDate(bill) }))
+                          .sort((a, b) => (a.due && b.due ? a.due - b.due : a.due ? -1 : b.due ? 1 : 0))
+                          .map(({ bill, due }) => renderBillRow(bill, due))
+                      )}
+                      <TouchableOpacity onPress={() => openBillForm(null)} style={{ marginTop: 10 }}>
+                        <Text style={[styles.linkText, { color: colors.primary, textAlign: 'center' }]}>+ Add Bill</Text>
+                      </TouchableOpacity>
+                      {bills.length > 0 && (
+                        <Text style={[styles.transactionNote, { color: colors.subText, textAlign: 'center', marginTop: 15 }]}>
+                          Tap a bill to edit or delete it. Mark Paid adds the payment as an expense today.
+                        </Text>
+                      )}
+                    </>
+                  )}
+                </ScrollView>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center' }]}
+                  onPress={closeBills}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Savings Goals Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={goalsVisible}
+            onRequestClose={closeGoals}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Savings Goals</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  {goalProgress.length === 0 && !goalForm && (
+                    <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginVertical: 20 }]}>
+                      No goals yet. Add one, then pick it under "Contributes To Goal" when you add a transaction or transfer.
+                    </Text>
+                  )}
+                  {goalProgress.map(({ goal, saved, remaining, count, pace, required, due, projected }) => (
+                    <TouchableOpacity
+                      key={goal.id}
+                      style={[styles.accountRow, { backgroundColor: colors.background, flexDirection: 'column', alignItems: 'stretch' }]}
+                      onLongPress={() => openGoalForm(goal)}
+                    >
+                      <View style={styles.rowBetween}>
+                        <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]}>🏆 {goal.name}</Text>
+                        <Text style={[styles.categoryTotal, { color: colors.text }]}>{Math.floor(Math.min(saved / goal.target, 1) * 100)}%</Text>
+                      </View>
+                      <View style={styles.budgetContainer}>
+                        <View style={[styles.budgetTrack, { backgroundColor: colors.border }]}>
+                          <View style={[styles.budgetFill, { width: `${Math.min(saved / goal.target, 1) * 100}%`, backgroundColor: colors.income }]} />
+                        </View>
+                        <Text style={[styles.budgetText, { color: colors.subText }]}>
+                          {formatCurrency(saved)} of {formatCurrency(goal.target)} · {count} {count === 1 ? 'contribution' : 'contributions'}
+                        </Text>
+                      </View>
+                      {remaining === 0 ? (
+                        <Text style={[styles.categoryCount, { color: colors.income, marginTop: 6 }]}>Goal reached 🎉</Text>
+                      ) : (
+                        <>
+                          {due && (
+                            <Text style={[styles.categoryCount, { color: required ? colors.subText : colors.expense, marginTop: 6 }]}>
+                              {required
+                                ? `Save ${formatCurrency(required)} a month to reach it by ${due.toLocaleDateString()}`
+                                : `Target date ${due.toLocaleDateString()} has passed with ${formatCurrency(remaining)} to go`}
+                            </Text>
+                          )}
+                          <Text style={[styles.categoryCount, { color: colors.subText, marginTop: 4 }]}>
+                            {projected
+                              ? `At ${formatCurrency(pace)} a month you'll get there around ${getMonthYear(projected)}${due && projected > due ? ', after the target date' : ''}`
+                              : `No contributions in the last ${GOAL_PACE_MONTHS} months to project from`}
+                          </Text>
+                        </>
+                      )}
+                    </TouchableOpacity>
+                  ))}
+
+                  {goalForm ? (
+                    <View style={{ marginTop: 10 }}>
+                      <Text style={[styles.label, { color: colors.subText }]}>{goalForm.id ? 'Edit Goal' : 'New Goal'}</Text>
+                      <TextInput
+                        style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="Goal Name"
+                        placeholderTextColor={colors.subText}
+                        value={goalForm.name}
+                        onChangeText={(text) => setGoalForm({ ...goalForm, name: text })}
+                      />
+                      <TextInput
+                        style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder={`Target Amount (${currencySettings.base})`}
+                        placeholderTextColor={colors.subText}
+                        keyboardType="numeric"
+                        value={goalForm.target}
+                        onChangeText={(text) => setGoalForm({ ...goalForm, target: text })}
+                      />
+                      <TextInput
+                        style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="Target Date, YYYY-MM-DD (Optional)"
+                        placeholderTextColor={colors.subText}
+                        value={goalForm.targetDate}
+                        onChangeText={(text) => setGoalForm({ ...goalForm, targetDate: text })}
+                      />
+                      <View style={styles.ruleActions}>
+                        <TouchableOpacity onPress={saveGoal}>
+                          <Text style={[styles.linkText, { color: colors.primary }]}>Save</Text>
+                        </TouchableOpacity>
+                        {goalForm.id && (
+                          <TouchableOpacity onPress={() => confirmDeleteGoal(goals.find(g => g.id === goalForm.id))}>
+                            <Text style={[styles.linkText, { color: colors.expense }]}>Delete</Text>
+                          </TouchableOpacity>
+                        )}
+                        <TouchableOpacity onPress={() => setGoalForm(null)}>
+                          <Text style={[styles.linkText, { color: colors.subText }]}>Cancel</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  ) : (
+                    <TouchableOpacity onPress={() => openGoalForm(null)} style={{ marginTop: 10 }}>
+                      <Text style={[styles.linkText, { color: colors.primary, textAlign: 'center' }]}>+ Add Goal</Text>
+                    </TouchableOpacity>
+                  )}
+                  {goalProgress.length > 0 && (
+                    <Text style={[styles.transactionNote, { color: colors.subText, textAlign: 'center', marginTop: 15 }]}>
+                      Long-press a goal to edit or delete it.
+                    </Text>
+                  )}
+                </ScrollView>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center' }]}
+                  onPress={closeGoals}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Tags Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={tagsVisible}
+            onRequestClose={() => setTagsVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Tags</Text>
+
+                <View style={{ flexDirection: 'row', marginBottom: 10 }}>
+                  {renderChip('This Month', false, () => setTagReportPeriod('month'))}
+                  {renderChip('This Year', false, () => setTagReportPeriod('year'))}
+                  {renderChip('All Time', false, () => setTagReportPeriod('all'))}
+                </View>
+                <View style={styles.rangeRow}>
+                  <TextInput
+                    style={[styles.input, { flex: 1, backgroundColor: colors.background, color: colors.text }]}
+                    placeholder="From YYYY-MM-DD"
+                    placeholderTextColor={colors.subText}
+                    value={tagReportRange.from}
+                    onChangeText={(text) => setTagReportRange({ ...tagReportRange, from: text })}
+                  />
+                  <TextInput
+                    style={[styles.input, { flex: 1, marginLeft: 10, backgroundColor: colors.background, color: colors.text }]}
+                    placeholder="To YYYY-MM-DD"
+                    placeholderTextColor={colors.subText}
+                    value={tagReportRange.to}
+                    onChangeText={(text) => setTagReportRange({ ...tagReportRange, to: text })}
+                  />
+                </View>
+
+                <ScrollView showsVerticalScrollIndicator={false}>
+                  {!tagReport ? (
+                    <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginVertical: 20 }]}>Enter dates as YYYY-MM-DD.</Text>
+                  ) : tagReport.length === 0 ? (
+                    <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center', marginVertical: 20 }]}>
+                      No tagged transactions in this period. Add tags when you add or edit a transaction.
+                    </Text>
+                  ) : (
+                    tagReport.map(row => (
+                      <TouchableOpacity
+                        key={row.tag}
+                        style={[styles.accountRow, { backgroundColor: colors.background }]}
+                        onPress={() => filterByTag(row.tag)}
+                      >
+                        <View style={{ flex: 1 }}>
+                          <Text style={[styles.categoryTitle, { color: colors.text }]}>#{row.tag}</Text>
+                          <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                            {row.count} transactions{row.income > 0 ? ` · Income ${formatCurrency(row.income)}` : ''}
+                          </Text>
+                        </View>
+                        <View style={styles.categoryHeaderRight}>
+                          <Text style={[styles.subTransactionAmount, { color: colors.expense }]}>{formatCurrency(row.expense)}</Text>
+                          {row.income > 0 && (
+                            <Text style={[styles.transactionNote, { color: colors.subText }]}>Net {formatCurrency(row.net)}</Text>
+                          )}
+                        </View>
+                      </TouchableOpacity>
+                    ))
+                  )}
+                </ScrollView>
+                <Text style={[styles.transactionNote, { color: colors.subText, textAlign: 'center', marginTop: 5 }]}>
+                  Tap a tag to filter the viewed period's transactions by it.
+                </Text>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, marginTop: 20 }]}
+                  onPress={() => setTagsVisible(false)}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Trash Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={trashVisible}
+            onRequestClose={() => setTrashVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Trash</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false}>
+                  {trash.length === 0 && (
+                    <View style={styles.emptyState}>
+                      <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center' }]}>
+                        Deleted transactions stay here for {TRASH_RETENTION_DAYS} days.
+                      </Text>
+                    </View>
+                  )}
+                  {trash.map(item => {
+                    const daysLeft = getTrashDaysLeft(item);
+                    return (
+                      <View key={item.id} style={[styles.accountRow, { backgroundColor: colors.background, flexDirection: 'column', alignItems: 'stretch' }]}>
+                        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                          <View style={{ flex: 1 }}>
+                            <Text style={[styles.categoryTitle, { color: colors.text }]}>
+                              {getCategoryLabel(item)}
+                            </Text>
+                            <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                              {formatDateTime(item.dateISO)}{item.note ? ` · ${item.note}` : ''}
+                            </Text>
+                            <Text style={[styles.transactionNote, { color: colors.subText }]}>
+                              {daysLeft > 0 ? `Deletes in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}` : 'Deletes today'}
+                            </Text>
+                          </View>
+                          <Text style={[styles.subTransactionAmount, { color: getTypeColor(item.type) }]}>
+                            {formatCurrency(item.amount, item.currency || currencySettings.base)}
+                          </Text>
+                        </View>
+                        <View style={[styles.ruleActions, { paddingBottom: 0, marginTop: 10 }]}>
+                          <TouchableOpacity onPress={() => restoreFromTrash(item)}>
+                            <Text style={[styles.linkText, { color: colors.primary }]}>Restore</Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity onPress={() => confirmDeleteForever(item)}>
+                            <Text style={[styles.linkText, { color: colors.expense }]}>Delete Forever</Text>
+                          </TouchableOpacity>
+                        </View>
+                      </View>
+                    );
+                  })}
+                </ScrollView>
+
+                {trash.length > 0 && (
+                  <TouchableOpacity
+                    style={[styles.actionButton, { backgroundColor: colors.expense, marginTop: 10, marginBottom: 0 }]}
+                    onPress={confirmEmptyTrash}
+                  >
+                    <Text style={styles.actionButtonText}>Empty Trash</Text>
+                  </TouchableOpacity>
+                )}
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, marginTop: 20 }]}
+                  onPress={() => setTrashVisible(false)}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Accounts Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={accountsVisible}
+            onRequestClose={() => { setAccountsVisible(false); setAccountForm(null); }}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Accounts</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  {[{ id: 'all', name: 'All Accounts', type: null }, ...accounts].map(account => {
+                    const balance = account.id === 'all'
+                      ? accounts.reduce((acc, a) => acc + getAccountBalance(a.id), 0)
+                      : getAccountBalance(account.id);
+                    const accountType = ACCOUNT_TYPES.find(t => t.key === account.type);
+                    const statement = getCardStatement(account, transactions, getBalanceEffect);
+                    return (
+                      <TouchableOpacity
+                        key={account.id}
+                        style={[
+                          styles.accountRow,
+                          { backgroundColor: colors.background },
+                          selectedAccountId === account.id && { borderColor: colors.primary, borderWidth: 1 }
+                        ]}
+                        onPress={() => selectAccount(account.id)}
+                        onLongPress={() => account.id !== 'all' && openAccountForm(account)}
+                      >
+                        <Text style={{ fontSize: 22, marginRight: 12 }}>{accountType ? accountType.icon : '👛'}</Text>
+                        <View style={{ flex: 1 }}>
+                          <Text style={[styles.categoryTitle, { color: colors.text }]}>{account.name}</Text>
+                          <Text style={[styles.categoryCount, { color: colors.subText }]}>{accountType ? accountType.label : 'Combined'}</Text>
+                          {statement && renderCardStatement(account, statement)}
+                        </View>
+                        <Text style={[styles.categoryTotal, { color: balance < 0 ? colors.expense : colors.text }]}>{formatCurrency(balance)}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+
+                  {accountForm ? (
+                    <View style={{ marginTop: 10 }}>
+                      <Text style={[styles.label, { color: colors.subText }]}>{accountForm.id ? 'Edit Account' : 'New Account'}</Text>
+                      <TextInput
+                        style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="Account Name"
+                        placeholderTextColor={colors.subText}
+                        value={accountForm.name}
+                        onChangeText={(text) => setAccountForm({ ...accountForm, name: text })}
+                      />
+                      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
+                        {ACCOUNT_TYPES.map(t => renderChip(`${t.icon} ${t.label}`, accountForm.type === t.key, () => setAccountForm({ ...accountForm, type: t.key })))}
+                      </ScrollView>
+                      {accountForm.type === 'credit' && (
+                        <>
+                          <View style={styles.budgetRow}>
+                            <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]}>Statement closes on day</Text>
+                            <TextInput
+                              style={[styles.input, styles.budgetInput, { backgroundColor: colors.background, color: colors.text }]}
+                              placeholder="1-28"
+                              placeholderTextColor={colors.subText}
+                              keyboardType="number-pad"
+                              maxLength={2}
+                              value={accountForm.closingDay}
+                              onChangeText={(text) => setAccountForm({ ...accountForm, closingDay: text })}
+                            />
+                          </View>
+                          <View style={styles.budgetRow}>
+                            <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]}>Payment due on day</Text>
+                            <TextInput
+                              style={[styles.input, styles.budgetInput, { backgroundColor: colors.background, color: colors.text }]}
+                              placeholder="1-28"
+                              placeholderTextColor={colors.subText}
+                              keyboardType="number-pad"
+                              maxLength={2}
+                              value={accountForm.dueDay}
+                              onChangeText={(text) => setAccountForm({ ...accountForm, dueDay: text })}
+                            />
+                          </View>
+                        </>
+                      )}
+                      <View style={styles.ruleActions}>
+                        <TouchableOpacity onPress={saveAccount}>
+                          <Text style={[styles.linkText, { color: colors.primary }]}>Save</Text>
+                        </TouchableOpacity>
+                        {accountForm.id && (
+                          <TouchableOpacity onPress={() => confirmDeleteAccount(accounts.find(a => a.id === accountForm.id))}>
+                            <Text style={[styles.linkText, { color: colors.expense }]}>Delete</Text>
+                          </TouchableOpacity>
+                        )}
+                        <TouchableOpacity onPress={() => setAccountForm(null)}>
+                          <Text style={[styles.linkText, { color: colors.subText }]}>Cancel</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  ) : (
+                    <TouchableOpacity onPress={() => openAccountForm(null)} style={{ marginTop: 10 }}>
+                      <Text style={[styles.linkText, { color: colors.primary, textAlign: 'center' }]}>+ Add Account</Text>
+                    </TouchableOpacity>
+                  )}
+                  <Text style={[styles.transactionNote, { color: colors.subText, textAlign: 'center', marginTop: 15 }]}>
+                    Long-press an account to rename or delete it.
+                  </Text>
+                </ScrollView>
+
+                <TouchableOpacity
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center' }]}
+                  onPress={() => { setAccountsVisible(false); setAccountForm(null); }}
+                >
+                  <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Settings Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={settingsVisible}
+            onRequestClose={() => setSettingsVisible(false)}
           >
             <View style={styles.modalOverlay}>
               <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
-                <Text style={[styles.modalTitle, { color: colors.text }]}>New Transaction</Text>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Settings</Text>
+
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  <Text style={[styles.sectionTitle, { color: colors.text }]}>Opening Balance</Text>
+                  <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 10 }]}>
+                    What each account held before your first transaction, in {currencySettings.base}.
+                  </Text>
+                  {accounts.map(account => (
+                    <View key={account.id} style={styles.budgetRow}>
+                      <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]}>{account.name}</Text>
+                      <TextInput
+                        style={[styles.input, styles.budgetInput, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="0.00"
+                        placeholderTextColor={colors.subText}
+                        keyboardType="numbers-and-punctuation"
+                        value={openingBalanceDraft[account.id] || ''}
+                        onChangeText={(text) => setOpeningBalanceDraft({ ...openingBalanceDraft, [account.id]: text })}
+                      />
+                    </View>
+                  ))}
+
+                  <Text style={[styles.sectionTitle, { color: colors.text, marginTop: 20 }]}>Month Starts On</Text>
+                  <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 10 }]}>
+                    The day of the month your budgeting month begins, e.g. your payday. Use 1 for calendar months.
+                  </Text>
+                  <View style={styles.budgetRow}>
+                    <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]}>Day</Text>
+                    <TextInput
+                      style={[styles.input, styles.budgetInput, { backgroundColor: colors.background, color: colors.text }]}
+                      placeholder="1"
+                      placeholderTextColor={colors.subText}
+                      keyboardType="number-pad"
+                      maxLength={2}
+                      value={monthStartDraft}
+                      onChangeText={setMonthStartDraft}
+                    />
+                  </View>
+
+                  <Text style={[styles.sectionTitle, { color: colors.text, marginTop: 20 }]}>Currency</Text>
+                  <Text style={[styles.label, { color: colors.subText }]}>Base Currency</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                    placeholder="USD"
+                    placeholderTextColor={colors.subText}
+                    autoCapitalize="characters"
+                    maxLength={3}
+                    value={currencyDraft.base}
+                    onChangeText={(text) => setCurrencyDraft({ ...currencyDraft, base: text })}
+                  />
 
-                {/* Type Switcher */}
-                <View style={[styles.typeSwitcher, { backgroundColor: colors.background }]}>
+                  <View style={styles.rowBetween}>
+                    <Text style={[styles.label, { color: colors.subText }]}>Exchange Rates (1 unit = ? {currencySettings.base})</Text>
+                    <TouchableOpacity onPress={() => setCurrencyDraft({ ...currencyDraft, rates: [...currencyDraft.rates, { code: '', rate: '' }] })}>
+                      <Text style={[styles.linkText, { color: colors.primary }]}>+ Add</Text>
+                    </TouchableOpacity>
+                  </View>
+                  {currencyDraft.rates.map((row, index) => (
+                    <View key={index} style={styles.budgetRow}>
+                      <TextInput
+                        style={[styles.input, styles.budgetInput, { flex: 1, textAlign: 'left', backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="EUR"
+                        placeholderTextColor={colors.subText}
+                        autoCapitalize="characters"
+                        maxLength={3}
+                        value={row.code}
+                        onChangeText={(text) => updateRateDraft(index, 'code', text)}
+                      />
+                      <TextInput
+                        style={[styles.input, styles.budgetInput, { marginLeft: 10, backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="1.00"
+                        placeholderTextColor={colors.subText}
+                        keyboardType="numeric"
+                        value={row.rate}
+                        onChangeText={(text) => updateRateDraft(index, 'rate', text)}
+                      />
+                      <TouchableOpacity
+                        style={[styles.smallButtonDestructive, { backgroundColor: colors.background }]}
+                        onPress={() => setCurrencyDraft({ ...currencyDraft, rates: currencyDraft.rates.filter((r, i) => i !== index) })}
+                      >
+                        <Text style={[styles.smallButtonText, { color: colors.text }]}>X</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </ScrollView>
+
+                <View style={styles.modalButtons}>
                   <TouchableOpacity
-                    style={[
-                      styles.typeButton,
-                      newTransaction.type === 'Income' && { backgroundColor: colors.card, borderColor: colors.income, borderWidth: 1 }
-                    ]}
-                    onPress={() => setNewTransaction({ ...newTransaction, type: 'Income', category: '' })}
+                    style={[styles.modalButton, styles.cancelButton, { backgroundColor: colors.background }]}
+                    onPress={() => setSettingsVisible(false)}
                   >
-                    <Text style={[
-                      styles.typeButtonText, { color: colors.subText },
-                      newTransaction.type === 'Income' && { color: colors.text }
-                    ]}>Income</Text>
+                    <Text style={[styles.cancelButtonText, { color: colors.text }]}>Cancel</Text>
                   </TouchableOpacity>
                   <TouchableOpacity
-                    style={[
-                      styles.typeButton,
-                      newTransaction.type === 'Expense' && { backgroundColor: colors.card, borderColor: colors.expense, borderWidth: 1 }
-                    ]}
-                    onPress={() => setNewTransaction({ ...newTransaction, type: 'Expense', category: '' })}
+                    style={[styles.modalButton, styles.saveButton, { backgroundColor: colors.primary }]}
+                    onPress={saveSettings}
                   >
-                    <Text style={[
-                      styles.typeButtonText, { color: colors.subText },
-                      newTransaction.type === 'Expense' && { color: colors.text }
-                    ]}>Expense</Text>
+                    <Text style={styles.saveButtonText}>Save Settings</Text>
                   </TouchableOpacity>
                 </View>
+              </View>
+            </View>
+          </Modal>
+
+          {/* Budgets Modal */}
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={budgetsVisible}
+            onRequestClose={() => setBudgetsVisible(false)}
+          >
+            <View style={styles.modalOverlay}>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Monthly Budgets</Text>
 
-                {/* Amount Input */}
-                <Text style={[styles.label, { color: colors.subText }]}>Amount</Text>
-                <View style={[styles.inputContainer, { borderBottomColor: colors.border }]}>
-                  <Text style={[styles.currencySymbol, { color: colors.text }]}>$</Text>
+                <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                  <Text style={[styles.label, { color: colors.subText }]}>Overall (Optional)</Text>
                   <TextInput
-                    style={[styles.amountInput, { color: colors.text }]}
-                    placeholder="0.00"
+                    style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
+                    placeholder="No limit"
                     placeholderTextColor={colors.subText}
                     keyboardType="numeric"
-                    value={newTransaction.amount}
-                    onChangeText={(text) => setNewTransaction({ ...newTransaction, amount: text })}
+                    value={budgetDraft.overall}
+                    onChangeText={(text) => setBudgetDraft({ ...budgetDraft, overall: text })}
                   />
-                </View>
-
-                {/* Category Selection */}
-                <View style={styles.rowBetween}>
-                  <Text style={[styles.label, { color: colors.subText }]}>Category</Text>
-                  {!isAddingCategory && (
-                    <TouchableOpacity onPress={() => setIsAddingCategory(true)}>
-                      <Text style={[styles.linkText, { color: colors.primary }]}>+ Add New</Text>
-                    </TouchableOpacity>
-                  )}
-                </View>
-
-                {isAddingCategory ? (
-                  <View style={styles.addCategoryContainer}>
-                    <TextInput
-                      style={[styles.input, { flex: 1, marginBottom: 0, backgroundColor: colors.background, color: colors.text }]}
-                      placeholder="New Category Name"
-                      placeholderTextColor={colors.subText}
-                      value={newCategoryName}
-                      onChangeText={setNewCategoryName}
-                    />
-                    <TouchableOpacity style={[styles.smallButton, { backgroundColor: colors.primary }]} onPress={handleAddNewCategory}>
-                      <Text style={styles.smallButtonText}>Add</Text>
-                    </TouchableOpacity>
-                    <TouchableOpacity style={[styles.smallButtonDestructive, { backgroundColor: colors.background }]} onPress={() => setIsAddingCategory(false)}>
-                      <Text style={[styles.smallButtonText, { color: colors.text }]}>X</Text>
-                    </TouchableOpacity>
-                  </View>
-                ) : (
-                  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
-                    {categories[newTransaction.type].map((cat) => (
-                      <TouchableOpacity
-                        key={cat}
-                        onLongPress={() => handleDeleteCategoryInitiation(cat)}
-                        delayLongPress={500}
-                        style={[
-                          styles.categoryChip,
-                          { backgroundColor: colors.background },
-                          newTransaction.category === cat &&
-                          { backgroundColor: newTransaction.type === 'Income' ? colors.income : colors.expense }
-                        ]}
-                        onPress={() => setNewTransaction({ ...newTransaction, category: cat })}
-                      >
-                        <Text
-                          style={[
-                            styles.categoryChipText, { color: colors.text },
-                            newTransaction.category === cat && styles.categoryChipTextActive
-                          ]}
-                        >
-                          {cat}
-                        </Text>
-                      </TouchableOpacity>
-                    ))}
-                  </ScrollView>
-                )}
 
-                {/* Note Input */}
-                <Text style={[styles.label, { color: colors.subText }]}>Note (Optional)</Text>
-                <TextInput
-                  style={[styles.input, { backgroundColor: colors.background, color: colors.text }]}
-                  placeholder="E.g. Lunch with friends"
-                  placeholderTextColor={colors.subText}
-                  value={newTransaction.note}
-                  onChangeText={(text) => setNewTransaction({ ...newTransaction, note: text })}
-                />
+                  <Text style={[styles.label, { color: colors.subText }]}>Per Category</Text>
+                  <Text style={[styles.transactionNote, { color: colors.subText, marginBottom: 10 }]}>
+                    A category's budget includes its subcategories.
+                  </Text>
+                  {sortByHierarchy(categories.Expense).filter(c => !c.archived || budgets.categories[c.name]).map(({ name: cat }) => (
+                    <View key={cat} style={[styles.budgetRow, getTopCategory('Expense', cat) !== cat && styles.subcategoryRow]}>
+                      <Text style={[styles.categoryTitle, { color: colors.text, flex: 1 }]}>{cat}</Text>
+                      <TextInput
+                        style={[styles.input, styles.budgetInput, { backgroundColor: colors.background, color: colors.text }]}
+                        placeholder="No limit"
+                        placeholderTextColor={colors.subText}
+                        keyboardType="numeric"
+                        value={budgetDraft.categories[cat] || ''}
+                        onChangeText={(text) => setBudgetDraft({
+                          ...budgetDraft,
+                          categories: { ...budgetDraft.categories, [cat]: text }
+                        })}
+                      />
+                    </View>
+                  ))}
+                </ScrollView>
 
-                {/* Actions */}
                 <View style={styles.modalButtons}>
                   <TouchableOpacity
                     style={[styles.modalButton, styles.cancelButton, { backgroundColor: colors.background }]}
-                    onPress={() => setModalVisible(false)}
+                    onPress={() => setBudgetsVisible(false)}
                   >
                     <Text style={[styles.cancelButtonText, { color: colors.text }]}>Cancel</Text>
                   </TouchableOpacity>
                   <TouchableOpacity
                     style={[styles.modalButton, styles.saveButton, { backgroundColor: colors.primary }]}
-                    onPress={handleAddTransaction}
+                    onPress={saveBudgets}
                   >
-                    <Text style={styles.saveButtonText}>Save Transaction</Text>
+                    <Text style={styles.saveButtonText}>Save Budgets</Text>
                   </TouchableOpacity>
                 </View>
               </View>
             </View>
           </Modal>
 
-          {/* Month Picker Modal */}
+          {/* Recurring Rules Modal */}
           <Modal
-            animationType="fade"
+            animationType="slide"
             transparent={true}
-            visible={pickerVisible}
-            onRequestClose={() => setPickerVisible(false)}
+            visible={recurringVisible}
+            onRequestClose={() => setRecurringVisible(false)}
           >
             <View style={styles.modalOverlay}>
-              <View style={[styles.pickerContent, { backgroundColor: colors.card }]}>
-                {/* Year Selector */}
-                <View style={styles.yearRow}>
-                  <TouchableOpacity onPress={() => setPickerYear(pickerYear - 1)} style={styles.arrowButton}>
-                    <Text style={[styles.arrowText, { color: colors.primary }]}>{'<'}</Text>
-                  </TouchableOpacity>
-                  <Text style={[styles.yearText, { color: colors.text }]}>{pickerYear}</Text>
-                  <TouchableOpacity onPress={() => setPickerYear(pickerYear + 1)} style={styles.arrowButton}>
-                    <Text style={[styles.arrowText, { color: colors.primary }]}>{'>'}</Text>
-                  </TouchableOpacity>
-                </View>
+              <View style={[styles.modalContent, { backgroundColor: colors.card }]}>
+                <Text style={[styles.modalTitle, { color: colors.text }]}>Recurring</Text>
 
-                {/* Month Grid */}
-                <View style={styles.monthGrid}>
-                  {MONTHS.map((month, index) => (
-                    <TouchableOpacity
-                      key={month}
-                      style={[
-                        styles.monthCell,
-                        { backgroundColor: colors.background },
-                        index === currentDate.getMonth() && pickerYear === currentDate.getFullYear() && { backgroundColor: colors.primary }
-                      ]}
-                      onPress={() => selectMonthYear(index)}
-                    >
-                      <Text style={[
-                        styles.monthCellText,
-                        { color: colors.text },
-                        index === currentDate.getMonth() && pickerYear === currentDate.getFullYear() && { color: 'white', fontWeight: 'bold' }
-                      ]}>
-                        {month.slice(0, 3)}
+                <ScrollView showsVerticalScrollIndicator={false}>
+                  {recurringRules.length === 0 && (
+                    <View style={styles.emptyState}>
+                      <Text style={[styles.emptyStateText, { color: colors.subText, textAlign: 'center' }]}>
+                        No recurring transactions yet. Pick a "Repeat" option when adding a transaction.
                       </Text>
-                    </TouchableOpacity>
-                  ))}
-                </View>
+                    </View>
+                  )}
+
+                  {recurringRules.map(rule => {
+                    const nextDate = rule.paused ? null : getNextOccurrence(rule);
+                    const ruleTransactions = transactions
+                      .filter(t => t.recurringId === rule.id)
+                      .sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
+                    return (
+                      <View key={rule.id} style={[styles.categoryBlock, { backgroundColor: colors.background }]}>
+                        <TouchableOpacity style={styles.categoryHeader} onPress={() => toggleRule(rule.id)} activeOpacity={0.7}>
+                          <View style={{ flex: 1 }}>
+                            <Text style={[styles.categoryTitle, { color: colors.text }]}>
+                              {getCategoryLabel(rule)}
+                              {rule.note ? ` - ${rule.note}` : ''}
+                            </Text>
+                            <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                              {getFrequencyLabel(rule.frequency)} · {rule.paused ? 'Paused' : nextDate ? `Next ${nextDate.toLocaleDateString()}` : 'Ended'}
+                            </Text>
+                            <Text style={[styles.categoryCount, { color: colors.subText }]}>
+                              {ruleTransactions.length} generated
+                            </Text>
+                          </View>
+                          <View style={styles.categoryHeaderRight}>
+                            <Text style={[styles.categoryTotal, { color: getTypeColor(rule.type) }]}>
+                              {formatCurrency(rule.amount, rule.currency)}
+                            </Text>
+                            <Text style={[styles.expandIcon, { color: colors.subText }]}>{expandedRules[rule.id] ? '▲' : '▼'}</Text>
+                          </View>
+                        </TouchableOpacity>
+
+                        <View style={styles.ruleActions}>
+                          <TouchableOpacity onPress={() => toggleRulePaused(rule)}>
+                            <Text style={[styles.linkText, { color: colors.primary }]}>{rule.paused ? 'Resume' : 'Pause'}</Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity onPress={() => { setRecurringVisible(false); openEditRuleModal(rule); }}>
+                            <Text style={[styles.linkText, { color: colors.primary }]}>Edit</Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity onPress={() => confirmDeleteRule(rule)}>
+                            <Text style={[styles.linkText, { color: colors.expense }]}>Delete</Text>
+                          </TouchableOpacity>
+                        </View>
+
+                        {expandedRules[rule.id] && (
+                          <View style={[styles.transactionList, { borderTopColor: colors.border }]}>
+                            {ruleTransactions.length === 0 ? (
+                              <Text style={[styles.transactionNote, styles.subTransactionItem, { color: colors.subText }]}>Nothing generated yet.</Text>
+                            ) : ruleTransactions.map(t => (
+                              <View key={t.id} style={[styles.subTransactionItem, styles.subTransactionContent]}>
+                                <Text style={[styles.transactionNote, { color: colors.subText }]}>{formatDate(t.dateISO)}</Text>
+                                <Text style={[styles.subTransactionAmount, { color: getTypeColor(t.type) }]}>
+                                  {formatCurrency(t.amount, t.currency)}
+                                </Text>
+                              </View>
+                            ))}
+                          </View>
+                        )}
+                      </View>
+                    );
+                  })}
+                </ScrollView>
 
                 <TouchableOpacity
-                  style={[styles.closeButton, { backgroundColor: colors.background }]}
-                  onPress={() => setPickerVisible(false)}
+                  style={[styles.closeButton, { backgroundColor: colors.background, alignSelf: 'center' }]}
+                  onPress={() => setRecurringVisible(false)}
                 >
                   <Text style={[styles.closeButtonText, { color: colors.text }]}>Close</Text>
                 </TouchableOpacity>
@@ -743,7 +5837,7 @@ export default function App() {
 
             <Text style={[styles.label, { color: colors.subText }]}>Reassign to:</Text>
             <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
-              {categories[categoryToDelete?.type]?.filter(c => c !== categoryToDelete?.name).map(cat => (
+              {categories[categoryToDelete?.type]?.filter(c => !c.archived && c.name !== categoryToDelete?.name).map(({ name: cat }) => (
                 <TouchableOpacity
                   key={cat}
                   style={[
@@ -765,7 +5859,7 @@ export default function App() {
             <TouchableOpacity
               style={[styles.actionButton, { backgroundColor: colors.primary, marginTop: 10, opacity: reassignCategory ? 1 : 0.5 }]}
               disabled={!reassignCategory}
-              onPress={() => executeCategoryDeletion(categoryToDelete.name, categoryToDelete.type, 'reassign')}
+              onPress={() => executeCategoryDeletion(categoryToDelete.name, categoryToDelete.type, 'reassign', reassignCategory)}
             >
               <Text style={styles.actionButtonText}>Reassign & Delete Category</Text>
             </TouchableOpacity>
@@ -784,6 +5878,21 @@ export default function App() {
         </View>
       </Modal>
 
+      {/* Receipt Preview - outside the fragment so it opens over the add modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={!!receiptPreview}
+        onRequestClose={() => setReceiptPreview(null)}
+      >
+        <TouchableOpacity style={styles.receiptPreviewOverlay} activeOpacity={1} onPress={() => setReceiptPreview(null)}>
+          {receiptPreview && (
+            <Image source={{ uri: getReceiptUri(receiptPreview) }} style={styles.receiptPreviewImage} resizeMode="contain" />
+          )}
+          <Text style={[styles.transactionNote, { color: 'white', textAlign: 'center', marginTop: 15 }]}>Tap to close</Text>
+        </TouchableOpacity>
+      </Modal>
+
     </SafeAreaView >
   );
 }
@@ -804,6 +5913,88 @@ const styles = StyleSheet.create({
     fontSize: 28,
     fontWeight: 'bold',
   },
+  searchTotals: {
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 15,
+  },
+  menuIcon: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  historyRow: {
+    flexDirection: 'row',
+    width: '100%',
+    marginBottom: 10,
+  },
+  historyButton: {
+    flex: 1,
+    padding: 10,
+    borderRadius: 10,
+    marginHorizontal: 4,
+  },
+  snackbar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 100, // Clear of the add button
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+    elevation: 10,
+  },
+  snackbarText: {
+    flex: 1,
+    marginRight: 15,
+  },
+  menuRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    width: '100%',
+    borderBottomWidth: 1,
+  },
+  donutContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  donutCenter: {
+    position: 'absolute',
+    alignItems: 'center',
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+  },
+  legendDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 10,
+  },
+  accountSwitcher: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexShrink: 1,
+  },
+  accountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   themeButton: {
     padding: 8,
     borderRadius: 20,
@@ -817,7 +6008,7 @@ const styles = StyleSheet.create({
   monthText: {
     fontSize: 18,
     fontWeight: '600',
-    width: 150,
+    width: 220,
     textAlign: 'center',
   },
   loadingContainer: {
@@ -825,6 +6016,11 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  loadErrorText: {
+    fontSize: 16,
+    textAlign: 'center',
+    paddingHorizontal: 30,
+  },
   arrowButton: {
     padding: 10,
   },
@@ -854,6 +6050,10 @@ const styles = StyleSheet.create({
     fontSize: 36,
     fontWeight: '800',
   },
+  balanceBreakdown: {
+    fontSize: 12,
+    marginTop: 5,
+  },
   statsRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -889,6 +6089,9 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     marginTop: 20,
   },
+  upcomingSection: {
+    marginBottom: 10,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -970,6 +6173,7 @@ const styles = StyleSheet.create({
     borderTopRightRadius: 25,
     padding: 25,
     minHeight: 500,
+    maxHeight: '90%',
     marginTop: 'auto', // Push to bottom for transaction modal
   },
   pickerContent: {
@@ -1059,6 +6263,63 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  subcategoryTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    flexShrink: 1,
+  },
+  subcategoryTransactions: {
+    marginLeft: 20,
+  },
+  subcategoryRow: {
+    marginLeft: 24,
+  },
+  receiptRow: {
+    marginTop: 8,
+  },
+  receiptThumbnail: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+    marginRight: 8,
+  },
+  receiptThumbnailLarge: {
+    width: 64,
+    height: 64,
+  },
+  receiptEditItem: {
+    marginRight: 4,
+  },
+  receiptRemove: {
+    position: 'absolute',
+    top: -4,
+    right: 4,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  receiptRemoveText: {
+    color: 'white',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  receiptPreviewOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.9)',
+    justifyContent: 'center',
+  },
+  receiptPreviewImage: {
+    width: '100%',
+    height: '80%',
+  },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 8,
+    marginBottom: 10,
+  },
   input: {
     borderRadius: 10,
     padding: 15,
@@ -1181,6 +6442,48 @@ const styles = StyleSheet.create({
   monthCellText: {
     fontSize: 16,
   },
+  dateField: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  calendarGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    width: '100%',
+  },
+  calendarCell: {
+    width: '14.28%',
+    aspectRatio: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 20,
+  },
+  weekdayText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  calendarDayText: {
+    fontSize: 15,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  timeUnit: {
+    alignItems: 'center',
+    marginHorizontal: 10,
+  },
+  timeStepper: {
+    paddingHorizontal: 15,
+    paddingVertical: 2,
+  },
+  timeText: {
+    fontSize: 28,
+    fontWeight: 'bold',
+  },
   closeButton: {
     marginTop: 10,
     paddingVertical: 10,
@@ -1207,6 +6510,107 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     width: '100%',
   },
+  categoryBudget: {
+    paddingHorizontal: 15,
+    paddingBottom: 12,
+  },
+  budgetContainer: {
+    marginTop: 6,
+  },
+  budgetTrack: {
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  budgetFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  budgetText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: CATEGORY_ROW_HEIGHT - 8,
+    marginBottom: 8,
+    borderRadius: 12,
+  },
+  categoryRowBody: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+  },
+  categoryRowIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  dragHandle: {
+    paddingLeft: 15,
+    paddingRight: 5,
+    height: '100%',
+    justifyContent: 'center',
+  },
+  dragHandleText: {
+    fontSize: 22,
+  },
+  iconInput: {
+    width: 60,
+    marginBottom: 0,
+    marginRight: 10,
+    textAlign: 'center',
+    fontSize: 20,
+  },
+  colorRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  colorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    marginRight: 10,
+    marginBottom: 10,
+    borderWidth: 3,
+    borderColor: 'transparent',
+  },
+  splitLine: {
+    borderBottomWidth: 1,
+    marginBottom: 10,
+  },
+  budgetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  budgetInput: {
+    width: 120,
+    marginBottom: 0,
+    padding: 10,
+    textAlign: 'right',
+  },
+  rangeRow: {
+    flexDirection: 'row',
+  },
+  importRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  ruleActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingHorizontal: 15,
+    paddingBottom: 12,
+  },
   actionButtonText: {
     color: 'white',
     fontSize: 16,
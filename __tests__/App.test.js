@@ -0,0 +1,42 @@
+import React from 'react';
+import renderer, { act } from 'react-test-renderer';
+import App from '../App';
+import { NewerSchemaError, loadWallet, saveField } from '../storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../storage', () => ({
+  ...jest.requireActual('../storage'),
+  loadWallet: jest.fn(),
+  saveField: jest.fn(() => Promise.resolve()),
+}));
+
+const renderApp = async () => {
+  let tree;
+  await act(async () => {
+    tree = renderer.create(<App />);
+  });
+  return tree;
+};
+
+describe('loading', () => {
+  beforeEach(() => {
+    saveField.mockClear();
+  });
+
+  it('saves nothing when stored data cannot be read', async () => {
+    loadWallet.mockRejectedValue(new Error('disk full'));
+    const tree = await renderApp();
+    expect(saveField).not.toHaveBeenCalled();
+    expect(JSON.stringify(tree.toJSON())).toContain('Failed to load data: disk full');
+  });
+
+  it('asks for an update when the data is from a newer version', async () => {
+    loadWallet.mockRejectedValue(new NewerSchemaError(99));
+    const tree = await renderApp();
+    expect(saveField).not.toHaveBeenCalled();
+    expect(JSON.stringify(tree.toJSON())).toContain('Please update the app');
+  });
+});
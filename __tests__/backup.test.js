@@ -0,0 +1,178 @@
+import { BACKUP_APP, BACKUP_VERSION, createBackup, describeChanges, mergeBackupData, validateBackup } from '../backup';
+import { createCategory } from '../categories';
+
+const transaction = (overrides = {}) => ({
+  id: '1',
+  type: 'Expense',
+  amount: 12.5,
+  category: 'Food',
+  note: '',
+  dateISO: '2025-03-14T12:00:00.000Z',
+  ...overrides,
+});
+
+const categories = (income, expense) => ({
+  Income: income.map((name, i) => createCategory(name, 'Income', i)),
+  Expense: expense.map((name, i) => createCategory(name, 'Expense', i)),
+});
+
+const wallet = (overrides = {}) => ({
+  transactions: [],
+  categories: categories(['Salary'], ['Food']),
+  recurringRules: [],
+  budgets: { overall: null, categories: {} },
+  accounts: [{ id: 'default', name: 'My Wallet', type: 'cash' }],
+  goals: [],
+  bills: [],
+  people: [],
+  theme: 'light',
+  ...overrides,
+});
+
+describe('validateBackup', () => {
+  it('accepts a backup it created', () => {
+    const backup = createBackup(wallet({ transactions: [transaction()] }), { 'r1.jpg': 'aGk=' });
+    expect(backup).toMatchObject({ app: BACKUP_APP, version: BACKUP_VERSION });
+    expect(validateBackup(backup)).toEqual([]);
+  });
+
+  it('accepts older versions', () => {
+    expect(validateBackup({ ...createBackup(wallet()), version: 1 })).toEqual([]);
+  });
+
+  it('refuses files from other apps and from newer versions', () => {
+    expect(validateBackup(null)).toEqual(['This file is not a Spendy backup.']);
+    expect(validateBackup({ app: 'other', version: 1, data: wallet() })).toEqual(['This file is not a Spendy backup.']);
+    expect(validateBackup({ ...createBackup(wallet()), version: BACKUP_VERSION + 1 })[0]).toMatch(/newer than this app supports/);
+    expect(validateBackup({ ...createBackup(wallet()), version: '2' })[0]).toMatch(/newer than this app supports/);
+  });
+
+  it('refuses a backup without data', () => {
+    expect(validateBackup({ app: BACKUP_APP, version: BACKUP_VERSION })).toEqual(['The backup contains no data.']);
+  });
+
+  it('counts malformed transactions', () => {
+    const backup = createBackup(wallet({
+      transactions: [
+        transaction(),
+        transaction({ id: 2 }),
+        transaction({ id: '3', type: 'Gift' }),
+        transaction({ id: '4', amount: 'lots' }),
+        transaction({ id: '5', dateISO: 'someday' }),
+        transaction({ id: '6', type: 'Transfer', category: undefined }),
+        transaction({ id: '7', type: 'Lent', category: 'Debt' }),
+        transaction({ id: '8', type: 'Transfer', toAccountId: 'savings' }),
+        transaction({ id: '9', type: 'Borrowed', personId: 'p1' }),
+      ],
+    }));
+    expect(validateBackup(backup)).toEqual(['6 transactions are malformed.']);
+  });
+
+  it('lists every missing or malformed part', () => {
+    const backup = createBackup({
+      categories: { Income: [] },
+      recurringRules: {},
+      accounts: 'cash',
+      goals: {},
+      bills: 1,
+      people: null,
+    }, { 'r1.jpg': 5 });
+    expect(validateBackup(backup)).toEqual([
+      'Transactions are missing.',
+      'Categories are missing or malformed.',
+      'Recurring rules are malformed.',
+      'Accounts are malformed.',
+      'Savings goals are malformed.',
+      'Bills are malformed.',
+      'People are malformed.',
+      'Receipt photos are malformed.',
+    ]);
+  });
+});
+
+describe('mergeBackupData', () => {
+  it('keeps current records and adds those only the backup has, by id', () => {
+    const current = wallet({
+      transactions: [transaction({ id: '1', amount: 20 })],
+      goals: [{ id: 'g1', name: 'Bike', target: 500 }],
+      people: [{ id: 'p1', name: 'Sam' }],
+    });
+    const incoming = wallet({
+      transactions: [transaction({ id: '1', amount: 99 }), transaction({ id: '2' })],
+      goals: [{ id: 'g1', name: 'Old bike', target: 100 }, { id: 'g2', name: 'Trip', target: 900 }],
+      bills: [{ id: 'b1', name: 'Rent' }],
+      people: [{ id: 'p2', name: 'Alex' }],
+    });
+
+    const merged = mergeBackupData(current, incoming);
+    expect(merged.transactions.map(t => [t.id, t.amount])).toEqual([['1', 20], ['2', 12.5]]);
+    expect(merged.goals.map(g => g.name)).toEqual(['Bike', 'Trip']);
+    expect(merged.bills.map(b => b.id)).toEqual(['b1']);
+    expect(merged.people.map(p => p.id)).toEqual(['p1', 'p2']);
+  });
+
+  it('merges categories by name, keeping the current icon and color', () => {
+    const current = wallet({ categories: categories(['Salary'], ['Food']) });
+    const incoming = wallet({
+      categories: {
+        Income: [createCategory('Salary', 'Income', 3, { icon: '🏦' }), createCategory('Gift', 'Income', 1)],
+        Expense: [createCategory('Pets', 'Expense', 2)],
+      },
+    });
+
+    const merged = mergeBackupData(current, incoming);
+    expect(merged.categories.Income.map(c => c.name)).toEqual(['Salary', 'Gift']);
+    expect(merged.categories.Income[0]).toEqual(current.categories.Income[0]);
+    expect(merged.categories.Expense.map(c => c.name)).toEqual(['Food', 'Pets']);
+  });
+
+  it('keeps current budgets and settings and only fills in what is missing', () => {
+    const current = wallet({ budgets: { overall: null, categories: { Food: 200 } }, theme: 'dark', monthStartDay: 25 });
+    const incoming = wallet({ budgets: { overall: 1500, categories: { Food: 50, Pets: 30 } }, theme: 'light', monthStartDay: 1 });
+
+    const merged = mergeBackupData(current, incoming);
+    expect(merged.budgets).toEqual({ overall: 1500, categories: { Food: 200, Pets: 30 } });
+    expect(merged.theme).toBe('dark');
+    expect(merged.monthStartDay).toBe(25);
+  });
+
+  it('copes with backups from before goals, bills and people existed', () => {
+    const { goals, bills, people, ...incoming } = wallet({ budgets: undefined });
+    const current = wallet({ people: [{ id: 'p1', name: 'Sam' }] });
+
+    const merged = mergeBackupData(current, incoming);
+    expect(merged.people).toEqual(current.people);
+    expect(merged.goals).toEqual([]);
+    expect(merged.budgets).toEqual(current.budgets);
+  });
+});
+
+describe('describeChanges', () => {
+  it('counts added, updated and removed records', () => {
+    const before = wallet({
+      transactions: [transaction({ id: '1' }), transaction({ id: '2' }), transaction({ id: '3' })],
+      people: [{ id: 'p1', name: 'Sam' }],
+    });
+    const after = wallet({
+      transactions: [transaction({ id: '1' }), transaction({ id: '2', amount: 1 }), transaction({ id: '4' })],
+      categories: categories(['Salary', 'Gift'], []),
+      bills: [{ id: 'b1', name: 'Rent' }],
+      people: [],
+      budgets: { overall: 100, categories: {} },
+      theme: 'dark',
+    });
+
+    expect(describeChanges(before, after)).toEqual([
+      'Transactions: 1 added, 1 updated, 1 removed',
+      'Bills: 1 added',
+      'People: 1 removed',
+      'Categories: 1 added, 1 removed',
+      'Budgets updated',
+      'Theme set to dark',
+    ]);
+  });
+
+  it('says so when nothing changed', () => {
+    expect(describeChanges(wallet(), wallet())).toEqual(['Nothing changed.']);
+  });
+});
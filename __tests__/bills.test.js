@@ -0,0 +1,107 @@
+import { BILL_REMINDER_HOUR, getBillDueDate, getBillReminders, getDaysUntil, getReminderDate, getUpcomingBills } from '../bills';
+import { getOccurrenceDate } from '../periods';
+import { local } from './fixtures';
+
+// Tests run in New York time (see jest.global-setup.js), where daylight saving time
+// starts on 9 March 2025.
+
+const bill = (overrides = {}) => ({
+  id: 'b1',
+  name: 'Rent',
+  amount: 900,
+  category: 'Bills',
+  startDate: '2025-01-31',
+  frequency: 'monthly',
+  remindDays: 1,
+  paidCount: 0,
+  ...overrides,
+});
+
+describe('getOccurrenceDate', () => {
+  it('keeps the time of day across a DST change', () => {
+    const rule = { startDateISO: local(2025, 3, 8, 8, 30).toISOString(), frequency: 'daily' };
+    expect(getOccurrenceDate(rule, 2)).toEqual(local(2025, 3, 10, 8, 30));
+    expect(getOccurrenceDate({ ...rule, frequency: 'weekly' }, 1)).toEqual(local(2025, 3, 15, 8, 30));
+  });
+});
+
+describe('getBillDueDate', () => {
+  it('clamps a monthly bill on the 31st to short months without drifting', () => {
+    expect(getBillDueDate(bill({ paidCount: 0 }))).toEqual(local(2025, 1, 31));
+    expect(getBillDueDate(bill({ paidCount: 1 }))).toEqual(local(2025, 2, 28));
+    expect(getBillDueDate(bill({ paidCount: 2 }))).toEqual(local(2025, 3, 31));
+    expect(getBillDueDate(bill({ paidCount: 3 }))).toEqual(local(2025, 4, 30));
+  });
+
+  it('handles the 29th to the 31st in February of leap years', () => {
+    expect(getBillDueDate(bill({ startDate: '2024-01-30', paidCount: 1 }))).toEqual(local(2024, 2, 29));
+    expect(getBillDueDate(bill({ startDate: '2024-02-29', frequency: 'yearly', paidCount: 1 }))).toEqual(local(2025, 2, 28));
+    expect(getBillDueDate(bill({ startDate: '2024-02-29', frequency: 'yearly', paidCount: 4 }))).toEqual(local(2028, 2, 29));
+  });
+
+  it('moves weekly bills on by whole days across a DST change', () => {
+    expect(getBillDueDate(bill({ startDate: '2025-03-03', frequency: 'weekly', paidCount: 1 }))).toEqual(local(2025, 3, 10));
+  });
+
+  it('is the start date for an unpaid one-off bill and null once it is paid', () => {
+    expect(getBillDueDate(bill({ startDate: '2025-05-15', frequency: 'none' }))).toEqual(local(2025, 5, 15));
+    expect(getBillDueDate(bill({ startDate: '2025-05-15', frequency: 'none', paidCount: 1 }))).toBeNull();
+  });
+});
+
+describe('getDaysUntil', () => {
+  it('counts calendar days, whatever the time of day', () => {
+    const due = local(2025, 6, 15);
+    expect(getDaysUntil(due, local(2025, 6, 15, 23, 59))).toBe(0);
+    expect(getDaysUntil(due, local(2025, 6, 14, 0, 1))).toBe(1);
+    expect(getDaysUntil(due, local(2025, 6, 16, 12))).toBe(-1);
+  });
+
+  it('is not thrown off by the hour lost when the clocks go forward', () => {
+    expect(getDaysUntil(local(2025, 3, 10), local(2025, 3, 8, 23))).toBe(2);
+    expect(getDaysUntil(local(2025, 3, 8), local(2025, 3, 10, 1))).toBe(-2);
+  });
+});
+
+describe('getUpcomingBills', () => {
+  const now = local(2025, 6, 1, 10);
+
+  it('lists overdue bills and those due within 30 days, soonest first', () => {
+    const upcoming = getUpcomingBills([
+      bill({ id: 'later', startDate: '2025-07-01', frequency: 'none' }),
+      bill({ id: 'tooLate', startDate: '2025-07-02', frequency: 'none' }),
+      bill({ id: 'overdue', startDate: '2025-05-20', frequency: 'none' }),
+      bill({ id: 'today', startDate: '2025-06-01', frequency: 'none' }),
+      bill({ id: 'paid', startDate: '2025-06-05', frequency: 'none', paidCount: 1 }),
+    ], now);
+
+    expect(upcoming.map(u => u.bill.id)).toEqual(['overdue', 'today', 'later']);
+    expect(upcoming[1].due).toEqual(local(2025, 6, 1));
+  });
+});
+
+describe('getReminderDate', () => {
+  it('goes off remindDays before the due date at the reminder hour', () => {
+    expect(getReminderDate(bill({ remindDays: 0 }), local(2025, 3, 1))).toEqual(local(2025, 3, 1, BILL_REMINDER_HOUR));
+    expect(getReminderDate(bill({ remindDays: 1 }), local(2025, 3, 1))).toEqual(local(2025, 2, 28, BILL_REMINDER_HOUR));
+    expect(getReminderDate(bill({ remindDays: 7 }), local(2025, 3, 14))).toEqual(local(2025, 3, 7, BILL_REMINDER_HOUR));
+  });
+});
+
+describe('getBillReminders', () => {
+  const bills = [
+    bill({ id: 'today', startDate: '2025-06-15', frequency: 'none', remindDays: 0 }),
+    bill({ id: 'tomorrow', startDate: '2025-06-16', frequency: 'none', remindDays: 1 }),
+    bill({ id: 'paid', startDate: '2025-06-20', frequency: 'none', paidCount: 1 }),
+  ];
+
+  it('schedules one reminder per unpaid bill while its time is ahead', () => {
+    const reminders = getBillReminders(bills, local(2025, 6, 15, BILL_REMINDER_HOUR - 1));
+    expect(reminders.map(r => r.bill.id)).toEqual(['today', 'tomorrow']);
+    expect(reminders[1]).toMatchObject({ due: local(2025, 6, 16), date: local(2025, 6, 15, BILL_REMINDER_HOUR) });
+  });
+
+  it('leaves out reminders whose time has passed', () => {
+    expect(getBillReminders(bills, local(2025, 6, 15, BILL_REMINDER_HOUR, 1))).toEqual([]);
+  });
+});
@@ -0,0 +1,100 @@
+import { CARD_MINIMUM_FLOOR, getCardStatement } from '../cards';
+import { local } from './fixtures';
+
+const card = { id: 'card', name: 'Visa', type: 'credit', closingDay: 15, dueDay: 5 };
+
+const purchase = (id, date, amount) => ({ id, type: 'Expense', amount, category: 'Shopping', accountId: 'card', dateISO: date.toISOString() });
+const payment = (id, date, amount) => ({ id, type: 'Transfer', amount, accountId: 'bank', toAccountId: 'card', dateISO: date.toISOString() });
+
+// Purchases lower the card's balance, payments onto it raise it
+const getEffect = (t, accountId) => {
+  if (t.type === 'Transfer') return (t.toAccountId === accountId ? t.amount : 0) - (t.accountId === accountId ? t.amount : 0);
+  if (t.accountId !== accountId) return 0;
+  return t.type === 'Income' ? t.amount : -t.amount;
+};
+
+describe('getCardStatement', () => {
+  it('is null for accounts without statement days', () => {
+    expect(getCardStatement(undefined, [], getEffect)).toBeNull();
+    expect(getCardStatement({ ...card, type: 'checking' }, [], getEffect)).toBeNull();
+    expect(getCardStatement({ ...card, dueDay: undefined }, [], getEffect)).toBeNull();
+  });
+
+  it('covers what was owed at the end of the closing day', () => {
+    const statement = getCardStatement(card, [
+      purchase('1', local(2025, 3, 1), 200),
+      purchase('2', local(2025, 3, 15, 23, 30), 100),
+      purchase('3', local(2025, 3, 16, 0, 1), 50),
+    ], getEffect, local(2025, 3, 20));
+
+    expect(statement.closing).toEqual(new Date(2025, 2, 15, 23, 59, 59, 999));
+    expect(statement.due).toEqual(local(2025, 4, 5));
+    expect(statement.balance).toBe(300);
+    expect(statement.current).toBe(350);
+  });
+
+  it('keeps showing the previous statement while one closes today', () => {
+    const transactions = [purchase('1', local(2025, 2, 10), 80), purchase('2', local(2025, 3, 10), 40)];
+
+    const morning = getCardStatement(card, transactions, getEffect, local(2025, 3, 15, 9));
+    expect(morning.closing).toEqual(new Date(2025, 1, 15, 23, 59, 59, 999));
+    expect(morning.balance).toBe(80);
+
+    const midnight = getCardStatement(card, transactions, getEffect, new Date(2025, 2, 15, 23, 59, 59, 999));
+    expect(midnight.closing).toEqual(new Date(2025, 2, 15, 23, 59, 59, 999));
+    expect(midnight.balance).toBe(120);
+  });
+
+  it('closes on the 28th in February and reaches back into the previous year in January', () => {
+    const late = { ...card, closingDay: 28, dueDay: 20 };
+    expect(getCardStatement(late, [], getEffect, local(2025, 3, 1)).closing).toEqual(new Date(2025, 1, 28, 23, 59, 59, 999));
+    expect(getCardStatement(late, [], getEffect, local(2025, 3, 1)).due).toEqual(local(2025, 3, 20));
+    expect(getCardStatement(late, [], getEffect, local(2025, 1, 27)).closing).toEqual(new Date(2024, 11, 28, 23, 59, 59, 999));
+  });
+
+  it('is due the next month when the due day is not after the closing day', () => {
+    const sameDay = { ...card, closingDay: 10, dueDay: 10 };
+    expect(getCardStatement(sameDay, [], getEffect, local(2025, 5, 20)).due).toEqual(local(2025, 6, 10));
+    const laterDay = { ...card, closingDay: 10, dueDay: 25 };
+    expect(getCardStatement(laterDay, [], getEffect, local(2025, 5, 20)).due).toEqual(local(2025, 5, 25));
+  });
+
+  it('asks for a share of the balance as the minimum, but at least the floor', () => {
+    const minimumOf = (amount) => getCardStatement(card, [purchase('1', local(2025, 3, 1), amount)], getEffect, local(2025, 3, 20)).minimum;
+    expect(minimumOf(5000)).toBe(100);
+    expect(minimumOf(500)).toBe(CARD_MINIMUM_FLOOR);
+    expect(minimumOf(10)).toBe(10);
+  });
+
+  it('counts payments since closing towards the statement', () => {
+    const transactions = [purchase('1', local(2025, 3, 1), 500), payment('2', local(2025, 3, 10), 100), payment('3', local(2025, 3, 18), 30)];
+    const statement = getCardStatement(card, transactions, getEffect, local(2025, 3, 20));
+
+    expect(statement.balance).toBe(400);
+    expect(statement.remaining).toBe(370);
+    expect(statement.minimumLeft).toBe(0);
+  });
+
+  it('leaves nothing to pay after paying more than the statement', () => {
+    const transactions = [purchase('1', local(2025, 3, 1), 100), payment('2', local(2025, 3, 18), 150)];
+    const statement = getCardStatement(card, transactions, getEffect, local(2025, 3, 20));
+
+    expect(statement.remaining).toBe(0);
+    expect(statement.minimumLeft).toBe(0);
+    expect(statement.current).toBe(0);
+  });
+
+  it('ignores payments dated after today', () => {
+    const transactions = [purchase('1', local(2025, 3, 1), 100), payment('2', local(2025, 3, 25), 100)];
+    expect(getCardStatement(card, transactions, getEffect, local(2025, 3, 20)).remaining).toBe(100);
+  });
+
+  it('starts from the opening balance and owes nothing while in credit', () => {
+    const opened = { ...card, openingBalance: -60 };
+    expect(getCardStatement(opened, [], getEffect, local(2025, 3, 20)).balance).toBe(60);
+    const inCredit = { ...card, openingBalance: 40 };
+    const statement = getCardStatement(inCredit, [purchase('1', local(2025, 3, 1), 10)], getEffect, local(2025, 3, 20));
+    expect(statement.balance).toBe(0);
+    expect(statement.minimum).toBe(0);
+  });
+});
@@ -0,0 +1,241 @@
+import {
+  EXPORT_HEADERS,
+  detectAmountFormat,
+  detectDateFormat,
+  getExportRows,
+  guessColumns,
+  parseAmount,
+  parseCSV,
+  parseDate,
+  readImportRow,
+  toCSV,
+} from '../csv';
+
+describe('parseCSV', () => {
+  it('keeps commas, newlines and doubled quotes inside quoted fields', () => {
+    const text = 'Date,Note,Amount\n2025-03-14,"Lunch, with ""Sam""","12.50"\n2025-03-15,"Line one\nline two",3';
+    expect(parseCSV(text)).toEqual([
+      ['Date', 'Note', 'Amount'],
+      ['2025-03-14', 'Lunch, with "Sam"', '12.50'],
+      ['2025-03-15', 'Line one\nline two', '3'],
+    ]);
+  });
+
+  it('handles CRLF line endings, a byte order mark and blank lines', () => {
+    expect(parseCSV('﻿Date,Amount\r\n\r\n2025-03-14,5\r\n')).toEqual([['Date', 'Amount'], ['2025-03-14', '5']]);
+  });
+
+  it('detects semicolon and tab separated exports', () => {
+    expect(parseCSV('Datum;Betrag\n14.03.2025;"1.234,56"')).toEqual([['Datum', 'Betrag'], ['14.03.2025', '1.234,56']]);
+    expect(parseCSV('Date\tAmount\n2025-03-14\t5')).toEqual([['Date', 'Amount'], ['2025-03-14', '5']]);
+  });
+
+  it('keeps empty cells', () => {
+    expect(parseCSV('a,,c\n,,x')).toEqual([['a', '', 'c'], ['', '', 'x']]);
+  });
+
+  it('reads back what toCSV writes', () => {
+    const rows = [['Note', 'Amount'], ['Say "hi", then\nleave', -3], [null, 4]];
+    expect(parseCSV(toCSV(rows))).toEqual([['Note', 'Amount'], ['Say "hi", then\nleave', '-3'], ['', '4']]);
+  });
+});
+
+describe('guessColumns', () => {
+  it('prefers exact header names and marks missing fields with -1', () => {
+    expect(guessColumns(['Date Booked', 'Description', 'Amount (EUR)', 'Date'])).toEqual({
+      date: 3,
+      amount: 2,
+      type: -1,
+      category: -1,
+      currency: -1,
+      account: -1,
+      toAccount: -1,
+      note: 1,
+      tags: -1,
+    });
+  });
+
+  it('leaves a header that is exactly one field\'s name to that field', () => {
+    expect(guessColumns(['To Account', 'Amount'])).toMatchObject({ account: -1, toAccount: 0 });
+    expect(guessColumns(['Account Number', 'To Account'])).toMatchObject({ account: 0, toAccount: 1 });
+  });
+});
+
+describe('detectDateFormat', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('recognises ISO dates', () => {
+    expect(detectDateFormat(['2025-03-14', '2025-12-01T10:00:00'])).toBe('YYYY-MM-DD');
+  });
+
+  it('reads the day first once any first part is over 12', () => {
+    expect(detectDateFormat(['05/06/2025', '25/06/2025'])).toBe('DD/MM/YYYY');
+  });
+
+  it('reads the month first once any second part is over 12', () => {
+    expect(detectDateFormat(['05/06/2025', '06/25/2025'])).toBe('MM/DD/YYYY');
+  });
+
+  it('follows the device order when every date could be either', () => {
+    const toLocale = jest.spyOn(Date.prototype, 'toLocaleDateString');
+    toLocale.mockReturnValue('22/11/2000');
+    expect(detectDateFormat(['01/02/2025', '03/04/2025'])).toBe('DD/MM/YYYY');
+    toLocale.mockReturnValue('11/22/2000');
+    expect(detectDateFormat(['01/02/2025', '03/04/2025'])).toBe('MM/DD/YYYY');
+  });
+
+  it('falls back to ISO when nothing looks like a date', () => {
+    expect(detectDateFormat(['soon', ''])).toBe('YYYY-MM-DD');
+  });
+});
+
+describe('parseDate', () => {
+  it('reads each format at noon local time', () => {
+    expect(parseDate('2025-03-04', 'YYYY-MM-DD')).toEqual(new Date(2025, 2, 4, 12));
+    expect(parseDate('04/03/2025', 'DD/MM/YYYY')).toEqual(new Date(2025, 2, 4, 12));
+    expect(parseDate('03/04/2025', 'MM/DD/YYYY')).toEqual(new Date(2025, 2, 4, 12));
+  });
+
+  it('accepts dots, two-digit years and a trailing time', () => {
+    expect(parseDate('29.02.24', 'DD/MM/YYYY')).toEqual(new Date(2024, 1, 29, 12));
+    expect(parseDate('2025-03-04T23:30:00Z', 'YYYY-MM-DD')).toEqual(new Date(2025, 2, 4, 12));
+  });
+
+  it('rejects days the month does not have', () => {
+    expect(parseDate('31/04/2025', 'DD/MM/YYYY')).toBeNull();
+    expect(parseDate('2025-02-29', 'YYYY-MM-DD')).toBeNull();
+    expect(parseDate('13/25/2025', 'MM/DD/YYYY')).toBeNull();
+  });
+
+  it('rejects text that is not a date', () => {
+    expect(parseDate('yesterday', 'YYYY-MM-DD')).toBeNull();
+    expect(parseDate('2025-03', 'YYYY-MM-DD')).toBeNull();
+  });
+});
+
+describe('detectAmountFormat', () => {
+  it('reads a comma before one or two final digits as a decimal comma', () => {
+    expect(detectAmountFormat(['1.234,56', '12'])).toBe('1.234,56');
+    expect(detectAmountFormat(['(12,5)'])).toBe('1.234,56');
+  });
+
+  it('reads a comma before three digits as a thousands separator', () => {
+    expect(detectAmountFormat(['1,234', '1,234.56', '12.50'])).toBe('1,234.56');
+  });
+});
+
+describe('parseAmount', () => {
+  it('strips thousands separators in either format', () => {
+    expect(parseAmount('1,234,567.89', '1,234.56')).toBe(1234567.89);
+    expect(parseAmount('1.234.567,89', '1.234,56')).toBe(1234567.89);
+  });
+
+  it('reads parentheses and minus signs as negative', () => {
+    expect(parseAmount('(1,234.50)', '1,234.56')).toBe(-1234.5);
+    expect(parseAmount('-12,50', '1.234,56')).toBe(-12.5);
+    expect(parseAmount('12.50-', '1,234.56')).toBe(-12.5);
+  });
+
+  it('ignores currency symbols and spaces', () => {
+    expect(parseAmount(' $ 1,000 ', '1,234.56')).toBe(1000);
+    expect(parseAmount('€ 9,99', '1.234,56')).toBe(9.99);
+  });
+
+  it('returns null for cells without a number', () => {
+    expect(parseAmount('', '1,234.56')).toBeNull();
+    expect(parseAmount('n/a', '1,234.56')).toBeNull();
+  });
+});
+
+describe('readImportRow', () => {
+  const options = {
+    mapping: { date: 0, amount: 1, type: -1, category: 2, currency: 3, account: -1, toAccount: -1, note: -1, tags: -1 },
+    dateFormat: 'YYYY-MM-DD',
+    amountFormat: '1,234.56',
+  };
+
+  it('reads the sign as the type when there is no type column', () => {
+    expect(readImportRow(['2025-03-14', '-12.50', 'Food', ''], options)).toMatchObject({ amount: 12.5, type: 'Expense' });
+    expect(readImportRow(['2025-03-14', '12.50', 'Salary', ''], options)).toMatchObject({ amount: 12.5, type: 'Income' });
+  });
+
+  it('keeps three-letter currency codes and drops anything else', () => {
+    expect(readImportRow(['2025-03-14', '5', 'Food', ' eur '], options).currency).toBe('EUR');
+    expect(readImportRow(['2025-03-14', '5', 'Food', '€'], options).currency).toBeNull();
+    expect(readImportRow(['2025-03-14', '5', 'Food', ''], { ...options, mapping: { ...options.mapping, currency: -1 } }).currency).toBeNull();
+  });
+});
+
+describe('export and import', () => {
+  const names = {
+    base: 'USD',
+    getAccountName: (t) => (t.accountId === 'bank' ? 'Bank' : 'Wallet'),
+    getToAccountName: (t) => (t.toAccountId === 'bank' ? 'Bank' : 'Wallet'),
+    getPersonName: (id) => (id === 'sam' ? 'Sam' : 'Unknown'),
+  };
+
+  const roundTrip = (transactions) => {
+    const [headers, ...rows] = parseCSV(toCSV([EXPORT_HEADERS, ...getExportRows(transactions, names)]));
+    const options = { mapping: guessColumns(headers), dateFormat: 'YYYY-MM-DD', amountFormat: '1,234.56' };
+    return rows.map(row => readImportRow(row, options));
+  };
+
+  it('maps every exported column back to its field', () => {
+    expect(guessColumns(EXPORT_HEADERS)).toMatchObject({
+      date: 0, type: 2, category: 3, amount: 4, currency: 5, account: 6, toAccount: 7, note: 8, tags: 9,
+    });
+  });
+
+  it('reads back an exported transaction with its currency', () => {
+    const expense = {
+      dateISO: new Date(2025, 2, 14, 9, 30).toISOString(),
+      type: 'Expense',
+      category: 'Food',
+      amount: 12.5,
+      currency: 'EUR',
+      note: 'Lunch, "with Sam"',
+      tags: ['trip', 'work'],
+    };
+    expect(roundTrip([expense])).toEqual([{
+      date: new Date(2025, 2, 14, 12),
+      amount: 12.5,
+      type: 'Expense',
+      repayment: false,
+      category: 'Food',
+      person: '',
+      currency: 'EUR',
+      account: 'Wallet',
+      toAccount: '',
+      note: 'Lunch, "with Sam"',
+      tags: ['trip', 'work'],
+    }]);
+  });
+
+  it('reads back a transfer with both accounts', () => {
+    const transfer = {
+      dateISO: new Date(2025, 2, 14).toISOString(),
+      type: 'Transfer',
+      category: '',
+      amount: 200,
+      accountId: 'bank',
+      toAccountId: 'cash',
+    };
+    expect(roundTrip([transfer])[0]).toMatchObject({ type: 'Transfer', amount: 200, account: 'Bank', toAccount: 'Wallet' });
+  });
+
+  it('reads back loans and repayments with the person instead of a category', () => {
+    const loan = { dateISO: new Date(2025, 2, 14).toISOString(), type: 'Lent', personId: 'sam', category: '', amount: 50 };
+    const repaid = { ...loan, dateISO: new Date(2025, 3, 1).toISOString(), type: 'Borrowed', repayment: true, amount: 20 };
+    expect(roundTrip([loan, repaid])).toEqual([
+      expect.objectContaining({ type: 'Lent', repayment: false, person: 'Sam', category: '', amount: 50 }),
+      expect.objectContaining({ type: 'Borrowed', repayment: true, person: 'Sam', category: '', amount: 20 }),
+    ]);
+  });
+
+  it('writes the base currency for records without one', () => {
+    const income = { dateISO: new Date(2025, 2, 14).toISOString(), type: 'Income', category: 'Salary', amount: 100 };
+    expect(roundTrip([income])[0]).toMatchObject({ type: 'Income', currency: 'USD' });
+  });
+});
@@ -0,0 +1,39 @@
+import { convertToBase, getMissingRates, hasRate } from '../currency';
+
+const settings = { base: 'USD', rates: { EUR: 1.1, JPY: 0.007 } };
+
+const transaction = (amount, currency) => ({ id: '1', type: 'Expense', amount, category: 'Food', ...(currency ? { currency } : {}) });
+
+describe('convertToBase', () => {
+  it('leaves base currency amounts alone', () => {
+    expect(convertToBase(transaction(12.5), settings)).toBe(12.5);
+    expect(convertToBase(transaction('12.5', 'USD'), settings)).toBe(12.5);
+  });
+
+  it('converts with the rate of the currency', () => {
+    expect(convertToBase(transaction(10, 'EUR'), settings)).toBeCloseTo(11);
+    expect(convertToBase(transaction(1000, 'JPY'), settings)).toBeCloseTo(7);
+  });
+
+  it('leaves out amounts whose currency has no rate instead of counting them 1:1', () => {
+    expect(convertToBase(transaction(50, 'GBP'), settings)).toBe(0);
+  });
+});
+
+describe('hasRate', () => {
+  it('is true for the base currency, records without one and currencies with a rate', () => {
+    expect(hasRate(transaction(1), settings)).toBe(true);
+    expect(hasRate(transaction(1, 'USD'), settings)).toBe(true);
+    expect(hasRate(transaction(1, 'EUR'), settings)).toBe(true);
+    expect(hasRate(transaction(1, 'GBP'), settings)).toBe(false);
+    expect(hasRate(transaction(1, 'EUR'), { base: 'USD', rates: { EUR: 0 } })).toBe(false);
+  });
+});
+
+describe('getMissingRates', () => {
+  it('counts the records per currency without a rate', () => {
+    const items = [transaction(1, 'GBP'), transaction(2, 'EUR'), transaction(3, 'GBP'), transaction(4, 'CHF'), transaction(5)];
+    expect(getMissingRates(items, settings)).toEqual({ GBP: 2, CHF: 1 });
+    expect(getMissingRates(items.slice(1, 2), settings)).toEqual({});
+  });
+});
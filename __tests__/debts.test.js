@@ -0,0 +1,76 @@
+import { getDebtEffect, getDebtLedger, isDebt, isMoneyIn } from '../debts';
+import { toBase } from './fixtures';
+
+const loan = (id, type, amount, overrides = {}) => ({
+  id,
+  type,
+  amount,
+  personId: 'p1',
+  dateISO: `2025-03-${String(id).padStart(2, '0')}T12:00:00.000Z`,
+  ...overrides,
+});
+
+const people = [{ id: 'p1', name: 'Sam' }, { id: 'p2', name: 'Alex' }];
+
+describe('isMoneyIn', () => {
+  it('follows the direction the money moves', () => {
+    expect(isMoneyIn(loan('1', 'Lent', 10))).toBe(false);
+    expect(isMoneyIn(loan('1', 'Lent', 10, { repayment: true }))).toBe(true);
+    expect(isMoneyIn(loan('1', 'Borrowed', 10))).toBe(true);
+    expect(isMoneyIn(loan('1', 'Borrowed', 10, { repayment: true }))).toBe(false);
+    expect(isMoneyIn({ type: 'Income' })).toBe(true);
+    expect(isMoneyIn({ type: 'Expense' })).toBe(false);
+    expect(isDebt({ type: 'Transfer' })).toBe(false);
+  });
+});
+
+describe('getDebtEffect', () => {
+  it('is positive when the person ends up owing us more', () => {
+    expect(getDebtEffect(loan('1', 'Lent', 10), toBase)).toBe(10);
+    expect(getDebtEffect(loan('1', 'Lent', 10, { repayment: true }), toBase)).toBe(-10);
+    expect(getDebtEffect(loan('1', 'Borrowed', 10, { currency: 'EUR' }), toBase)).toBe(-20);
+    expect(getDebtEffect(loan('1', 'Borrowed', 10, { repayment: true }), toBase)).toBe(10);
+  });
+});
+
+describe('getDebtLedger', () => {
+  it('nets loans and repayments per person, newest first', () => {
+    const { rows, owedToMe, iOwe } = getDebtLedger(people, [
+      loan('1', 'Lent', 100),
+      loan('2', 'Lent', 40, { repayment: true }),
+      loan('3', 'Borrowed', 25, { personId: 'p2' }),
+      { id: '4', type: 'Expense', amount: 5, category: 'Food', dateISO: '2025-03-04T12:00:00.000Z' },
+    ], toBase);
+
+    expect(rows.map(r => [r.person.id, r.balance])).toEqual([['p1', 60], ['p2', -25]]);
+    expect(rows[0].entries.map(t => t.id)).toEqual(['2', '1']);
+    expect(owedToMe).toBe(60);
+    expect(iOwe).toBe(25);
+  });
+
+  it('turns a repayment larger than the balance into money we owe back', () => {
+    const { rows, owedToMe, iOwe } = getDebtLedger(people.slice(0, 1), [
+      loan('1', 'Lent', 100),
+      loan('2', 'Lent', 130, { repayment: true }),
+    ], toBase);
+
+    expect(rows[0].balance).toBe(-30);
+    expect(owedToMe).toBe(0);
+    expect(iOwe).toBe(30);
+  });
+
+  it('counts a fully repaid loan on neither side', () => {
+    const { rows, owedToMe, iOwe } = getDebtLedger(people.slice(0, 1), [
+      loan('1', 'Borrowed', 50),
+      loan('2', 'Borrowed', 50, { repayment: true }),
+    ], toBase);
+
+    expect(rows[0].balance).toBe(0);
+    expect(owedToMe).toBe(0);
+    expect(iOwe).toBe(0);
+  });
+
+  it('lists people without loans with a zero balance', () => {
+    expect(getDebtLedger(people, [], toBase).rows.map(r => r.balance)).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,7 @@
+// Helpers shared by the tests
+
+// Local time, midnight unless an hour is given; months are 1-based to read like the calendar
+export const local = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+// The toBase the totalling functions are passed: USD is the base and one EUR is worth 2 USD
+export const toBase = (t) => Number(t.amount) * (t.currency === 'EUR' ? 2 : 1);
@@ -0,0 +1,101 @@
+import { GOAL_PACE_MONTHS, getGoalProgress } from '../goals';
+import { addMonths } from '../periods';
+import { local, toBase } from './fixtures';
+
+const goal = { id: 'g1', name: 'Bike', target: 600, targetDate: null };
+
+const contribution = (id, date, amount, overrides = {}) => ({
+  id,
+  type: 'Expense',
+  amount,
+  category: 'Savings',
+  dateISO: date.toISOString(),
+  goalId: 'g1',
+  ...overrides,
+});
+
+describe('addMonths', () => {
+  it('clamps to the last day of shorter months', () => {
+    expect(addMonths(local(2025, 1, 31), 1)).toEqual(local(2025, 2, 28));
+    expect(addMonths(local(2024, 1, 31), 1)).toEqual(local(2024, 2, 29));
+    expect(addMonths(local(2025, 5, 31), -3)).toEqual(local(2025, 2, 28));
+    expect(addMonths(local(2025, 10, 30), 4)).toEqual(local(2026, 2, 28));
+  });
+
+  it('keeps the day when the target month has it', () => {
+    expect(addMonths(local(2025, 1, 28), 1)).toEqual(local(2025, 2, 28));
+    expect(addMonths(local(2025, 12, 31), 1)).toEqual(local(2026, 1, 31));
+  });
+});
+
+describe('getGoalProgress', () => {
+  const now = local(2025, 6, 15);
+
+  it('adds up contributions to this goal only, in the base currency', () => {
+    const progress = getGoalProgress(goal, [
+      contribution('1', local(2025, 6, 1), 100),
+      contribution('2', local(2025, 5, 1), 50, { currency: 'EUR' }),
+      contribution('3', local(2025, 5, 1), 999, { goalId: 'other' }),
+    ], toBase, now);
+
+    expect(progress.saved).toBe(200);
+    expect(progress.remaining).toBe(400);
+    expect(progress.count).toBe(2);
+  });
+
+  it('does not count contributions dated in the future yet', () => {
+    const progress = getGoalProgress(goal, [contribution('1', local(2025, 6, 16), 100)], toBase, now);
+    expect(progress.saved).toBe(0);
+    expect(progress.count).toBe(0);
+  });
+
+  it('projects completion from the average of the last months', () => {
+    const progress = getGoalProgress(goal, [
+      contribution('1', local(2025, 6, 1), 150),
+      contribution('2', local(2025, 4, 1), 150),
+      contribution('3', local(2025, 3, 15), 500), // Just outside the pace window
+    ], toBase, now);
+
+    expect(progress.pace).toBe(300 / GOAL_PACE_MONTHS);
+    expect(progress.remaining).toBe(0);
+    expect(progress.projected).toBeNull();
+
+    const slower = getGoalProgress(goal, [contribution('1', local(2025, 6, 1), 150)], toBase, now);
+    expect(slower.pace).toBe(50);
+    // 450 left at 50 a month
+    expect(slower.projected).toEqual(local(2026, 3, 15));
+  });
+
+  it('projects nothing at a pace of 0', () => {
+    const old = getGoalProgress(goal, [contribution('1', local(2024, 1, 1), 100)], toBase, now);
+    expect(old.pace).toBe(0);
+    expect(old.projected).toBeNull();
+
+    const none = getGoalProgress(goal, [], toBase, now);
+    expect(none.pace).toBe(0);
+    expect(none.projected).toBeNull();
+  });
+
+  it('projects from the end of a long month without skipping one', () => {
+    const progress = getGoalProgress(goal, [contribution('1', local(2025, 1, 15), 300)], toBase, local(2025, 1, 31));
+    expect(progress.projected).toEqual(local(2025, 4, 30));
+  });
+
+  it('spreads what is left over the months until the target date', () => {
+    const progress = getGoalProgress({ ...goal, targetDate: '2025-12-15' }, [contribution('1', local(2025, 6, 1), 0)], toBase, now);
+    expect(progress.due).toEqual(local(2025, 12, 15));
+    expect(progress.required).toBe(100);
+  });
+
+  it('needs everything now when less than a month is left', () => {
+    const progress = getGoalProgress({ ...goal, targetDate: '2025-07-01' }, [], toBase, now);
+    expect(progress.required).toBe(600);
+  });
+
+  it('asks for nothing once the target date has passed or the goal is reached', () => {
+    expect(getGoalProgress({ ...goal, targetDate: '2025-06-01' }, [], toBase, now).required).toBeNull();
+    const reached = getGoalProgress({ ...goal, targetDate: '2025-12-15' }, [contribution('1', local(2025, 6, 1), 700)], toBase, now);
+    expect(reached.remaining).toBe(0);
+    expect(reached.required).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+import { formatDateKey, getCycleStart, getPeriodBounds, parseDateKey } from '../periods';
+import { local } from './fixtures';
+
+// Tests run in New York time (see jest.global-setup.js), where daylight saving time
+// starts on 9 March 2025 and ends on 2 November 2025
+
+describe('getPeriodBounds', () => {
+  it('runs weeks from Sunday to Sunday, across months and years', () => {
+    expect(getPeriodBounds(local(2025, 1, 1, 12), 'week')).toEqual({ start: local(2024, 12, 29), end: local(2025, 1, 5) });
+    expect(getPeriodBounds(local(2025, 3, 2), 'week')).toEqual({ start: local(2025, 3, 2), end: local(2025, 3, 9) });
+    expect(getPeriodBounds(local(2025, 3, 8, 23), 'week')).toEqual({ start: local(2025, 3, 2), end: local(2025, 3, 9) });
+  });
+
+  it('keeps weeks on local midnight when the clocks change', () => {
+    const spring = getPeriodBounds(local(2025, 3, 12), 'week');
+    expect(spring).toEqual({ start: local(2025, 3, 9), end: local(2025, 3, 16) });
+    expect(spring.end - spring.start).toBe((7 * 24 - 1) * 60 * 60 * 1000);
+
+    const autumn = getPeriodBounds(local(2025, 11, 2, 1), 'week');
+    expect(autumn).toEqual({ start: local(2025, 11, 2), end: local(2025, 11, 9) });
+    expect(autumn.end - autumn.start).toBe((7 * 24 + 1) * 60 * 60 * 1000);
+  });
+
+  it('covers whole calendar months, including the 29th to the 31st', () => {
+    expect(getPeriodBounds(local(2025, 1, 31, 23), 'month')).toEqual({ start: local(2025, 1, 1), end: local(2025, 2, 1) });
+    expect(getPeriodBounds(local(2024, 2, 29), 'month')).toEqual({ start: local(2024, 2, 1), end: local(2024, 3, 1) });
+    expect(getPeriodBounds(local(2025, 11, 30), 'month')).toEqual({ start: local(2025, 11, 1), end: local(2025, 12, 1) });
+  });
+
+  it('groups months into calendar quarters and years', () => {
+    expect(getPeriodBounds(local(2025, 3, 31), 'quarter')).toEqual({ start: local(2025, 1, 1), end: local(2025, 4, 1) });
+    expect(getPeriodBounds(local(2025, 12, 31), 'quarter')).toEqual({ start: local(2025, 10, 1), end: local(2026, 1, 1) });
+    expect(getPeriodBounds(local(2025, 7, 4), 'year')).toEqual({ start: local(2025, 1, 1), end: local(2026, 1, 1) });
+  });
+
+  it('includes the whole last day of a custom range', () => {
+    const customRange = { from: local(2025, 3, 8, 15), to: local(2025, 3, 10, 8) };
+    expect(getPeriodBounds(local(2025, 6, 1), 'range', 1, customRange))
+      .toEqual({ start: local(2025, 3, 8), end: local(2025, 3, 11) });
+  });
+
+  it('shows a month while no custom range is set', () => {
+    expect(getPeriodBounds(local(2025, 6, 15), 'range', 1, null)).toEqual({ start: local(2025, 6, 1), end: local(2025, 7, 1) });
+  });
+});
+
+describe('payday-aligned months', () => {
+  it('start on the month start day and include the day before the next one', () => {
+    expect(getCycleStart(local(2025, 3, 25), 25)).toEqual(local(2025, 3, 25));
+    expect(getCycleStart(local(2025, 3, 24, 23), 25)).toEqual(local(2025, 2, 25));
+    expect(getPeriodBounds(local(2025, 3, 31), 'month', 25)).toEqual({ start: local(2025, 3, 25), end: local(2025, 4, 25) });
+  });
+
+  it('reach back into the previous year in early January', () => {
+    expect(getCycleStart(local(2025, 1, 10), 25)).toEqual(local(2024, 12, 25));
+  });
+
+  it('work with the 28th in February and in leap years', () => {
+    expect(getCycleStart(local(2025, 2, 27), 28)).toEqual(local(2025, 1, 28));
+    expect(getCycleStart(local(2025, 3, 1), 28)).toEqual(local(2025, 2, 28));
+    expect(getPeriodBounds(local(2024, 2, 29), 'month', 28)).toEqual({ start: local(2024, 2, 28), end: local(2024, 3, 28) });
+  });
+
+  it('are the whole period for months named after a month with 31 days', () => {
+    expect(getPeriodBounds(local(2025, 8, 31), 'month', 15)).toEqual({ start: local(2025, 8, 15), end: local(2025, 9, 15) });
+  });
+
+  it('group into quarters and years by the month they start in', () => {
+    expect(getPeriodBounds(local(2025, 1, 10), 'quarter', 25)).toEqual({ start: local(2024, 10, 25), end: local(2025, 1, 25) });
+    expect(getPeriodBounds(local(2025, 1, 10), 'year', 25)).toEqual({ start: local(2024, 1, 25), end: local(2025, 1, 25) });
+    expect(getPeriodBounds(local(2025, 1, 25), 'year', 25)).toEqual({ start: local(2025, 1, 25), end: local(2026, 1, 25) });
+  });
+
+  it('do not change how weeks are counted', () => {
+    expect(getPeriodBounds(local(2025, 3, 12), 'week', 25)).toEqual({ start: local(2025, 3, 9), end: local(2025, 3, 16) });
+  });
+
+  it('stay on local midnight across DST changes', () => {
+    const bounds = getPeriodBounds(local(2025, 3, 20), 'month', 5);
+    expect(bounds).toEqual({ start: local(2025, 3, 5), end: local(2025, 4, 5) });
+    expect(bounds.start.getHours()).toBe(0);
+    expect(bounds.end.getHours()).toBe(0);
+  });
+});
+
+describe('date keys', () => {
+  it('reads a key as the local midnight that starts the day', () => {
+    expect(parseDateKey('2025-03-09')).toEqual(local(2025, 3, 9));
+    expect(parseDateKey(' 2025-3-9 ')).toEqual(local(2025, 3, 9));
+  });
+
+  it('rejects text that is not a real day', () => {
+    expect(parseDateKey('2025-02-29')).toBeNull();
+    expect(parseDateKey('2025-13-01')).toBeNull();
+    expect(parseDateKey('09/03/2025')).toBeNull();
+    expect(parseDateKey('2025-03-09T10:00')).toBeNull();
+    expect(parseDateKey('')).toBeNull();
+  });
+
+  it('writes back the key it read, whatever the time of day', () => {
+    expect(formatDateKey(parseDateKey('2025-11-02'))).toBe('2025-11-02');
+    expect(formatDateKey(local(2025, 3, 9, 23, 59))).toBe('2025-03-09');
+  });
+});
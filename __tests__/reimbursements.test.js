@@ -0,0 +1,71 @@
+import { getReimbursementStatus, getReimbursements, getSettleEdits, getSettlement } from '../reimbursements';
+import { toBase } from './fixtures';
+
+const expense = (id, status, overrides = {}) => ({
+  id,
+  type: 'Expense',
+  amount: 10,
+  category: 'Travel',
+  dateISO: `2025-03-${String(id).padStart(2, '0')}T12:00:00.000Z`,
+  reimbursement: status ? { status, incomeId: null } : undefined,
+  ...overrides,
+});
+
+const income = { id: 'in', type: 'Income', amount: 45, category: 'Salary', dateISO: '2025-03-20T12:00:00.000Z' };
+
+describe('getReimbursementStatus', () => {
+  it('only reports a status for expenses', () => {
+    expect(getReimbursementStatus(expense('1', 'submitted'))).toBe('submitted');
+    expect(getReimbursementStatus(expense('2', null))).toBeNull();
+    expect(getReimbursementStatus({ ...income, reimbursement: { status: 'pending' } })).toBeNull();
+  });
+});
+
+describe('getReimbursements', () => {
+  it('sums what is still owed per status, newest first', () => {
+    const result = getReimbursements([
+      expense('1', 'pending'),
+      expense('2', 'submitted', { amount: 5, currency: 'EUR' }),
+      expense('3', 'paid', { amount: 99 }),
+      expense('4', null),
+      expense('5', 'pending', { amount: 2.5 }),
+    ], toBase);
+
+    expect(result.outstanding.map(t => t.id)).toEqual(['5', '2', '1']);
+    expect(result.paid.map(t => t.id)).toEqual(['3']);
+    expect(result.pending).toBe(12.5);
+    expect(result.submitted).toBe(10);
+    expect(result.total).toBe(22.5);
+  });
+
+  it('owes nothing once everything is paid', () => {
+    const result = getReimbursements([expense('1', 'paid')], toBase);
+    expect(result.total).toBe(0);
+    expect(result.outstanding).toEqual([]);
+  });
+});
+
+describe('getSettlement', () => {
+  it('reports a payment larger than the expenses as a positive difference', () => {
+    expect(getSettlement([expense('1', 'pending'), expense('2', 'pending', { amount: 30 })], income, toBase))
+      .toEqual({ owed: 40, difference: 5 });
+  });
+
+  it('reports a short payment as a negative difference, in the base currency', () => {
+    const result = getSettlement([expense('1', 'pending', { amount: 30, currency: 'EUR' })], income, toBase);
+    expect(result).toEqual({ owed: 60, difference: -15 });
+  });
+});
+
+describe('getSettleEdits', () => {
+  it('marks only the chosen expenses as paid by the income', () => {
+    const transactions = [expense('1', 'pending'), expense('2', 'submitted'), expense('3', 'pending')];
+    const edits = getSettleEdits(transactions, ['1', '2'], income);
+
+    expect(edits.map(e => e.before)).toEqual(transactions.slice(0, 2));
+    expect(edits.map(e => e.after.reimbursement)).toEqual([
+      { status: 'paid', incomeId: 'in' },
+      { status: 'paid', incomeId: 'in' },
+    ]);
+  });
+});
@@ -0,0 +1,384 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MIGRATIONS,
+  NewerSchemaError,
+  SCHEMA_KEY,
+  SCHEMA_VERSION,
+  STORAGE_KEYS,
+  loadWallet,
+  migrateWallet,
+  normalizeWallet,
+  repairWallet,
+  saveField,
+} from '../storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const transaction = (overrides = {}) => ({
+  id: '1',
+  type: 'Expense',
+  amount: 12.5,
+  category: 'Food',
+  note: '',
+  dateISO: '2025-03-14T12:00:00.000Z',
+  ...overrides,
+});
+
+const store = async (values) => {
+  await AsyncStorage.multiSet(Object.entries(values));
+};
+
+const read = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+describe('migrations', () => {
+  it('are ordered and end at the current schema version', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions[versions.length - 1]).toBe(SCHEMA_VERSION);
+    // Loans, goals, bills and people arrived in version 4; older builds must refuse such data
+    expect(SCHEMA_VERSION).toBe(4);
+  });
+
+  it('converts string amounts and drops displayDate from unversioned data', () => {
+    const data = migrateWallet({
+      transactions: [{ ...transaction(), amount: '9.99', displayDate: '14/03/2025' }],
+      recurringRules: [{ id: 'r1', amount: '5' }],
+      trash: [{ ...transaction({ id: '2' }), displayDate: '3/14/2025' }],
+    }, 0);
+
+    expect(data.transactions[0]).toEqual({ ...transaction(), amount: 9.99 });
+    expect(data.recurringRules[0].amount).toBe(5);
+    expect(data.trash[0]).not.toHaveProperty('displayDate');
+  });
+
+  it('turns category names into category objects', () => {
+    const data = migrateWallet({ categories: { Income: ['Salary'], Expense: ['Food', 'Pets'] } }, 2);
+
+    expect(data.categories.Income[0]).toMatchObject({ name: 'Salary', icon: '💼', archived: false });
+    expect(data.categories.Expense.map(c => c.name)).toEqual(['Food', 'Pets']);
+    expect(data.categories.Expense[1]).toEqual({ name: 'Pets', icon: '💸', color: expect.any(String), archived: false, parent: null });
+  });
+
+  it('only runs migrations newer than the stored version', () => {
+    const data = migrateWallet({ transactions: [{ ...transaction(), amount: '1', displayDate: 'x' }], categories: null }, 1);
+    expect(data.transactions[0].amount).toBe('1');
+    expect(data.transactions[0]).not.toHaveProperty('displayDate');
+  });
+
+  it('needs nothing from version 3 data, whose new fields are all optional', () => {
+    const data = { transactions: [transaction()], categories: null, goals: null };
+    expect(migrateWallet(data, 3)).toEqual(data);
+  });
+
+  it('leaves missing fields alone', () => {
+    expect(migrateWallet({ transactions: null, trash: null }, 0)).toEqual({ transactions: null, trash: null });
+  });
+});
+
+describe('repairWallet', () => {
+  it('drops records that cannot be repaired', () => {
+    const { data, dropped } = repairWallet({
+      transactions: [
+        transaction(),
+        transaction({ id: '2', dateISO: 'not a date' }),
+        transaction({ id: '3', amount: 'abc' }),
+        transaction({ id: '4', type: 'Refund' }),
+        transaction({ id: '5', type: 'Transfer' }),
+        null,
+      ],
+    });
+
+    expect(data.transactions.map(t => t.id)).toEqual(['1']);
+    expect(dropped).toBe(5);
+  });
+
+  it('fixes records that are only partly broken', () => {
+    const { data, dropped } = repairWallet({
+      transactions: [{ type: 'Income', amount: '-20', dateISO: '2025-01-01T00:00:00.000Z' }],
+    });
+
+    expect(dropped).toBe(0);
+    expect(data.transactions[0]).toMatchObject({ amount: 20, category: '', note: '' });
+    expect(typeof data.transactions[0].id).toBe('string');
+  });
+
+  it('cleans tags and drops lists that end up empty', () => {
+    const { data } = repairWallet({
+      transactions: [
+        transaction({ tags: [' Trip  to Lisbon ', 'Work', 'Work', '', 7] }),
+        transaction({ id: '2', tags: ['  '] }),
+        transaction({ id: '3', tags: 'Work' }),
+      ],
+    });
+
+    expect(data.transactions[0].tags).toEqual(['Trip to Lisbon', 'Work']);
+    expect(data.transactions[1]).not.toHaveProperty('tags');
+    expect(data.transactions[2]).not.toHaveProperty('tags');
+  });
+
+  it('keeps reimbursements only on expenses with a known status', () => {
+    const { data } = repairWallet({
+      transactions: [
+        transaction({ reimbursement: { status: 'paid', incomeId: 'i1' } }),
+        transaction({ id: '2', reimbursement: { status: 'submitted', incomeId: 'i1' } }),
+        transaction({ id: '3', reimbursement: { status: 'lost' } }),
+        transaction({ id: '4', type: 'Income', reimbursement: { status: 'pending' } }),
+      ],
+    });
+
+    expect(data.transactions[0].reimbursement).toEqual({ status: 'paid', incomeId: 'i1' });
+    expect(data.transactions[1].reimbursement).toEqual({ status: 'submitted', incomeId: null });
+    expect(data.transactions[2]).not.toHaveProperty('reimbursement');
+    expect(data.transactions[3]).not.toHaveProperty('reimbursement');
+  });
+
+  it('keeps receipt file names and drops anything that looks like a path', () => {
+    const { data } = repairWallet({
+      transactions: [
+        transaction({ receipts: ['a.jpg', 'a.jpg', '../b.jpg', '', null, 'c.png'] }),
+        transaction({ id: '2', receipts: ['/tmp/x.jpg'] }),
+      ],
+    });
+
+    expect(data.transactions[0].receipts).toEqual(['a.jpg', 'c.png']);
+    expect(data.transactions[1]).not.toHaveProperty('receipts');
+  });
+
+  it('repairs savings goals and keeps contribution links', () => {
+    const { data, dropped } = repairWallet({
+      transactions: [transaction({ goalId: 'g1' }), transaction({ id: '2', goalId: 5 })],
+      goals: [
+        { id: 'g1', name: 'Bike', target: '800', targetDate: '2025-09-01' },
+        { id: 'g2', name: 'Trip', target: 500, targetDate: 'soon' },
+        { id: 'g3', name: 'Nothing', target: 0 },
+        { id: 'g4', name: ' ', target: 10 },
+      ],
+    });
+
+    expect(data.goals).toEqual([
+      { id: 'g1', name: 'Bike', target: 800, targetDate: '2025-09-01' },
+      { id: 'g2', name: 'Trip', target: 500, targetDate: null },
+    ]);
+    expect(dropped).toBe(2);
+    expect(data.transactions[0].goalId).toBe('g1');
+    expect(data.transactions[1]).not.toHaveProperty('goalId');
+  });
+
+  it('repairs bills and drops those without a name, amount or due date', () => {
+    const bill = { id: 'b1', name: 'Rent', amount: '950', category: 'Bills', startDate: '2025-04-01', frequency: 'monthly', remindDays: 3, paidCount: 2 };
+    const { data, dropped } = repairWallet({
+      bills: [
+        bill,
+        { id: 'b2', name: 'Gym', amount: 30, startDate: '2025-04-05', frequency: 'hourly', remindDays: 99, paidCount: -1 },
+        { id: 'b3', name: 'Water', amount: 20, startDate: '04/01/2025' },
+        { id: 'b4', name: '', amount: 20, startDate: '2025-04-01' },
+      ],
+    });
+
+    expect(data.bills).toEqual([
+      { ...bill, amount: 950 },
+      { id: 'b2', name: 'Gym', amount: 30, category: '', startDate: '2025-04-05', frequency: 'none', remindDays: 1, paidCount: 0 },
+    ]);
+    expect(dropped).toBe(2);
+  });
+
+  it('keeps loans and repayments that name a person', () => {
+    const { data, dropped } = repairWallet({
+      transactions: [
+        transaction({ type: 'Lent', category: '', personId: 'p1' }),
+        transaction({ id: '2', type: 'Borrowed', personId: 'p1', repayment: true, splits: [{ category: 'Food', amount: 1 }, { category: 'Bills', amount: 2 }] }),
+        transaction({ id: '3', type: 'Lent' }),
+        transaction({ id: '4', repayment: true }),
+      ],
+      people: [{ id: 'p1', name: 'Sam' }, { id: 'p2', name: '' }],
+    });
+
+    expect(data.transactions.map(t => t.id)).toEqual(['1', '2', '4']);
+    expect(data.transactions[0].repayment).toBe(false);
+    expect(data.transactions[1]).toMatchObject({ repayment: true, amount: 12.5 });
+    expect(data.transactions[1]).not.toHaveProperty('splits');
+    expect(data.transactions[2]).not.toHaveProperty('repayment');
+    expect(data.people).toEqual([{ id: 'p1', name: 'Sam' }]);
+    expect(dropped).toBe(2);
+  });
+
+  it('keeps statement days only on credit cards that have both', () => {
+    const { data } = repairWallet({
+      accounts: [
+        { id: 'a1', name: 'Visa', type: 'credit', closingDay: 20, dueDay: 12 },
+        { id: 'a2', name: 'Amex', type: 'credit', closingDay: 31, dueDay: 12 },
+        { id: 'a3', name: 'Bank', type: 'checking', closingDay: 20, dueDay: 12 },
+      ],
+    });
+
+    expect(data.accounts[0]).toMatchObject({ closingDay: 20, dueDay: 12 });
+    expect(data.accounts[1]).not.toHaveProperty('closingDay');
+    expect(data.accounts[1]).not.toHaveProperty('dueDay');
+    expect(data.accounts[2]).not.toHaveProperty('closingDay');
+  });
+
+  it('keeps the first of several records sharing an id', () => {
+    const { data, dropped } = repairWallet({
+      transactions: [transaction({ note: 'first' }), transaction({ note: 'second' })],
+    });
+
+    expect(data.transactions).toHaveLength(1);
+    expect(data.transactions[0].note).toBe('first');
+    expect(dropped).toBe(1);
+  });
+
+  it('cleans settings and falls back to null when unusable', () => {
+    const { data } = repairWallet({
+      categories: { Income: ['Salary', 'Salary', 3], Expense: 'Food' },
+      budgets: { overall: '-5', categories: { Food: '300', Bills: 0 } },
+      currencySettings: { base: '', rates: {} },
+      accounts: [],
+      theme: 'neon',
+      monthStartDay: 31,
+    });
+
+    expect(data.categories.Income.map(c => c.name)).toEqual(['Salary']);
+    expect(data.categories.Expense).toEqual([]);
+    expect(data.budgets).toEqual({ overall: null, categories: { Food: 300 } });
+    expect(data.currencySettings).toBeNull();
+    expect(data.accounts).toBeNull();
+    expect(data.theme).toBeNull();
+    expect(data.monthStartDay).toBeNull();
+  });
+
+  it('keeps a month start day that every month has', () => {
+    expect(repairWallet({ monthStartDay: 25 }).data.monthStartDay).toBe(25);
+    expect(repairWallet({ monthStartDay: '25' }).data.monthStartDay).toBeNull();
+  });
+
+  it('keeps subcategory parents that are names of other categories', () => {
+    const { data } = repairWallet({
+      categories: {
+        Income: [],
+        Expense: [{ name: 'Food' }, { name: 'Groceries', parent: 'Food' }, { name: 'Loop', parent: 'Loop' }, { name: 'Odd', parent: 4 }],
+      },
+    });
+
+    expect(data.categories.Expense.map(c => c.parent)).toEqual([null, 'Food', null, null]);
+  });
+
+  it('repairs split lines and recomputes the total from them', () => {
+    const { data } = repairWallet({
+      transactions: [
+        transaction({
+          amount: 99,
+          category: 'Bills',
+          splits: [
+            { category: 'Food', amount: '7.5', note: 'Bread' },
+            { category: 'Shopping', amount: 5 },
+            { category: '', amount: 3 },
+          ],
+        }),
+        transaction({ id: '2', splits: [{ category: 'Food', amount: 12.5 }] }),
+      ],
+    });
+
+    expect(data.transactions[0]).toMatchObject({
+      amount: 12.5,
+      category: 'Food',
+      splits: [
+        { category: 'Food', amount: 7.5, note: 'Bread' },
+        { category: 'Shopping', amount: 5, note: '' },
+      ],
+    });
+    expect(data.transactions[1]).not.toHaveProperty('splits');
+  });
+
+  it('gives trashed records a deletion date', () => {
+    const { data } = repairWallet({ trash: [transaction()] });
+    expect(isNaN(new Date(data.trash[0].deletedAt).getTime())).toBe(false);
+  });
+});
+
+describe('loadWallet', () => {
+  it('returns nulls on a fresh install and records the schema version', async () => {
+    const { data, dropped, migrated } = await loadWallet();
+
+    expect(data.transactions).toBeNull();
+    expect(data.theme).toBeNull();
+    expect(dropped).toBe(0);
+    expect(migrated).toBe(true);
+    expect(await AsyncStorage.getItem(SCHEMA_KEY)).toBe(String(SCHEMA_VERSION));
+  });
+
+  it('migrates legacy data and writes it back', async () => {
+    await store({
+      [STORAGE_KEYS.transactions]: JSON.stringify([{ ...transaction(), displayDate: '14/03/2025' }]),
+      [STORAGE_KEYS.theme]: 'dark',
+    });
+
+    const { data, migrated } = await loadWallet();
+
+    expect(migrated).toBe(true);
+    expect(data.theme).toBe('dark');
+    expect(data.transactions).toEqual([transaction()]);
+    expect(await read(STORAGE_KEYS.transactions)).toEqual([transaction()]);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.theme)).toBe('dark');
+  });
+
+  it('does not rewrite data that is current and healthy', async () => {
+    await store({
+      [STORAGE_KEYS.transactions]: JSON.stringify([transaction()]),
+      [SCHEMA_KEY]: String(SCHEMA_VERSION),
+    });
+    AsyncStorage.multiSet.mockClear();
+
+    const { migrated } = await loadWallet();
+
+    expect(migrated).toBe(false);
+    expect(AsyncStorage.multiSet).not.toHaveBeenCalled();
+  });
+
+  it('counts unreadable JSON as damaged', async () => {
+    await store({
+      [STORAGE_KEYS.transactions]: '[{"id": "1"',
+      [STORAGE_KEYS.categories]: JSON.stringify({ Income: ['Salary'], Expense: ['Food'] }),
+      [SCHEMA_KEY]: String(SCHEMA_VERSION),
+    });
+
+    const { data, dropped } = await loadWallet();
+
+    expect(data.transactions).toBeNull();
+    expect(data.categories.Expense.map(c => c.name)).toEqual(['Food']);
+    expect(dropped).toBe(1);
+  });
+
+  it('refuses data written by a newer version of the app', async () => {
+    await store({ [SCHEMA_KEY]: String(SCHEMA_VERSION + 1) });
+    await expect(loadWallet()).rejects.toThrow(NewerSchemaError);
+  });
+});
+
+describe('saveField', () => {
+  it('stores JSON for data and plain text for the theme', async () => {
+    await saveField('transactions', [transaction()]);
+    await saveField('theme', 'light');
+
+    expect(await read(STORAGE_KEYS.transactions)).toEqual([transaction()]);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.theme)).toBe('light');
+  });
+});
+
+describe('normalizeWallet', () => {
+  it('brings old backup data to the current shape', () => {
+    const data = normalizeWallet({
+      transactions: [{ ...transaction(), amount: '3', displayDate: '14/03/2025' }],
+      categories: { Income: [], Expense: ['Food'] },
+    });
+
+    expect(data.transactions).toEqual([{ ...transaction(), amount: 3 }]);
+    expect(data.accounts).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+import { cleanTags, getKnownTags, getTagReport, parseTags } from '../tags';
+import { toBase } from './fixtures';
+
+const transaction = (overrides = {}) => ({
+  id: '1',
+  type: 'Expense',
+  amount: 10,
+  category: 'Food',
+  dateISO: '2025-03-14T12:00:00.000Z',
+  ...overrides,
+});
+
+describe('cleanTags', () => {
+  it('trims, collapses whitespace and drops blanks and repeats', () => {
+    expect(cleanTags(['  trip ', 'trip', 'work  lunch', '', 3])).toEqual(['trip', 'work lunch']);
+  });
+
+  it('returns null when nothing is left', () => {
+    expect(cleanTags(['  '])).toBeNull();
+    expect(cleanTags('trip')).toBeNull();
+  });
+});
+
+describe('parseTags', () => {
+  it('splits on semicolons, commas and pipes', () => {
+    expect(parseTags('trip; work,lunch | trip')).toEqual(['trip', 'work', 'lunch']);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+});
+
+describe('getKnownTags', () => {
+  it('orders tags by use, then by name', () => {
+    const items = [
+      transaction({ tags: ['b', 'a'] }),
+      transaction({ tags: ['c'] }),
+      transaction({ tags: ['c', 'a'] }),
+      transaction(),
+    ];
+    expect(getKnownTags(items)).toEqual(['a', 'c', 'b']);
+  });
+});
+
+describe('getTagReport', () => {
+  const all = { from: undefined, to: undefined };
+
+  it('counts a transaction fully towards each of its tags', () => {
+    const report = getTagReport([
+      transaction({ amount: 30, tags: ['trip', 'work'] }),
+      transaction({ id: '2', type: 'Income', amount: 50, category: 'Salary', tags: ['work'] }),
+    ], all, toBase);
+
+    expect(report).toEqual([
+      { tag: 'work', count: 2, income: 50, expense: 30, net: 20 },
+      { tag: 'trip', count: 1, income: 0, expense: 30, net: -30 },
+    ]);
+  });
+
+  it('converts to the base currency and leaves out transfers and loans', () => {
+    const report = getTagReport([
+      transaction({ amount: 10, currency: 'EUR', tags: ['trip'] }),
+      transaction({ id: '2', type: 'Transfer', toAccountId: 'b', tags: ['trip'] }),
+      transaction({ id: '3', type: 'Lent', personId: 'p1', tags: ['trip'] }),
+    ], all, toBase);
+
+    expect(report).toEqual([{ tag: 'trip', count: 1, income: 0, expense: 20, net: -20 }]);
+  });
+
+  it('includes both ends of the range', () => {
+    const range = { from: new Date(2025, 2, 1), to: new Date(2025, 2, 31, 23, 59, 59, 999) };
+    const report = getTagReport([
+      transaction({ id: '1', dateISO: new Date(2025, 2, 1).toISOString(), tags: ['t'] }),
+      transaction({ id: '2', dateISO: new Date(2025, 2, 31, 23, 59).toISOString(), tags: ['t'] }),
+      transaction({ id: '3', dateISO: new Date(2025, 3, 1).toISOString(), tags: ['t'] }),
+      transaction({ id: '4', dateISO: new Date(2025, 1, 28, 23, 59).toISOString(), tags: ['t'] }),
+    ], range, toBase);
+
+    expect(report).toEqual([{ tag: 't', count: 2, income: 0, expense: 20, net: -20 }]);
+  });
+
+  it('is empty when nothing is tagged', () => {
+    expect(getTagReport([transaction()], all, toBase)).toEqual([]);
+  });
+});
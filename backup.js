@@ -0,0 +1,160 @@
+// --- Whole-wallet JSON backups ---
+
+export const BACKUP_APP = 'spendy';
+// Version 2 stores categories as objects, version 3 adds loans, goals, bills and people.
+// Older backups still restore.
+export const BACKUP_VERSION = 3;
+
+// Category lists exist for these types; transfers have no category
+const TYPES = ['Income', 'Expense'];
+const TRANSACTION_TYPES = [...TYPES, 'Transfer', 'Lent', 'Borrowed'];
+
+// receipts maps receipt file names to their base64 contents so photos move with the backup
+export const createBackup = (data, receipts = {}) => ({
+  app: BACKUP_APP,
+  version: BACKUP_VERSION,
+  createdAt: new Date().toISOString(),
+  data,
+  receipts,
+});
+
+const isValidTransaction = (t) => (
+  t !== null &&
+  typeof t === 'object' &&
+  typeof t.id === 'string' &&
+  TRANSACTION_TYPES.includes(t.type) &&
+  (t.type === 'Transfer' ? typeof t.toAccountId === 'string' : typeof t.category === 'string') &&
+  (t.type === 'Lent' || t.type === 'Borrowed' ? typeof t.personId === 'string' : true) &&
+  Number.isFinite(Number(t.amount)) &&
+  !isNaN(new Date(t.dateISO).getTime())
+);
+
+// Returns a list of problems, empty when the backup can be restored
+export const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object' || backup.app !== BACKUP_APP) {
+    return ['This file is not a Spendy backup.'];
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return [`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION}). Please update the app.`];
+  }
+
+  const errors = [];
+  const { data } = backup;
+  if (!data || typeof data !== 'object') {
+    return ['The backup contains no data.'];
+  }
+
+  if (!Array.isArray(data.transactions)) {
+    errors.push('Transactions are missing.');
+  } else {
+    const invalid = data.transactions.filter(t => !isValidTransaction(t)).length;
+    if (invalid > 0) errors.push(`${invalid} transactions are malformed.`);
+  }
+
+  if (!data.categories || !TYPES.every(type => Array.isArray(data.categories[type]))) {
+    errors.push('Categories are missing or malformed.');
+  }
+
+  if (data.recurringRules !== undefined && !Array.isArray(data.recurringRules)) {
+    errors.push('Recurring rules are malformed.');
+  }
+
+  if (data.accounts !== undefined && !Array.isArray(data.accounts)) {
+    errors.push('Accounts are malformed.');
+  }
+
+  if (data.goals !== undefined && !Array.isArray(data.goals)) {
+    errors.push('Savings goals are malformed.');
+  }
+
+  if (data.bills !== undefined && !Array.isArray(data.bills)) {
+    errors.push('Bills are malformed.');
+  }
+
+  if (data.people !== undefined && !Array.isArray(data.people)) {
+    errors.push('People are malformed.');
+  }
+
+  const { receipts } = backup;
+  if (receipts !== undefined && (!receipts || typeof receipts !== 'object' || Object.values(receipts).some(r => typeof r !== 'string'))) {
+    errors.push('Receipt photos are malformed.');
+  }
+
+  return errors;
+};
+
+const unionBy = (key) => (current, incoming) => {
+  const keys = new Set(current.map(item => item[key]));
+  return [...current, ...incoming.filter(item => !keys.has(item[key]))];
+};
+const unionById = unionBy('id');
+const unionByName = unionBy('name');
+
+// Keeps everything that exists today and adds whatever only the backup has.
+// Both sides must already be in the current storage shape.
+export const mergeBackupData = (current, incoming) => ({
+  ...incoming,
+  ...current,
+  transactions: unionById(current.transactions, incoming.transactions),
+  categories: {
+    ...current.categories,
+    Income: unionByName(current.categories.Income, incoming.categories.Income),
+    Expense: unionByName(current.categories.Expense, incoming.categories.Expense),
+  },
+  recurringRules: unionById(current.recurringRules || [], incoming.recurringRules || []),
+  accounts: unionById(current.accounts || [], incoming.accounts || []),
+  goals: unionById(current.goals || [], incoming.goals || []),
+  bills: unionById(current.bills || [], incoming.bills || []),
+  people: unionById(current.people || [], incoming.people || []),
+  budgets: incoming.budgets
+    ? {
+      overall: current.budgets.overall || incoming.budgets.overall || null,
+      categories: { ...incoming.budgets.categories, ...current.budgets.categories },
+    }
+    : current.budgets,
+});
+
+const countByIds = (before = [], after = []) => {
+  const beforeById = new Map(before.map(item => [item.id, JSON.stringify(item)]));
+  const afterIds = new Set(after.map(item => item.id));
+  return {
+    added: after.filter(item => !beforeById.has(item.id)).length,
+    removed: before.filter(item => !afterIds.has(item.id)).length,
+    updated: after.filter(item => beforeById.has(item.id) && beforeById.get(item.id) !== JSON.stringify(item)).length,
+  };
+};
+
+// Human readable lines describing what a restore changed
+export const describeChanges = (before, after) => {
+  const lines = [];
+  const transactions = countByIds(before.transactions, after.transactions);
+  const rules = countByIds(before.recurringRules, after.recurringRules);
+
+  const describe = (label, counts) => {
+    const parts = [];
+    if (counts.added) parts.push(`${counts.added} added`);
+    if (counts.updated) parts.push(`${counts.updated} updated`);
+    if (counts.removed) parts.push(`${counts.removed} removed`);
+    if (parts.length > 0) lines.push(`${label}: ${parts.join(', ')}`);
+  };
+  describe('Transactions', transactions);
+  describe('Recurring rules', rules);
+  describe('Accounts', countByIds(before.accounts, after.accounts));
+  describe('Savings goals', countByIds(before.goals, after.goals));
+  describe('Bills', countByIds(before.bills, after.bills));
+  describe('People', countByIds(before.people, after.people));
+
+  const categoryChanges = TYPES.reduce((acc, type) => {
+    const beforeNames = new Set(before.categories[type].map(c => c.name));
+    const afterNames = new Set(after.categories[type].map(c => c.name));
+    acc.added += after.categories[type].filter(c => !beforeNames.has(c.name)).length;
+    acc.removed += before.categories[type].filter(c => !afterNames.has(c.name)).length;
+    return acc;
+  }, { added: 0, removed: 0, updated: 0 });
+  describe('Categories', categoryChanges);
+
+  if (JSON.stringify(before.budgets) !== JSON.stringify(after.budgets)) lines.push('Budgets updated');
+  if (before.theme !== after.theme) lines.push(`Theme set to ${after.theme}`);
+
+  return lines.length > 0 ? lines : ['Nothing changed.'];
+};
@@ -0,0 +1,45 @@
+// --- Bills: due dates, the Upcoming list and reminder times ---
+// A bill has paid its first paidCount occurrences from startDate; the next one is due.
+import { getOccurrenceDate, parseDateKey } from './periods';
+
+// Reminders go off at this hour on the reminder day
+export const BILL_REMINDER_HOUR = 9;
+
+// The Upcoming section covers this many days ahead
+export const UPCOMING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// The next unpaid due date at the start of its day; null once a one-off bill is paid
+export const getBillDueDate = (bill) => {
+  if (bill.frequency === 'none' && bill.paidCount > 0) return null;
+  const start = parseDateKey(bill.startDate);
+  return startOfDay(getOccurrenceDate({ startDateISO: start.toISOString(), frequency: bill.frequency }, bill.paidCount));
+};
+
+// Calendar days from now until date, negative once it has passed. Rounding absorbs the hour
+// a day gains or loses when the clocks change.
+export const getDaysUntil = (date, now = new Date()) => Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+
+// Unpaid bills due in the next UPCOMING_DAYS, overdue ones included, soonest first
+export const getUpcomingBills = (bills, now = new Date()) => bills
+  .map(bill => ({ bill, due: getBillDueDate(bill) }))
+  .filter(({ due }) => due && getDaysUntil(due, now) <= UPCOMING_DAYS)
+  .sort((a, b) => a.due - b.due);
+
+// remindDays before the due date, at BILL_REMINDER_HOUR
+export const getReminderDate = (bill, due) => (
+  new Date(due.getFullYear(), due.getMonth(), due.getDate() - bill.remindDays, BILL_REMINDER_HOUR)
+);
+
+// One reminder per bill for its next due date, leaving out those whose time has passed
+export const getBillReminders = (bills, now = new Date()) => bills
+  .map(bill => {
+    const due = getBillDueDate(bill);
+    if (!due) return null;
+    const date = getReminderDate(bill, due);
+    return date > now ? { bill, due, date } : null;
+  })
+  .filter(Boolean);
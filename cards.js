@@ -0,0 +1,42 @@
+// --- Credit card statements ---
+// A statement closes at the end of the card's closingDay each month and is due on the
+// first dueDay after that. Both days are 1 to 28, so every month has them.
+
+// The minimum payment is this share of the statement balance, but no less than the floor
+// (in the base currency) unless the whole balance is smaller
+export const CARD_MINIMUM_RATE = 0.02;
+export const CARD_MINIMUM_FLOOR = 25;
+
+// The last closed statement of a credit card: what was owed when it closed, the minimum
+// payment, when both are due and what is left of them after payments made since.
+// getEffect(t, accountId) is how a transaction moves the card's balance in the base currency.
+// Null for accounts that are not credit cards with statement days.
+export const getCardStatement = (account, transactions, getEffect, now = new Date()) => {
+  if (!account || account.type !== 'credit' || !account.closingDay || !account.dueDay) return null;
+  // A statement closing today is still open until the day ends
+  let closing = new Date(now.getFullYear(), now.getMonth(), account.closingDay, 23, 59, 59, 999);
+  if (closing > now) closing = new Date(now.getFullYear(), now.getMonth() - 1, account.closingDay, 23, 59, 59, 999);
+  let due = new Date(closing.getFullYear(), closing.getMonth(), account.dueDay);
+  if (due <= closing) due = new Date(closing.getFullYear(), closing.getMonth() + 1, account.dueDay);
+
+  // A card's balance is negative while money is owed on it
+  const opening = Number(account.openingBalance) || 0;
+  const balanceAt = (list) => list.reduce((acc, t) => acc + getEffect(t, account.id), opening);
+  const owedAtClosing = -balanceAt(transactions.filter(t => new Date(t.dateISO) <= closing));
+  // Payments and refunds since closing go towards the statement
+  const paid = transactions
+    .filter(t => new Date(t.dateISO) > closing && new Date(t.dateISO) <= now)
+    .reduce((acc, t) => acc + Math.max(getEffect(t, account.id), 0), 0);
+
+  const balance = Math.max(owedAtClosing, 0);
+  const minimum = Math.min(balance, Math.max(balance * CARD_MINIMUM_RATE, CARD_MINIMUM_FLOOR));
+  return {
+    closing,
+    due,
+    balance,
+    minimum,
+    remaining: Math.max(balance - paid, 0),
+    minimumLeft: Math.max(minimum - paid, 0),
+    current: Math.max(-balanceAt(transactions), 0),
+  };
+};
@@ -0,0 +1,77 @@
+// --- Category objects shared by the app, storage and backups ---
+
+export const CATEGORY_COLORS = ['#4A90E2', '#E74C3C', '#F5A623', '#50E3C2', '#9B59B6', '#2ECC71', '#E67E22', '#34495E', '#FF6B9D', '#1ABC9C'];
+
+export const CATEGORY_ICONS = ['💰', '💸', '💼', '🎁', '💻', '🍔', '🛒', '🚌', '🚗', '⛽', '🛍️', '🧾', '🏠', '💡', '📱', '🎬', '🎮', '✈️', '🏥', '💊', '📚', '🐶', '👶', '🎉', '☕', '🍺', '💪', '🔧', '📈', '🏦'];
+
+const DEFAULT_ICONS = { Income: '💰', Expense: '💸' };
+
+// Transactions refer to categories by name, so names are unique within a type.
+// parent is the name of the category this one rolls up into (one level deep), or null.
+export const createCategory = (name, type, index = 0, overrides = {}) => ({
+  name,
+  icon: DEFAULT_ICONS[type] || '🏷️',
+  color: CATEGORY_COLORS[index % CATEGORY_COLORS.length],
+  archived: false,
+  parent: null,
+  ...overrides,
+});
+
+export const DEFAULT_CATEGORIES = {
+  Income: [
+    createCategory('Salary', 'Income', 5, { icon: '💼' }),
+    createCategory('Gift', 'Income', 4, { icon: '🎁' }),
+    createCategory('Freelance', 'Income', 0, { icon: '💻' }),
+  ],
+  Expense: [
+    createCategory('Food', 'Expense', 2, { icon: '🍔' }),
+    createCategory('Transport', 'Expense', 0, { icon: '🚌' }),
+    createCategory('Shopping', 'Expense', 8, { icon: '🛍️' }),
+    createCategory('Bills', 'Expense', 1, { icon: '🧾' }),
+  ],
+};
+
+export const getCategoryNames = (list) => list.map(c => c.name);
+
+// Adds categories for names the list does not know yet, keeping the existing order
+export const withCategoryNames = (list, names, type) => {
+  const known = new Set(getCategoryNames(list));
+  const added = [...new Set(names)]
+    .filter(name => name && !known.has(name))
+    .map((name, index) => createCategory(name, type, list.length + index));
+  return added.length > 0 ? [...list, ...added] : list;
+};
+
+// The top-level category a name rolls up into; a missing parent makes the category top-level
+export const getTopCategoryName = (list, name) => {
+  const category = list.find(c => c.name === name);
+  if (!category || !category.parent || !list.some(c => c.name === category.parent)) return name;
+  return category.parent;
+};
+
+export const getChildCategories = (list, name) => list.filter(c => c.parent === name && getTopCategoryName(list, c.name) === name);
+
+// Top-level categories in their order, each followed by its children
+export const sortByHierarchy = (list) => list
+  .filter(c => getTopCategoryName(list, c.name) === c.name)
+  .flatMap(c => [c, ...getChildCategories(list, c.name)]);
+
+// Moves a category by a number of places among its active siblings; archived categories stay last
+export const moveCategory = (list, name, steps) => {
+  const moving = list.find(c => c.name === name);
+  if (!moving) return list;
+
+  const parent = getTopCategoryName(list, name) === name ? null : moving.parent;
+  const isSibling = (c) => !c.archived && (getTopCategoryName(list, c.name) === c.name ? null : c.parent) === parent;
+  const siblings = list.filter(isSibling);
+  const from = siblings.indexOf(moving);
+  const to = Math.max(0, Math.min(siblings.length - 1, from + steps));
+  if (from < 0 || from === to) return list;
+
+  // Siblings trade places within the slots they already occupy
+  const reordered = [...siblings];
+  reordered.splice(to, 0, ...reordered.splice(from, 1));
+  let next = 0;
+  const result = list.map(c => (isSibling(c) ? reordered[next++] : c));
+  return [...result.filter(c => !c.archived), ...result.filter(c => c.archived)];
+};
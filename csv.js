@@ -0,0 +1,205 @@
+// --- CSV helpers for transaction export and import ---
+import { isDebt } from './debts';
+import { formatDateKey } from './periods';
+import { TAG_SEPARATOR, getTags, parseTags } from './tags';
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+export const AMOUNT_FORMATS = ['1,234.56', '1.234,56'];
+
+// Header names we recognise when guessing the column mapping
+const COLUMN_HINTS = {
+  date: ['date', 'booking date', 'transaction date', 'posted', 'value date'],
+  amount: ['amount', 'value', 'sum', 'total'],
+  type: ['type', 'direction', 'debit/credit'],
+  category: ['category', 'group'],
+  currency: ['currency', 'ccy'],
+  account: ['account', 'from account'],
+  toAccount: ['to account'],
+  note: ['note', 'notes', 'description', 'memo', 'details', 'payee', 'reference'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+};
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\n');
+
+export const EXPORT_HEADERS = ['Date', 'Time', 'Type', 'Category', 'Amount', 'Currency', 'Account', 'To Account', 'Note', 'Tags'];
+
+// Rows matching EXPORT_HEADERS, oldest first. Split transactions export one row per line so
+// every row has a single category; loans put the person's name in the category column.
+export const getExportRows = (transactions, { base, getAccountName, getToAccountName, getPersonName }) => [...transactions]
+  .sort((a, b) => new Date(a.dateISO) - new Date(b.dateISO))
+  .flatMap(t => {
+    const date = new Date(t.dateISO);
+    const lines = Array.isArray(t.splits) && t.splits.length > 0
+      ? t.splits.map(s => ({ ...s, note: s.note || t.note }))
+      : [t];
+    return lines.map(line => [
+      formatDateKey(date),
+      date.toTimeString().slice(0, 5),
+      t.repayment ? `${t.type} Repayment` : t.type,
+      isDebt(t) ? getPersonName(t.personId) : line.category,
+      Number(line.amount).toFixed(2),
+      t.currency || base,
+      getAccountName(t),
+      t.type === 'Transfer' ? getToAccountName(t) : '',
+      line.note || '',
+      getTags(t).join(TAG_SEPARATOR),
+    ]);
+  });
+
+// Bank exports from European locales commonly use semicolons or tabs
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  const counts = [',', ';', '\t'].map(d => ({ d, count: firstLine.split(d).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].d;
+};
+
+export const parseCSV = (text) => {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines (including a leading byte order mark)
+  return rows
+    .map((r, index) => (index === 0 && r[0] ? [r[0].replace(/^\uFEFF/, ''), ...r.slice(1)] : r))
+    .filter(r => r.some(c => c.trim() !== ''));
+};
+
+export const guessColumns = (headers) => {
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const exact = Object.values(COLUMN_HINTS).flat();
+  const mapping = {};
+  Object.entries(COLUMN_HINTS).forEach(([field, hints]) => {
+    const index = normalized.findIndex(h => hints.includes(h));
+    // A header that is exactly another field's name belongs to that field, so 'Account'
+    // does not also claim 'To Account'
+    mapping[field] = index >= 0
+      ? index
+      : normalized.findIndex(h => !exact.includes(h) && hints.some(hint => h.includes(hint)));
+  });
+  // -1 means "not mapped"
+  return mapping;
+};
+
+const splitDate = (value) => String(value).trim().split(/[T\s]/)[0].split(/[-/.]/).map(Number);
+
+export const detectDateFormat = (values) => {
+  const parts = values.map(splitDate).filter(p => p.length === 3 && p.every(n => !isNaN(n)));
+  if (parts.length === 0) return DATE_FORMATS[0];
+  if (parts.every(p => p[0] > 31)) return 'YYYY-MM-DD';
+  if (parts.some(p => p[0] > 12)) return 'DD/MM/YYYY';
+  if (parts.some(p => p[1] > 12)) return 'MM/DD/YYYY';
+  // Ambiguous (every day is <= 12), fall back to the device's month/day order
+  const sample = new Date(2000, 10, 22).toLocaleDateString();
+  return sample.indexOf('22') < sample.indexOf('11') ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+};
+
+// Returns a Date at noon local time so time zones don't shift the day, or null
+export const parseDate = (value, format) => {
+  const parts = splitDate(value);
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+  let year;
+  let month;
+  let day;
+  if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+  else if (format === 'DD/MM/YYYY') [day, month, year] = parts;
+  else [month, day, year] = parts;
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, month - 1, day, 12);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+};
+
+export const detectAmountFormat = (values) => {
+  // A comma followed by one or two trailing digits reads as a decimal comma
+  const decimalComma = values.some(v => /,\d{1,2}\s*\)?$/.test(String(v).trim()) && !/\.\d{1,2}\s*\)?$/.test(String(v).trim()));
+  return decimalComma ? '1.234,56' : '1,234.56';
+};
+
+// Returns a signed number, or null when the cell is not a number
+export const parseAmount = (value, format) => {
+  let text = String(value).trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  text = text.replace(/[^\d.,]/g, '');
+  text = format === '1.234,56'
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Reads one row through the column mapping. The amount comes back unsigned with its sign
+// folded into the type; currency is null when the row has no currency code. Account names
+// are returned as written, toAccount only for transfers. Loans read the person's name from
+// the category column, the way getExportRows writes it.
+export const readImportRow = (row, { mapping, dateFormat, amountFormat }) => {
+  const cell = (field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+  const signedAmount = parseAmount(cell('amount'), amountFormat);
+  const typeText = cell('type').toLowerCase();
+
+  let type = signedAmount < 0 ? 'Expense' : 'Income';
+  if (/\btransfer\b/.test(typeText)) type = 'Transfer';
+  else if (/\blent\b/.test(typeText)) type = 'Lent';
+  else if (/\bborrowed\b/.test(typeText)) type = 'Borrowed';
+  else if (/\b(expense|debit|out|withdrawal|payment)\b/.test(typeText)) type = 'Expense';
+  else if (/\b(income|credit|in|deposit)\b/.test(typeText)) type = 'Income';
+
+  const loan = isDebt({ type });
+  const currency = cell('currency').toUpperCase();
+  return {
+    date: parseDate(cell('date'), dateFormat),
+    amount: signedAmount === null ? null : Math.abs(signedAmount),
+    type,
+    repayment: loan && /\brepayment\b/.test(typeText),
+    category: loan ? '' : cell('category'),
+    person: loan ? cell('category') : '',
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : null,
+    account: cell('account'),
+    toAccount: type === 'Transfer' ? cell('toAccount') : '',
+    note: cell('note'),
+    tags: parseTags(cell('tags')),
+  };
+};
@@ -0,0 +1,23 @@
+// --- Currencies: converting amounts into the base currency ---
+// settings is { base, rates }, where rates hold the value of one unit of each other currency
+// in the base currency. Records without a currency are in the base currency.
+// Modules that add up amounts take a toBase(record) function returning the record's amount
+// in the base currency, so they stay free of settings; the app passes convertToBase.
+
+// Whether the record's amount can be converted to the base currency
+export const hasRate = (item, settings) => (
+  !item.currency || item.currency === settings.base || settings.rates[item.currency] > 0
+);
+
+// The amount in the base currency. An amount whose currency has no rate is left out (0)
+// rather than taken 1:1, and hasRate or getMissingRates tell the user about it.
+export const convertToBase = (item, settings) => {
+  const amount = Number(item.amount);
+  if (!item.currency || item.currency === settings.base) return amount;
+  return hasRate(item, settings) ? amount * settings.rates[item.currency] : 0;
+};
+
+// Currencies the records use that have no rate, with how many records use each: { GBP: 2 }
+export const getMissingRates = (items, settings) => items
+  .filter(item => !hasRate(item, settings))
+  .reduce((acc, item) => ({ ...acc, [item.currency]: (acc[item.currency] || 0) + 1 }), {});
@@ -0,0 +1,26 @@
+// --- Debts & loans: Lent and Borrowed transactions with a person ---
+// A repayment sends the money back the other way and lowers what is owed.
+
+export const isDebt = (item) => item.type === 'Lent' || item.type === 'Borrowed';
+
+// Money comes in with income, when borrowing and when a loan is paid back to us
+export const isMoneyIn = (t) => t.type === 'Income' || (isDebt(t) && (t.type === 'Borrowed') !== !!t.repayment);
+
+// What a loan transaction adds to what the person owes us; negative when we owe them
+export const getDebtEffect = (t, toBase) => (t.type === 'Lent' ? 1 : -1) * (t.repayment ? -1 : 1) * toBase(t);
+
+// Each person's loans newest first, with a balance that is positive when they owe us.
+// Paying back more than is owed turns the balance around rather than stopping at zero.
+export const getDebtLedger = (people, transactions, toBase) => {
+  const rows = people.map(person => {
+    const entries = transactions
+      .filter(t => isDebt(t) && t.personId === person.id)
+      .sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
+    return { person, entries, balance: entries.reduce((acc, t) => acc + getDebtEffect(t, toBase), 0) };
+  });
+  return {
+    rows,
+    owedToMe: rows.filter(r => r.balance > 0).reduce((acc, r) => acc + r.balance, 0),
+    iOwe: rows.filter(r => r.balance < 0).reduce((acc, r) => acc - r.balance, 0),
+  };
+};
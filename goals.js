@@ -0,0 +1,32 @@
+// --- Savings goals: contributions are transactions whose goalId names the goal ---
+import { addMonths, parseDateKey } from './periods';
+
+// Projected goal completion follows the average monthly contribution over this many months
+export const GOAL_PACE_MONTHS = 3;
+
+// What is saved so far, the monthly contribution that still reaches the target date and
+// when the goal completes at the average pace of the last GOAL_PACE_MONTHS months.
+// Contributions dated after now do not count yet.
+export const getGoalProgress = (goal, transactions, toBase, now = new Date()) => {
+  const contributions = transactions.filter(t => t.goalId === goal.id && new Date(t.dateISO) <= now);
+  const saved = contributions.reduce((acc, t) => acc + toBase(t), 0);
+  const remaining = Math.max(goal.target - saved, 0);
+
+  const paceStart = addMonths(now, -GOAL_PACE_MONTHS);
+  const pace = contributions
+    .filter(t => new Date(t.dateISO) > paceStart)
+    .reduce((acc, t) => acc + toBase(t), 0) / GOAL_PACE_MONTHS;
+
+  // Months left, counting part of a month as that share of one; less than a month needs it all now
+  let required = null;
+  const due = goal.targetDate ? parseDateKey(goal.targetDate) : null;
+  if (due && remaining > 0) {
+    const monthsLeft = (due.getFullYear() - now.getFullYear()) * 12 + due.getMonth() - now.getMonth() + (due.getDate() - now.getDate()) / 30;
+    required = monthsLeft > 0 ? remaining / Math.max(monthsLeft, 1) : null;
+  }
+
+  // Nothing to project from without recent contributions
+  const projected = remaining > 0 && pace > 0 ? addMonths(now, Math.ceil(remaining / pace)) : null;
+
+  return { saved, remaining, count: contributions.length, pace, required, due, projected };
+};
@@ -0,0 +1,4 @@
+// Date tests check bounds across daylight saving changes, so they run in a zone that has them
+module.exports = () => {
+  process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,84 @@
+// --- Periods: the weeks, months, quarters, years and ranges the main screen shows ---
+// Bounds are local dates built from calendar fields, so a day is a day even across DST changes.
+
+// Local calendar day as 'YYYY-MM-DD'
+export const formatDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// The local midnight that starts a 'YYYY-MM-DD' day, or null when text is not a real date
+export const parseDateKey = (text) => {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(text).trim());
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// Months run from monthStartDay to the day before it in the next month and are named after
+// the month they start in. With the default start day of 1 they are calendar months.
+export const getMonthStart = (year, month, monthStartDay = 1) => new Date(year, month, monthStartDay);
+
+// The same day and time a number of months later (or earlier when negative). Days the target
+// month does not have clamp to its last day, so 31 January plus one month is 28 or 29 February.
+export const addMonths = (value, months) => {
+  const date = new Date(value);
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), daysInMonth),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+};
+
+// Start of the month that contains value
+export const getCycleStart = (value, monthStartDay = 1) => {
+  const date = new Date(value);
+  const start = getMonthStart(date.getFullYear(), date.getMonth(), monthStartDay);
+  return date < start ? getMonthStart(date.getFullYear(), date.getMonth() - 1, monthStartDay) : start;
+};
+
+// Start (included) and end (excluded) of the period of the given size that contains date.
+// A 'range' covers whole days from customRange.from to customRange.to, or is a month without one.
+export const getPeriodBounds = (date, mode, monthStartDay = 1, customRange = null) => {
+  const d = new Date(date);
+  // Months, quarters and years follow the month start day
+  const cycle = getCycleStart(d, monthStartDay);
+  const year = cycle.getFullYear();
+  switch (mode) {
+    case 'week': {
+      // Weeks start on Sunday, like the calendar
+      const start = new Date(d.getFullYear(), d.getMonth(), d.getDate() - d.getDay());
+      return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+    }
+    case 'quarter': {
+      const first = Math.floor(cycle.getMonth() / 3) * 3;
+      return { start: getMonthStart(year, first, monthStartDay), end: getMonthStart(year, first + 3, monthStartDay) };
+    }
+    case 'year':
+      return { start: getMonthStart(year, 0, monthStartDay), end: getMonthStart(year + 1, 0, monthStartDay) };
+    case 'range':
+      if (customRange) {
+        const { from, to } = customRange;
+        return {
+          start: new Date(from.getFullYear(), from.getMonth(), from.getDate()),
+          end: new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1),
+        };
+      }
+      return getPeriodBounds(date, 'month', monthStartDay);
+    default:
+      return { start: cycle, end: getMonthStart(year, cycle.getMonth() + 1, monthStartDay) };
+  }
+};
+
+// Occurrences are computed from the start date by index so monthly rules
+// starting on the 31st clamp to short months without drifting afterwards
+export const getOccurrenceDate = (rule, index) => {
+  const start = new Date(rule.startDateISO);
+  if (rule.frequency === 'daily' || rule.frequency === 'weekly') {
+    const date = new Date(start);
+    date.setDate(start.getDate() + index * (rule.frequency === 'weekly' ? 7 : 1));
+    return date;
+  }
+  return addMonths(start, rule.frequency === 'yearly' ? index * 12 : index);
+};
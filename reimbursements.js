@@ -0,0 +1,39 @@
+// --- Reimbursements: expenses someone else pays back ---
+// An expense's reimbursement is { status, incomeId }, where incomeId names the income that settled it.
+
+export const getReimbursementStatus = (item) => (item.type === 'Expense' && item.reimbursement ? item.reimbursement.status : null);
+
+// Reimbursable expenses newest first, with what is still owed per status
+export const getReimbursements = (transactions, toBase) => {
+  const all = transactions
+    .filter(t => getReimbursementStatus(t))
+    .sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
+  const sum = (status) => all
+    .filter(t => t.reimbursement.status === status)
+    .reduce((acc, t) => acc + toBase(t), 0);
+  const pending = sum('pending');
+  const submitted = sum('submitted');
+  return {
+    outstanding: all.filter(t => t.reimbursement.status !== 'paid'),
+    paid: all.filter(t => t.reimbursement.status === 'paid'),
+    pending,
+    submitted,
+    total: pending + submitted,
+  };
+};
+
+// What the expenses add up to, and by how much one payment for all of them is over (positive) or short
+export const getSettlement = (expenses, income, toBase) => {
+  const owed = expenses.reduce((acc, t) => acc + toBase(t), 0);
+  return { owed, difference: toBase(income) - owed };
+};
+
+// History edits giving the expenses with these ids a new reimbursement
+export const getReimbursementEdits = (transactions, ids, reimbursement) => transactions
+  .filter(t => ids.includes(t.id))
+  .map(t => ({ before: t, after: { ...t, reimbursement } }));
+
+// Settling marks the expenses as paid by the income, so it can be found from each of them
+export const getSettleEdits = (transactions, ids, income) => (
+  getReimbursementEdits(transactions, ids, { status: 'paid', incomeId: income.id })
+);
@@ -0,0 +1,370 @@
+// --- Persistence: storage keys, schema versioning and migrations ---
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CATEGORIES, createCategory } from './categories';
+import { cleanTags } from './tags';
+
+// One AsyncStorage key per wallet field; everything but the theme is stored as JSON
+export const STORAGE_KEYS = {
+  transactions: '@tracker_app_transactions',
+  categories: '@tracker_app_categories',
+  theme: '@tracker_app_theme',
+  recurringRules: '@tracker_app_recurring',
+  budgets: '@tracker_app_budgets',
+  currencySettings: '@tracker_app_currency',
+  accounts: '@tracker_app_accounts',
+  trash: '@tracker_app_trash',
+  monthStartDay: '@tracker_app_month_start',
+  goals: '@tracker_app_goals',
+  bills: '@tracker_app_bills',
+  people: '@tracker_app_people',
+};
+export const SCHEMA_KEY = '@tracker_app_schema_version';
+
+// Bump together with a new entry in MIGRATIONS whenever a stored shape changes.
+// Data saved before versioning existed counts as version 0.
+export const SCHEMA_VERSION = 4;
+
+// Lent and Borrowed move loan principal to or from a person; repayments flip their direction
+const DEBT_TYPES = ['Lent', 'Borrowed'];
+const TRANSACTION_TYPES = ['Income', 'Expense', 'Transfer', ...DEBT_TYPES];
+const CATEGORY_TYPES = ['Income', 'Expense'];
+const REIMBURSEMENT_STATUSES = ['pending', 'submitted', 'paid'];
+const BILL_FREQUENCIES = ['none', 'weekly', 'monthly', 'yearly'];
+const MAX_REMIND_DAYS = 30;
+
+// Thrown by loadWallet for data written by a newer app version. Nothing may be saved over it.
+export class NewerSchemaError extends Error {
+  constructor(storedVersion) {
+    super(`Saved data uses schema ${storedVersion}, newer than this app supports (${SCHEMA_VERSION}).`);
+    this.name = 'NewerSchemaError';
+    this.storedVersion = storedVersion;
+  }
+}
+
+const isMissing = (value) => value === null || value === undefined;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isValidDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+const isDateKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value);
+const mapList = (list, fn) => (Array.isArray(list) ? list.map(fn) : list);
+
+// Built-in categories keep their usual icon and color when upgraded from a plain name
+const toCategory = (name, type, index) => {
+  const builtIn = DEFAULT_CATEGORIES[type].find(c => c.name === name);
+  return builtIn ? { ...builtIn } : createCategory(name, type, index);
+};
+
+// Each migration upgrades the wallet from version - 1 to version. They run in order and
+// must tolerate data that is already in the new shape, since backups are migrated too.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Store amounts as numbers',
+    migrate: (data) => {
+      const withNumber = (item) => (isObject(item) ? { ...item, amount: Number(item.amount) } : item);
+      return {
+        ...data,
+        transactions: mapList(data.transactions, withNumber),
+        recurringRules: mapList(data.recurringRules, withNumber),
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Drop the locale-dependent displayDate, dates are formatted from dateISO',
+    migrate: (data) => {
+      const withoutDisplayDate = (item) => {
+        if (!isObject(item)) return item;
+        const { displayDate, ...rest } = item;
+        return rest;
+      };
+      return {
+        ...data,
+        transactions: mapList(data.transactions, withoutDisplayDate),
+        trash: mapList(data.trash, withoutDisplayDate),
+      };
+    },
+  },
+  {
+    version: 3,
+    description: 'Categories become { name, icon, color, archived } objects',
+    migrate: (data) => {
+      if (!isObject(data.categories)) return data;
+      const categories = { ...data.categories };
+      CATEGORY_TYPES.forEach(type => {
+        categories[type] = mapList(categories[type], (c, index) => (typeof c === 'string' ? toCategory(c, type, index) : c));
+      });
+      return { ...data, categories };
+    },
+  },
+  {
+    // Older builds would drop loans as unknown transaction types and write the result back,
+    // so this bump makes them refuse the data instead
+    version: 4,
+    description: 'Add subcategories, tags, reimbursements, receipts, the month start day, goals, bills, '
+      + 'people with loans and credit card statement days. All new fields are optional.',
+    migrate: (data) => data,
+  },
+];
+
+export const migrateWallet = (data, fromVersion) => MIGRATIONS
+  .filter(m => m.version > fromVersion && m.version <= SCHEMA_VERSION)
+  .reduce((acc, m) => m.migrate(acc), data);
+
+// --- Validation & repair ---
+// Records that can be fixed are fixed, the rest are dropped. Fields that are missing or
+// unusable come back as null so the app keeps its defaults.
+
+// Split lines need a category and an amount; fewer than two usable lines means no split
+const repairSplits = (splits) => {
+  if (!Array.isArray(splits)) return null;
+  const lines = splits
+    .filter(s => isObject(s) && typeof s.category === 'string' && s.category && Number.isFinite(Number(s.amount)))
+    .map(s => ({ category: s.category, amount: Math.abs(Number(s.amount)), note: typeof s.note === 'string' ? s.note : '' }));
+  return lines.length > 1 ? lines : null;
+};
+
+// Only paid reimbursements point at the income that settled them
+const repairReimbursement = (reimbursement) => {
+  if (!isObject(reimbursement) || !REIMBURSEMENT_STATUSES.includes(reimbursement.status)) return null;
+  const incomeId = reimbursement.status === 'paid' && typeof reimbursement.incomeId === 'string' ? reimbursement.incomeId : null;
+  return { status: reimbursement.status, incomeId };
+};
+
+// Receipts are file names inside the app's receipts directory, never paths
+const repairReceipts = (receipts) => {
+  if (!Array.isArray(receipts)) return null;
+  const names = [...new Set(receipts.filter(r => typeof r === 'string' && r && !r.includes('/')))];
+  return names.length > 0 ? names : null;
+};
+
+const repairTransaction = (t, index) => {
+  if (!isObject(t) || !TRANSACTION_TYPES.includes(t.type) || !isValidDate(t.dateISO)) return null;
+  const amount = Number(t.amount);
+  if (!Number.isFinite(amount)) return null;
+  if (t.type === 'Transfer' && typeof t.toAccountId !== 'string') return null;
+  if (DEBT_TYPES.includes(t.type) && typeof t.personId !== 'string') return null;
+
+  const { splits, tags, reimbursement, receipts, goalId, repayment, ...rest } = t;
+  const repaired = {
+    ...rest,
+    id: typeof t.id === 'string' && t.id ? t.id : `${new Date(t.dateISO).getTime()}-repaired-${index}`,
+    amount: Math.abs(amount),
+    category: typeof t.category === 'string' ? t.category : '',
+    note: typeof t.note === 'string' ? t.note : '',
+  };
+
+  const cleanedTags = cleanTags(tags);
+  if (cleanedTags) repaired.tags = cleanedTags;
+  const cleanedReimbursement = t.type === 'Expense' ? repairReimbursement(reimbursement) : null;
+  if (cleanedReimbursement) repaired.reimbursement = cleanedReimbursement;
+  const cleanedReceipts = repairReceipts(receipts);
+  if (cleanedReceipts) repaired.receipts = cleanedReceipts;
+  if (DEBT_TYPES.includes(t.type)) repaired.repayment = repayment === true;
+  // A contribution whose goal is gone simply stops counting, so the id is kept as is
+  if (typeof goalId === 'string' && goalId) repaired.goalId = goalId;
+
+  // The lines are the source of truth for a split's total
+  const lines = t.type === 'Income' || t.type === 'Expense' ? repairSplits(splits) : null;
+  if (lines) {
+    repaired.splits = lines;
+    repaired.amount = lines.reduce((acc, s) => acc + s.amount, 0);
+    repaired.category = lines[0].category;
+  }
+  return repaired;
+};
+
+const repairList = (list, repairItem) => {
+  if (isMissing(list)) return { items: null, dropped: 0 };
+  if (!Array.isArray(list)) return { items: [], dropped: 1 };
+  const ids = new Set();
+  const items = [];
+  list.forEach((item, index) => {
+    const repaired = repairItem(item, index);
+    // Duplicate ids would make edits and deletes hit several records at once
+    if (!repaired || ids.has(repaired.id)) return;
+    ids.add(repaired.id);
+    items.push(repaired);
+  });
+  return { items, dropped: list.length - items.length };
+};
+
+const repairRule = (rule) => {
+  if (!isObject(rule) || typeof rule.id !== 'string' || !TRANSACTION_TYPES.includes(rule.type)) return null;
+  if (!isValidDate(rule.startDateISO) || !Number.isFinite(Number(rule.amount))) return null;
+  return { ...rule, amount: Math.abs(Number(rule.amount)), endDateISO: isValidDate(rule.endDateISO) ? rule.endDateISO : null };
+};
+
+const repairTrashItem = (item, index) => {
+  const transaction = repairTransaction(item, index);
+  if (!transaction) return null;
+  return { ...transaction, deletedAt: isValidDate(item.deletedAt) ? item.deletedAt : new Date().toISOString() };
+};
+
+// Every month has a 28th, so later days of the month are not allowed
+const isDayOfMonth = (day) => Number.isInteger(day) && day >= 1 && day <= 28;
+
+// Credit cards track statements only with both a closing day and a due day
+const repairAccount = (account) => {
+  if (!isObject(account) || typeof account.id !== 'string' || typeof account.name !== 'string') return null;
+  const openingBalance = Number(account.openingBalance);
+  const { closingDay, dueDay, ...rest } = account;
+  const repaired = { ...rest, openingBalance: Number.isFinite(openingBalance) ? openingBalance : 0 };
+  if (account.type === 'credit' && isDayOfMonth(closingDay) && isDayOfMonth(dueDay)) {
+    repaired.closingDay = closingDay;
+    repaired.dueDay = dueDay;
+  }
+  return repaired;
+};
+
+// Goals need a name and a positive target; the target date is an optional 'YYYY-MM-DD' day
+const repairGoal = (goal) => {
+  if (!isObject(goal) || typeof goal.id !== 'string' || typeof goal.name !== 'string' || !goal.name.trim()) return null;
+  const target = Number(goal.target);
+  if (!(target > 0)) return null;
+  return { ...goal, target, targetDate: isDateKey(goal.targetDate) ? goal.targetDate : null };
+};
+
+const repairPerson = (person) => {
+  if (!isObject(person) || typeof person.id !== 'string' || typeof person.name !== 'string' || !person.name.trim()) return null;
+  return person;
+};
+
+// Bills fall due on startDate and then every frequency; paidCount occurrences are paid already
+const repairBill = (bill) => {
+  if (!isObject(bill) || typeof bill.id !== 'string' || typeof bill.name !== 'string' || !bill.name.trim()) return null;
+  const amount = Number(bill.amount);
+  if (!(amount > 0) || !isDateKey(bill.startDate)) return null;
+  const remindDays = Number.isInteger(bill.remindDays) && bill.remindDays >= 0 && bill.remindDays <= MAX_REMIND_DAYS ? bill.remindDays : 1;
+  return {
+    ...bill,
+    amount,
+    category: typeof bill.category === 'string' ? bill.category : '',
+    frequency: BILL_FREQUENCIES.includes(bill.frequency) ? bill.frequency : 'none',
+    remindDays,
+    paidCount: Number.isInteger(bill.paidCount) && bill.paidCount > 0 ? bill.paidCount : 0,
+  };
+};
+
+const repairCategories = (categories) => {
+  if (!isObject(categories)) return null;
+  const clean = (list, type) => {
+    if (!Array.isArray(list)) return [];
+    const names = new Set();
+    return list.reduce((acc, c, index) => {
+      const category = typeof c === 'string' ? toCategory(c, type, index) : c;
+      if (!isObject(category) || typeof category.name !== 'string' || !category.name.trim() || names.has(category.name)) return acc;
+      names.add(category.name);
+      acc.push({
+        ...createCategory(category.name, type, index),
+        ...category,
+        archived: category.archived === true,
+        parent: typeof category.parent === 'string' && category.parent !== category.name ? category.parent : null,
+      });
+      return acc;
+    }, []);
+  };
+  return { ...categories, Income: clean(categories.Income, 'Income'), Expense: clean(categories.Expense, 'Expense') };
+};
+
+// Keeps only positive limits
+const repairLimits = (limits) => Object.entries(isObject(limits) ? limits : {}).reduce((acc, [name, limit]) => {
+  if (Number(limit) > 0) acc[name] = Number(limit);
+  return acc;
+}, {});
+
+const repairBudgets = (budgets) => {
+  if (!isObject(budgets)) return null;
+  return {
+    overall: Number(budgets.overall) > 0 ? Number(budgets.overall) : null,
+    categories: repairLimits(budgets.categories),
+  };
+};
+
+const repairMonthStartDay = (day) => (isDayOfMonth(day) ? day : null);
+
+const repairCurrencySettings = (settings) => {
+  if (!isObject(settings) || typeof settings.base !== 'string' || !settings.base) return null;
+  return { base: settings.base, rates: repairLimits(settings.rates) };
+};
+
+// Returns the repaired wallet and how many records had to be dropped
+export const repairWallet = (data) => {
+  const transactions = repairList(data.transactions, repairTransaction);
+  const recurringRules = repairList(data.recurringRules, repairRule);
+  const accounts = repairList(data.accounts, repairAccount);
+  const trash = repairList(data.trash, repairTrashItem);
+  const goals = repairList(data.goals, repairGoal);
+  const bills = repairList(data.bills, repairBill);
+  const people = repairList(data.people, repairPerson);
+
+  return {
+    data: {
+      ...data,
+      transactions: transactions.items,
+      recurringRules: recurringRules.items,
+      accounts: accounts.items && accounts.items.length > 0 ? accounts.items : null,
+      trash: trash.items,
+      goals: goals.items,
+      bills: bills.items,
+      people: people.items,
+      categories: repairCategories(data.categories),
+      budgets: repairBudgets(data.budgets),
+      currencySettings: repairCurrencySettings(data.currencySettings),
+      monthStartDay: repairMonthStartDay(data.monthStartDay),
+      theme: data.theme === 'dark' || data.theme === 'light' ? data.theme : null,
+    },
+    dropped: transactions.dropped + recurringRules.dropped + accounts.dropped + trash.dropped + goals.dropped + bills.dropped + people.dropped,
+  };
+};
+
+// --- Reading & writing ---
+const parseValue = (field, raw) => {
+  if (isMissing(raw)) return { value: null, corrupt: false };
+  if (field === 'theme') return { value: raw, corrupt: false };
+  try {
+    return { value: JSON.parse(raw), corrupt: false };
+  } catch (e) {
+    return { value: null, corrupt: true };
+  }
+};
+
+const serialize = (field, value) => (field === 'theme' ? value : JSON.stringify(value));
+
+// Reads every field, migrates it to SCHEMA_VERSION and repairs what it can.
+// Resolves to { data, dropped, migrated }; fields that were never saved are null.
+export const loadWallet = async () => {
+  const fields = Object.keys(STORAGE_KEYS);
+  const entries = await AsyncStorage.multiGet([...fields.map(f => STORAGE_KEYS[f]), SCHEMA_KEY]);
+  const raw = Object.fromEntries(entries);
+
+  const storedVersion = parseInt(raw[SCHEMA_KEY], 10) || 0;
+  if (storedVersion > SCHEMA_VERSION) {
+    throw new NewerSchemaError(storedVersion);
+  }
+
+  let corrupt = 0;
+  const stored = {};
+  fields.forEach(field => {
+    const { value, corrupt: isCorrupt } = parseValue(field, raw[STORAGE_KEYS[field]]);
+    stored[field] = value;
+    if (isCorrupt) corrupt += 1;
+  });
+
+  const { data, dropped } = repairWallet(migrateWallet(stored, storedVersion));
+  const migrated = storedVersion < SCHEMA_VERSION;
+
+  if (migrated || dropped > 0 || corrupt > 0) {
+    // Write back right away so the old shape is never read again
+    const pairs = fields
+      .filter(field => data[field] !== null)
+      .map(field => [STORAGE_KEYS[field], serialize(field, data[field])]);
+    await AsyncStorage.multiSet([...pairs, [SCHEMA_KEY, String(SCHEMA_VERSION)]]);
+  }
+
+  return { data, dropped: dropped + corrupt, migrated };
+};
+
+export const saveField = (field, value) => AsyncStorage.setItem(STORAGE_KEYS[field], serialize(field, value));
+
+// Brings data from outside storage (e.g. an old backup) up to the current schema
+export const normalizeWallet = (data) => repairWallet(migrateWallet(data, 0)).data;
@@ -0,0 +1,53 @@
+// --- Tags: free-form labels that cut across categories ---
+
+// Separator used when tags share one text field, e.g. a CSV cell
+export const TAG_SEPARATOR = '; ';
+
+// Tags are compared as typed, apart from surrounding and repeated whitespace
+export const normalizeTag = (text) => (typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : '');
+
+export const getTags = (item) => (Array.isArray(item.tags) ? item.tags : []);
+
+export const hasTag = (item, tag) => getTags(item).includes(tag);
+
+// Cleans a list of tags, dropping blanks and repeats; null when nothing is left
+export const cleanTags = (tags) => {
+  if (!Array.isArray(tags)) return null;
+  const clean = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  return clean.length > 0 ? clean : null;
+};
+
+export const parseTags = (text) => cleanTags(String(text || '').split(/[;,|]/)) || [];
+
+// Every tag on the given records, most used first
+export const getKnownTags = (items) => {
+  const counts = {};
+  items.forEach(item => {
+    getTags(item).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; });
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+// Income and expense totals per tag between range.from and range.to, either of which may be open.
+// A transaction counts fully towards each of its tags.
+export const getTagReport = (transactions, range, toBase) => {
+  const isInRange = (iso) => {
+    const date = new Date(iso);
+    return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+  };
+
+  const report = {};
+  transactions
+    .filter(t => (t.type === 'Income' || t.type === 'Expense') && isInRange(t.dateISO))
+    .forEach(t => {
+      getTags(t).forEach(tag => {
+        if (!report[tag]) report[tag] = { tag, count: 0, income: 0, expense: 0 };
+        report[tag].count += 1;
+        if (t.type === 'Income') report[tag].income += toBase(t);
+        else report[tag].expense += toBase(t);
+      });
+    });
+  return Object.values(report)
+    .map(row => ({ ...row, net: row.income - row.expense }))
+    .sort((a, b) => b.expense + b.income - (a.expense + a.income));
+};